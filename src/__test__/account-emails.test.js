@@ -0,0 +1,208 @@
+import { app, server, mailer } from '../server.mjs';
+import { describe, test, expect, vi, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+// Токен з посилання в останньому листі на адресу
+const tokenFromMail = (to) => {
+  const link = /\S+\?token=(\S+)/.exec(mailer.transport.last(to)?.text || '');
+  return link ? decodeURIComponent(link[1]) : null;
+};
+
+const register = (email, password = 'Secret-pass-1') => request(app).post('/auth/register').send({ email, password });
+
+const tokenLogin = (email, password) =>
+  request(app).post('/auth/token').set('Accept', JSON_ACCEPT).send({ email, password });
+
+describe('Підтвердження email', () => {
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('реєстрація надсилає лист з посиланням; токен спрацьовує лише раз', async () => {
+    await register('verify.me@example.com');
+    const mail = mailer.transport.last('verify.me@example.com');
+    expect(mail).toMatchObject({ subject: 'Підтвердіть email', from: 'no-reply@localhost' });
+    expect(mail.text).toContain('http://localhost:3000/auth/verify-email?token=');
+
+    const token = tokenFromMail('verify.me@example.com');
+    const ok = await request(app).post('/auth/verify-email').set('Accept', JSON_ACCEPT).send({ token });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.email).toBe('verify.me@example.com');
+    expect(ok.body.data.emailVerifiedAt).toBeTruthy();
+
+    const again = await request(app).post('/auth/verify-email').set('Accept', JSON_ACCEPT).send({ token });
+    expect(again.status).toBe(400);
+    expect(again.body.error.message).toBe('Token already used');
+  });
+
+  test('підроблений токен і токен іншого призначення — 400', async () => {
+    const garbage = await request(app).post('/auth/verify-email').set('Accept', JSON_ACCEPT).send({ token: 'x.y.z' });
+    expect(garbage.status).toBe(400);
+
+    await register('verify.access@example.com');
+    const { accessToken } = (await tokenLogin('verify.access@example.com', 'Secret-pass-1')).body;
+    const wrongType = await request(app)
+      .post('/auth/verify-email')
+      .set('Accept', JSON_ACCEPT)
+      .send({ token: accessToken });
+    expect(wrongType.status).toBe(400);
+    expect(wrongType.body.error.message).toBe('Invalid token type');
+
+    const missing = await request(app).post('/auth/verify-email').set('Accept', JSON_ACCEPT).send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.error.details.errors[0]).toMatchObject({ field: 'token', code: 'required' });
+  });
+
+  test('повторний запит листа скасовує попередній токен; підтвердженим лист не йде', async () => {
+    await register('verify.again@example.com');
+    const first = tokenFromMail('verify.again@example.com');
+
+    const res = await request(app).post('/auth/verify-email/request').send({ email: 'verify.again@example.com' });
+    expect(res.status).toBe(202);
+    const second = tokenFromMail('verify.again@example.com');
+    expect(second).not.toBe(first);
+
+    expect((await request(app).post('/auth/verify-email').send({ token: first })).status).toBe(400);
+    expect((await request(app).post('/auth/verify-email').send({ token: second })).text).toBe('Email verified');
+
+    mailer.transport.clear();
+    await request(app).post('/auth/verify-email/request').send({ email: 'verify.again@example.com' });
+    expect(mailer.transport.last('verify.again@example.com')).toBeNull();
+  });
+
+  test('HTML: сторінка з кнопкою, після підтвердження — редирект на вхід', async () => {
+    await register('verify.html@example.com');
+    const token = tokenFromMail('verify.html@example.com');
+
+    const page = await request(app)
+      .get(`/auth/verify-email?token=${encodeURIComponent(token)}`)
+      .set('Accept', HTML_ACCEPT);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('name="token"');
+    expect(page.text).toContain('Підтвердити email');
+
+    const res = await request(app).post('/auth/verify-email').set('Accept', HTML_ACCEPT).type('form').send({ token });
+    expect(res.status).toBe(303);
+    expect(res.headers.location).toBe('/auth/login');
+
+    const reused = await request(app)
+      .post('/auth/verify-email')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ token });
+    expect(reused.status).toBe(400);
+    expect(reused.text).toContain('запросіть новий лист');
+  });
+});
+
+describe('Скидання пароля', () => {
+  test('відповідь однакова для відомого й невідомого email; лист — лише існуючому акаунту', async () => {
+    await register('reset.known@example.com');
+    mailer.transport.clear();
+
+    const known = await request(app)
+      .post('/auth/password-reset/request')
+      .set('Accept', JSON_ACCEPT)
+      .send({ email: 'reset.known@example.com' });
+    const unknown = await request(app)
+      .post('/auth/password-reset/request')
+      .set('Accept', JSON_ACCEPT)
+      .send({ email: 'reset.nobody@example.com' });
+    expect(known.status).toBe(202);
+    expect(unknown.status).toBe(202);
+    expect(unknown.body).toEqual(known.body);
+
+    expect(mailer.transport.last('reset.known@example.com').subject).toBe('Скидання пароля');
+    expect(mailer.transport.last('reset.nobody@example.com')).toBeNull();
+  });
+
+  test('новий пароль діє, старий — ні; сесії й refresh-токени завершено; токен одноразовий', async () => {
+    await register('reset.me@example.com', 'old-secret');
+    const agent = request.agent(app);
+    await login(agent, { email: 'reset.me@example.com', password: 'old-secret' });
+    const { refreshToken } = (await tokenLogin('reset.me@example.com', 'old-secret')).body;
+
+    await request(app).post('/auth/password-reset/request').send({ email: 'reset.me@example.com' });
+    const token = tokenFromMail('reset.me@example.com');
+    const res = await request(app)
+      .post('/auth/password-reset')
+      .set('Accept', JSON_ACCEPT)
+      .send({ token, password: 'new-secret' });
+    expect(res.status).toBe(200);
+
+    expect((await tokenLogin('reset.me@example.com', 'old-secret')).status).toBe(401);
+    expect((await tokenLogin('reset.me@example.com', 'new-secret')).status).toBe(200);
+    expect((await agent.get('/account/sessions').set('Accept', JSON_ACCEPT)).status).toBe(401);
+    expect((await request(app).post('/auth/token/refresh').send({ refreshToken })).status).toBe(401);
+
+    const reused = await request(app)
+      .post('/auth/password-reset')
+      .set('Accept', JSON_ACCEPT)
+      .send({ token, password: 'third-secret' });
+    expect(reused.status).toBe(400);
+  });
+
+  test('HTML: форма нового пароля і помилка без пароля', async () => {
+    await register('reset.html@example.com');
+    await request(app).post('/auth/password-reset/request').send({ email: 'reset.html@example.com' });
+    const token = tokenFromMail('reset.html@example.com');
+
+    const page = await request(app)
+      .get(`/auth/password-reset?token=${encodeURIComponent(token)}`)
+      .set('Accept', HTML_ACCEPT);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('Змінити пароль');
+
+    const invalid = await request(app)
+      .post('/auth/password-reset')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ token });
+    expect(invalid.status).toBe(400);
+    expect(invalid.text).toContain('id="password-error"');
+
+    const done = await request(app)
+      .post('/auth/password-reset')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ token, password: 'brand-new' });
+    expect(done.status).toBe(303);
+    expect(done.headers.location).toBe('/auth/login');
+
+    const login = await request(app).get('/auth/login').set('Accept', HTML_ACCEPT);
+    expect(login.text).toContain('href="/auth/password-reset"');
+  });
+});
+
+describe('Токени з листів у логах', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  test('журнал доступу не містить токенів з посилань; шлях лишається з [redacted]', async () => {
+    await register('log.token@example.com');
+    const verifyToken = tokenFromMail('log.token@example.com');
+    await request(app).post('/auth/password-reset/request').send({ email: 'log.token@example.com' });
+    const resetToken = /password-reset\?token=(\S+)/.exec(mailer.transport.last('log.token@example.com').text)[1];
+
+    const out = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const err = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await request(app).get(`/auth/password-reset?token=${resetToken}`).set('Accept', HTML_ACCEPT);
+    await request(app).get(`/auth/verify-email?token=${encodeURIComponent(verifyToken)}`).set('Accept', HTML_ACCEPT);
+    await request(app).get('/auth/verify-email?token=not-a-jwt').set('Accept', HTML_ACCEPT);
+
+    const lines = [...out.mock.calls, ...err.mock.calls].map(([line]) => String(line));
+    expect(lines.length).toBeGreaterThan(0);
+    for (const secret of [resetToken, decodeURIComponent(resetToken), verifyToken, 'not-a-jwt']) {
+      expect(lines.some((line) => line.includes(secret))).toBe(false);
+    }
+    const paths = lines.map((line) => JSON.parse(line)).filter((e) => e.msg === 'request completed').map((e) => e.path);
+    expect(paths).toContain('/auth/password-reset?token=%5Bredacted%5D');
+  });
+});
@@ -0,0 +1,201 @@
+import { app, server, mailer } from '../server.mjs';
+import { describe, test, expect, afterAll } from 'vitest';
+import request from 'supertest';
+import { createPasswordPolicy } from '../password-policy.mjs';
+import { login } from './helpers.js';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+const register = (email, password = 'Secret-pass-1') => request(app).post('/auth/register').send({ email, password });
+
+const tokenLogin = (email, password) =>
+  request(app).post('/auth/token').set('Accept', JSON_ACCEPT).send({ email, password });
+
+describe('createPasswordPolicy', () => {
+  const policy = createPasswordPolicy({ env: {} });
+
+  test('довжина, класи символів і список поширених паролів', () => {
+    expect(policy.check('Ab1')).toMatchObject({ code: 'too_short' });
+    expect(policy.check('abcdefghij')).toMatchObject({ code: 'too_simple' });
+    expect(policy.check('Password1')).toMatchObject({ code: 'too_common' });
+    expect(policy.check('PASSWORD1')).toMatchObject({ code: 'too_common' });
+    expect(policy.check('Secret-pass-1')).toBeNull();
+    // Довжина — у символах, не в байтах UTF-16
+    expect(policy.check('пароль-🙂🙂')).toBeNull();
+  });
+
+  test('налаштування з env', () => {
+    const strict = createPasswordPolicy({ env: { PASSWORD_MIN_LENGTH: '12', PASSWORD_MIN_CLASSES: '4' } });
+    expect(strict.check('Secret-pass-1')).toBeNull();
+    expect(strict.check('Secret-pass')).toMatchObject({ code: 'too_short' });
+    expect(strict.check('Secretpass12')).toMatchObject({ code: 'too_simple' });
+  });
+});
+
+describe('Налаштування акаунта', () => {
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('реєстрація зі слабким паролем → 400 з полем password', async () => {
+    for (const [password, code] of [
+      ['short1', 'too_short'],
+      ['alllowercase', 'too_simple'],
+      ['qwerty123', 'too_common'],
+    ]) {
+      const res = await register('weak@example.com', password).set('Accept', JSON_ACCEPT);
+      expect(res.status).toBe(400);
+      expect(res.body.error.details.errors).toEqual([expect.objectContaining({ field: 'password', code })]);
+    }
+    expect((await register('weak@example.com', 'Strong-enough-1')).status).toBe(201);
+  });
+
+  test('зміна пароля: потрібен поточний пароль, інші сесії завершуються', async () => {
+    const credentials = { email: 'changer@example.com', password: 'Secret-pass-1' };
+    await register(credentials.email);
+    const laptop = request.agent(app);
+    const phone = request.agent(app);
+    await login(laptop, credentials);
+    await login(phone, credentials);
+    const { refreshToken } = (await tokenLogin(credentials.email, credentials.password)).body;
+
+    const wrong = await laptop
+      .put('/account/password')
+      .set('Accept', JSON_ACCEPT)
+      .send({ currentPassword: 'not-my-password', password: 'Another-pass-2' });
+    expect(wrong.status).toBe(400);
+    expect(wrong.body.error.details.errors[0]).toMatchObject({ field: 'currentPassword', code: 'invalid' });
+
+    const weak = await laptop
+      .put('/account/password')
+      .set('Accept', JSON_ACCEPT)
+      .send({ currentPassword: credentials.password, password: 'password' });
+    expect(weak.status).toBe(400);
+
+    const ok = await laptop
+      .put('/account/password')
+      .set('Accept', JSON_ACCEPT)
+      .send({ currentPassword: credentials.password, password: 'Another-pass-2' });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.sessionsRevoked).toBe(1);
+
+    expect((await laptop.get('/account/settings').set('Accept', JSON_ACCEPT)).status).toBe(200);
+    expect((await phone.get('/account/settings').set('Accept', JSON_ACCEPT)).status).toBe(401);
+    const refreshed = await request(app)
+      .post('/auth/token/refresh')
+      .set('Accept', JSON_ACCEPT)
+      .send({ refreshToken });
+    expect(refreshed.status).toBe(401);
+
+    expect((await tokenLogin(credentials.email, credentials.password)).status).toBe(401);
+    expect((await tokenLogin(credentials.email, 'Another-pass-2')).status).toBe(200);
+  });
+
+  test('зміна пароля bearer-клієнтом: нова пара токенів діє, видані до зміни — ні', async () => {
+    const credentials = { email: 'api.changer@example.com', password: 'Secret-pass-1' };
+    await register(credentials.email);
+    const before = (await tokenLogin(credentials.email, credentials.password)).body;
+    const settings = (token) =>
+      request(app).get('/account/settings').set('Accept', JSON_ACCEPT).set('Authorization', `Bearer ${token}`);
+    // Інший токен, виданий раніше за зміну
+    const earlier = (await tokenLogin(credentials.email, credentials.password)).body;
+
+    const res = await request(app)
+      .put('/account/password')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${before.accessToken}`)
+      .send({ currentPassword: credentials.password, password: 'Another-pass-2' });
+    expect(res.status).toBe(200);
+    expect(res.headers['cache-control']).toBe('no-store');
+    const { tokens } = res.body.data;
+    expect(tokens).toMatchObject({ tokenType: 'Bearer', accessToken: expect.any(String) });
+
+    expect((await settings(tokens.accessToken)).status).toBe(200);
+    expect((await settings(before.accessToken)).status).toBe(401);
+    expect((await settings(earlier.accessToken)).status).toBe(401);
+    const refresh = (refreshToken) => request(app).post('/auth/token/refresh').send({ refreshToken });
+    expect((await refresh(before.refreshToken)).status).toBe(401);
+    expect((await refresh(tokens.refreshToken)).status).toBe(200);
+  });
+
+  test('зміна email: новий email непідтверджений, лист надіслано, зайнятий email → 409', async () => {
+    await register('taken@example.com');
+    await register('mover@example.com');
+    const { accessToken } = (await tokenLogin('mover@example.com', 'Secret-pass-1')).body;
+    const api = () =>
+      request(app).put('/account/email').set('Accept', JSON_ACCEPT).set('Authorization', `Bearer ${accessToken}`);
+
+    const same = await api().send({ email: 'Mover@example.com', currentPassword: 'Secret-pass-1' });
+    expect(same.status).toBe(400);
+    expect(same.body.error.details.errors[0]).toMatchObject({ field: 'email', code: 'unchanged' });
+
+    const taken = await api().send({ email: 'taken@example.com', currentPassword: 'Secret-pass-1' });
+    expect(taken.status).toBe(409);
+
+    const ok = await api().send({ email: 'Moved@Example.com', currentPassword: 'Secret-pass-1' });
+    expect(ok.status).toBe(200);
+    expect(ok.body.data).toMatchObject({ email: 'moved@example.com', emailVerifiedAt: null });
+    expect(ok.body.data.passHash).toBeUndefined();
+    expect(mailer.transport.last('moved@example.com').subject).toBe('Підтвердіть email');
+
+    expect((await tokenLogin('moved@example.com', 'Secret-pass-1')).status).toBe(200);
+    expect((await tokenLogin('mover@example.com', 'Secret-pass-1')).status).toBe(401);
+  });
+
+  test('видалення акаунта: вихід і неможливість увійти; останній admin — 409', async () => {
+    const credentials = { email: 'leaver@example.com', password: 'Secret-pass-1' };
+    await register(credentials.email);
+    const agent = request.agent(app);
+    await login(agent, credentials);
+
+    const res = await agent.delete('/account').set('Accept', JSON_ACCEPT).send({ currentPassword: 'Secret-pass-1' });
+    expect(res.status).toBe(204);
+    expect((await agent.get('/account/settings').set('Accept', JSON_ACCEPT)).status).toBe(401);
+    expect((await tokenLogin(credentials.email, credentials.password)).status).toBe(401);
+
+    await register('admin@example.com');
+    const { accessToken } = (await tokenLogin('admin@example.com', 'Secret-pass-1')).body;
+    const lastAdmin = await request(app)
+      .delete('/account')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ currentPassword: 'Secret-pass-1' });
+    expect(lastAdmin.status).toBe(409);
+  });
+
+  test('HTML: сторінка з трьома формами, помилка біля своєї форми, флеш після зміни', async () => {
+    const credentials = { email: 'html.settings@example.com', password: 'Secret-pass-1' };
+    await register(credentials.email);
+    const agent = request.agent(app);
+    await login(agent, credentials);
+
+    const page = await agent.get('/account/settings').set('Accept', HTML_ACCEPT);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('html.settings@example.com');
+    expect(page.text).toContain('action="/account/password"');
+    expect(page.text).toContain('action="/account/email"');
+    expect(page.text).toContain('value="DELETE"');
+
+    const invalid = await agent
+      .post('/account/email')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', email: 'new.html@example.com', currentPassword: 'wrong-password' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.text).toContain('Невірний поточний пароль');
+    expect(invalid.text).toContain('value="new.html@example.com"');
+
+    const changed = await agent
+      .post('/account/password')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', currentPassword: 'Secret-pass-1', password: 'Html-pass-22' });
+    expect(changed.status).toBe(303);
+    expect(changed.headers.location).toBe('/account/settings');
+    const after = await agent.get('/account/settings').set('Accept', HTML_ACCEPT);
+    expect(after.text).toContain('Пароль змінено');
+  });
+});
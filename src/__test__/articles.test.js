@@ -0,0 +1,145 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+
+const HTML_ACCEPT = 'text/html';
+const JSON_ACCEPT = 'application/json';
+
+describe('Articles: єдине сховище для HTML / JSON / text', () => {
+  const agent = request.agent(app);
+
+  beforeAll(async () => {
+    await agent.post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'admin@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('стаття, створена з HTML-форми, доступна в JSON і редагується формою', async () => {
+    const created = await agent
+      .post('/articles')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ title: 'From the UI', body: 'First draft' });
+    expect(created.status).toBe(303);
+    expect(created.headers.location).toBe('/articles?mine=1');
+
+    // Нова стаття — чернетка: вона в «Моїх статтях», а не в типовому списку опублікованих
+    const list = await agent.get('/articles?mine=1').set('Accept', JSON_ACCEPT);
+    const article = list.body.data.find((a) => a.title === 'From the UI');
+    expect(article).toBeDefined();
+
+    const page = await agent.get(`/articles/${article.id}`).set('Accept', HTML_ACCEPT);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('name="_method" value="PUT"');
+    expect(page.text).toContain('name="_method" value="DELETE"');
+
+    const edited = await agent
+      .post(`/articles/${article.id}`)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', title: 'Edited in the UI', body: 'Second draft' });
+    expect(edited.status).toBe(303);
+    expect(edited.headers.location).toBe(`/articles/${article.id}`);
+
+    const shown = await agent.get(`/articles/${article.id}`).set('Accept', JSON_ACCEPT);
+    expect(shown.body.data).toMatchObject({ title: 'Edited in the UI', body: 'Second draft' });
+
+    const deleted = await agent
+      .post(`/articles/${article.id}`)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'DELETE' });
+    expect(deleted.status).toBe(303);
+    expect(deleted.headers.location).toBe('/articles');
+
+    const missing = await agent.get(`/articles/${article.id}`).set('Accept', JSON_ACCEPT);
+    expect(missing.status).toBe(404);
+  });
+
+  test('стаття, створена text-клієнтом, видима в HTML-списку «Мої статті»', async () => {
+    const created = await agent.post('/articles').send({ title: 'From the CLI' });
+    expect(created.status).toBe(201);
+    expect(created.text).toBe('Post articles route');
+
+    const page = await agent.get('/articles?mine=1').set('Accept', HTML_ACCEPT);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('From the CLI');
+    expect(page.text).toContain(`href="${created.headers.location}"`);
+  });
+
+  test('редагування неіснуючої статті з HTML повертає 404-сторінку', async () => {
+    const response = await agent
+      .post('/articles/999999')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', title: 'Ghost' });
+
+    expect(response.status).toBe(404);
+    expect(response.text).toContain('999999');
+  });
+});
+
+describe('Articles: автор і права на зміну', () => {
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const bob = request.agent(app);
+
+  beforeAll(async () => {
+    for (const [agent, email] of [
+      [admin, 'admin@example.com'],
+      [alice, 'alice@example.com'],
+      [bob, 'bob@example.com'],
+    ]) {
+      await agent.post('/auth/register').send({ email, password: 'Secret-pass-1' });
+      await login(agent, { email, password: 'Secret-pass-1' });
+    }
+  });
+
+  // Стаття alice на розгляді → admin публікує, щоб її бачили інші
+  const createPublished = async (body) => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ ...body, status: 'review' });
+    await admin.post(`${created.headers.location}/publish`).set('Accept', JSON_ACCEPT).send({});
+    return created;
+  };
+
+  test('стаття запамʼятовує автора, фільтр «Мої статті»', async () => {
+    const created = await createPublished({ title: 'By Alice' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ authorEmail: 'alice@example.com' });
+    expect(created.body.data.authorId).toEqual(expect.any(String));
+    expect(created.body.data.updatedAt).toBeDefined();
+
+    const mine = await alice.get('/articles?mine=1').set('Accept', JSON_ACCEPT);
+    expect(mine.body.data.map((a) => a.title)).toEqual(['By Alice']);
+
+    const bobs = await bob.get('/articles?mine=1').set('Accept', JSON_ACCEPT);
+    expect(bobs.body.data).toEqual([]);
+
+    const page = await bob.get(created.headers.location).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('alice@example.com');
+    expect(page.text).not.toContain('name="_method" value="PUT"');
+  });
+
+  test('редагувати й видаляти може лише автор або admin', async () => {
+    const created = await createPublished({ title: 'Original' });
+    const url = created.headers.location;
+
+    const foreignEdit = await bob.put(url).set('Accept', JSON_ACCEPT).send({ title: 'Hijacked' });
+    expect(foreignEdit.status).toBe(403);
+    const foreignDelete = await bob.delete(url).set('Accept', JSON_ACCEPT);
+    expect(foreignDelete.status).toBe(403);
+
+    const ownEdit = await alice.put(url).set('Accept', JSON_ACCEPT).send({ title: 'Edited by Alice' });
+    expect(ownEdit.status).toBe(200);
+    expect(ownEdit.body.data.authorEmail).toBe('alice@example.com');
+
+    const adminDelete = await admin.delete(url).set('Accept', JSON_ACCEPT);
+    expect(adminDelete.status).toBe(204);
+  });
+});
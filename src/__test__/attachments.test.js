@@ -0,0 +1,352 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { sniffMime, contentDisposition } from '../attachments.mjs';
+import { parseMultipart } from '../multipart.mjs';
+import sharp from 'sharp';
+import { createThumbnail, imageSize, MAX_PIXELS } from '../thumbnails.mjs';
+import { createRepositories } from '../repositories/index.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+import { createMemoryStorage } from '../storage/drivers/memory.mjs';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+// Однотонне зображення width × height у форматі png | jpeg | gif | webp
+const solidImage = (format, width, height) =>
+  sharp({ create: { width, height, channels: 3, background: '#c0392b' } })
+    .toFormat(format)
+    .toBuffer();
+const solidPng = (width, height) => solidImage('png', width, height);
+
+// Лише сигнатура й IHDR із заявленим розміром — як «PNG-бомба»: заголовок обіцяє мільйони пікселів
+const pngHeader = (width, height) => {
+  const ihdr = Buffer.alloc(25);
+  ihdr.writeUInt32BE(13, 0);
+  ihdr.write('IHDR', 4, 'latin1');
+  ihdr.writeUInt32BE(width, 8);
+  ihdr.writeUInt32BE(height, 12);
+  ihdr.set([8, 6, 0, 0, 0], 16);
+  return Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ihdr]);
+};
+
+describe('attachments.mjs / multipart.mjs / thumbnails.mjs', () => {
+  test('тип — за вмістом, а не за імʼям файлу', async () => {
+    for (const format of ['png', 'jpeg', 'gif', 'webp']) {
+      expect(sniffMime(await solidImage(format, 2, 2))).toBe(`image/${format}`);
+    }
+    expect(sniffMime(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]))).toBe('image/jpeg');
+    expect(sniffMime(Buffer.from('%PDF-1.7\n'))).toBe('application/pdf');
+    expect(sniffMime(Buffer.from('Привіт, світ'))).toBe('text/plain');
+    expect(sniffMime(Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]))).toBeNull();
+    expect(sniffMime(Buffer.alloc(0))).toBeNull();
+  });
+
+  test('multipart: поля, файли, порожнє поле файлу пропускається', () => {
+    const boundary = 'XyZ';
+    const body = Buffer.from(
+      [
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="title"',
+        '',
+        'Заголовок',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="files"; filename="C:\\fakepath\\notes.txt"',
+        'Content-Type: text/plain',
+        '',
+        'line 1\r\nline 2',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="files"; filename=""',
+        'Content-Type: application/octet-stream',
+        '',
+        '',
+        `--${boundary}`,
+        'Content-Disposition: form-data; name="__proto__"',
+        '',
+        'x',
+        `--${boundary}--`,
+        '',
+      ].join('\r\n')
+    );
+    const { fields, files } = parseMultipart(body, boundary);
+    expect({ ...fields }).toEqual({ title: 'Заголовок', ['__proto__']: 'x' });
+    expect(files).toHaveLength(1);
+    expect(files[0]).toMatchObject({ field: 'files', filename: 'notes.txt', declaredType: 'text/plain', size: 14 });
+    expect(files[0].buffer.toString()).toBe('line 1\r\nline 2');
+    expect(() => parseMultipart(body, boundary, { maxFiles: 0 })).toThrow(/At most 0 files/);
+    expect(() => parseMultipart(Buffer.from('garbage'), boundary)).toThrow(/Malformed/);
+  });
+
+  test.each([
+    ['png', 'image/png'],
+    ['jpeg', 'image/jpeg'],
+    ['gif', 'image/png'],
+    ['webp', 'image/webp'],
+  ])('мініатюра %s зберігає пропорції (%s)', async (format, thumbnailMime) => {
+    const source = await solidImage(format, 800, 400);
+    expect(imageSize(source, `image/${format}`)).toEqual({ width: 800, height: 400 });
+
+    const thumbnail = await createThumbnail(source, `image/${format}`);
+    expect(thumbnail).toMatchObject({ mime: thumbnailMime, width: 320, height: 160 });
+    expect(sniffMime(thumbnail.buffer)).toBe(thumbnailMime);
+    expect(imageSize(thumbnail.buffer, thumbnailMime)).toEqual({ width: 320, height: 160 });
+
+    const portrait = await createThumbnail(await solidImage(format, 300, 900), `image/${format}`);
+    expect(portrait).toMatchObject({ width: 107, height: 320 });
+  });
+
+  test('мале, пошкоджене й не-зображення — без мініатюри', async () => {
+    expect(await createThumbnail(await solidPng(100, 50), 'image/png')).toBeNull();
+    expect(await createThumbnail(Buffer.from('GIF89a\x20\x03\x20\x03', 'latin1'), 'image/gif')).toBeNull();
+    expect(await createThumbnail(Buffer.from('%PDF-1.7\n'), 'application/pdf')).toBeNull();
+  });
+
+  test('зображення понад MAX_PIXELS не декодується: без мініатюри й без затримки', async () => {
+    const huge = pngHeader(2000, Math.ceil(MAX_PIXELS / 2000) + 1);
+    const started = performance.now();
+    expect(await createThumbnail(huge, 'image/png')).toBeNull();
+    // Лише заголовок: декодування такого зображення тривало б секунди
+    expect(performance.now() - started).toBeLessThan(20);
+  });
+
+  test('Content-Disposition: зображення inline, інше — attachment; не-ASCII імʼя в filename*', () => {
+    expect(contentDisposition({ mime: 'image/png', filename: 'фото (1).png' })).toBe(
+      `inline; filename="____ (1).png"; filename*=UTF-8''%D1%84%D0%BE%D1%82%D0%BE%20%281%29.png`
+    );
+    expect(contentDisposition({ mime: 'text/plain', filename: 'a".txt' })).toMatch(/^attachment; filename="a_.txt"/);
+  });
+
+  test('остаточне видалення статті прибирає і файли вкладень', async () => {
+    const storage = createMemoryStorage();
+    const repos = createRepositories(createMemoryDriver(), { storage });
+    const article = await repos.articles.create({ title: 'With files', body: '' });
+    const png = await solidPng(800, 400);
+    await repos.attachments.create({
+      articleId: article.id,
+      file: { filename: 'a.png', mime: 'image/png', buffer: png, width: 800, height: 400 },
+      thumbnail: await createThumbnail(png, 'image/png'),
+    });
+    expect(storage.files.size).toBe(2);
+
+    await repos.articles.softDelete(article.id);
+    await repos.articles.purgeDeletedBefore(new Date(Date.now() + 1000));
+    expect(await repos.attachments.listByArticle(article.id)).toEqual([]);
+    expect(storage.files.size).toBe(0);
+  });
+});
+
+describe('Вкладення статей', () => {
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const bob = request.agent(app);
+  let png;
+
+  beforeAll(async () => {
+    png = await solidPng(800, 400);
+    for (const [agent, email] of [
+      [admin, 'admin@example.com'],
+      [alice, 'alice@example.com'],
+      [bob, 'bob@example.com'],
+    ]) {
+      await agent.post('/auth/register').send({ email, password: 'Secret-pass-1' });
+      await login(agent, { email, password: 'Secret-pass-1' });
+    }
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('файли з форми статті; завантаження — лише тим, хто бачить статтю', async () => {
+    const created = await alice
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .field('title', 'With files')
+      .field('body', 'See attached')
+      .field('status', 'review')
+      .attach('files', png, { filename: 'chart.png', contentType: 'application/octet-stream' })
+      .attach('files', Buffer.from('just text'), 'notes.txt');
+    expect(created.status).toBe(201);
+    const url = created.headers.location;
+
+    const { body } = await alice.get(`${url}/attachments`).set('Accept', JSON_ACCEPT);
+    const [image, text] = body.data;
+    expect(image).toMatchObject({ filename: 'chart.png', mime: 'image/png', width: 800, height: 400 });
+    expect(image.thumbnail).toMatchObject({ mime: 'image/png', width: 320, height: 160 });
+    expect(text).toMatchObject({ filename: 'notes.txt', mime: 'text/plain', size: 9, thumbnail: null });
+
+    // Стаття на розгляді — bob її не бачить, а отже й файлів
+    expect((await bob.get(`${url}/attachments/${image.id}`)).status).toBe(404);
+    expect((await request(app).get(`${url}/attachments/${image.id}`)).status).not.toBe(200);
+
+    await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).send({});
+    const file = await bob.get(`${url}/attachments/${image.id}`).buffer(true);
+    expect(file.status).toBe(200);
+    expect(file.headers['content-type']).toBe('image/png');
+    expect(file.headers['x-content-type-options']).toBe('nosniff');
+    expect(file.headers['content-disposition']).toMatch(/^inline; filename="chart.png"/);
+    expect(Buffer.compare(file.body, png)).toBe(0);
+
+    const thumbnail = await bob.get(`${url}/attachments/${image.id}/thumbnail`).buffer(true);
+    expect(imageSize(thumbnail.body, 'image/png')).toEqual({ width: 320, height: 160 });
+    expect((await bob.get(`${url}/attachments/${text.id}/thumbnail`)).status).toBe(404);
+
+    const photo = await alice
+      .post(`${url}/attachments`)
+      .set('Accept', JSON_ACCEPT)
+      .attach('files', await solidImage('jpeg', 1200, 900), 'photo.jpg');
+    const [jpeg] = photo.body.data;
+    expect(jpeg.thumbnail).toMatchObject({ mime: 'image/jpeg', width: 320, height: 240 });
+    const jpegThumbnail = await bob.get(`${url}/attachments/${jpeg.id}/thumbnail`).buffer(true);
+    expect(jpegThumbnail.headers['content-type']).toBe('image/jpeg');
+    expect(imageSize(jpegThumbnail.body, 'image/jpeg')).toEqual({ width: 320, height: 240 });
+
+    const download = await bob.get(`${url}/attachments/${text.id}`);
+    expect(download.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(download.headers['content-disposition']).toMatch(/^attachment;/);
+    expect(download.text).toBe('just text');
+
+    const page = await bob.get(url).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('id="attachments"');
+    expect(page.text).toContain(`src="${url}/attachments/${image.id}/thumbnail"`);
+    expect(page.text).toContain('notes.txt');
+    // Чужа стаття — без форми завантаження, а запит в обхід форми → 403
+    expect(page.text).not.toContain(`action="${url}/attachments"`);
+    const foreign = await bob.post(`${url}/attachments`).set('Accept', JSON_ACCEPT).attach('files', png, 'x.png');
+    expect(foreign.status).toBe(403);
+  });
+
+  test('тип і розмір перевіряє сервер; додає й видаляє лише автор', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Mine', body: '' });
+    const url = created.headers.location;
+
+    const disguised = await alice
+      .post(`${url}/attachments`)
+      .set('Accept', JSON_ACCEPT)
+      .attach('files', Buffer.from([0x4d, 0x5a, 0x90, 0x00]), { filename: 'photo.png', contentType: 'image/png' });
+    expect(disguised.status).toBe(415);
+    expect(disguised.body.error.details.errors[0]).toMatchObject({ field: 'files', code: 'unsupported_type' });
+
+    const huge = await alice
+      .post(`${url}/attachments`)
+      .set('Accept', JSON_ACCEPT)
+      .attach('files', Buffer.alloc(5 * 1024 * 1024 + 1, 0x61), 'huge.txt');
+    expect(huge.status).toBe(413);
+    expect((await alice.post(`${url}/attachments`).set('Accept', JSON_ACCEPT).field('x', '1')).status).toBe(400);
+
+    const form = await alice
+      .post(`${url}/attachments`)
+      .set('Accept', HTML_ACCEPT)
+      .attach('files', Buffer.from('MZ\x90\x00', 'latin1'), 'evil.exe');
+    expect(form.status).toBe(415);
+    expect(form.text).toContain('id="attachment-files"');
+    expect(form.text).toContain('class="field-error"');
+
+    // Чернетка alice для bob не існує
+    expect((await bob.post(`${url}/attachments`).attach('files', png, 'x.png')).status).toBe(404);
+
+    const added = await alice.post(`${url}/attachments`).set('Accept', JSON_ACCEPT).attach('files', png, 'a.png');
+    expect(added.status).toBe(201);
+    const [attachment] = added.body.data;
+
+    // Понад MAX_PIXELS — файл зберігається, але без мініатюри
+    const large = await alice
+      .post(`${url}/attachments`)
+      .set('Accept', JSON_ACCEPT)
+      .attach('files', pngHeader(2000, Math.ceil(MAX_PIXELS / 2000) + 1), 'large.png');
+    expect(large.status).toBe(201);
+    expect(large.body.data[0]).toMatchObject({ mime: 'image/png', width: 2000, thumbnail: null });
+    const fileUrl = `${url}/attachments/${attachment.id}`;
+
+    expect((await bob.delete(fileUrl).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    expect((await alice.delete(fileUrl).set('Accept', JSON_ACCEPT)).status).toBe(204);
+    expect((await alice.get(fileUrl)).status).toBe(404);
+
+    const log = await admin
+      .get(`/admin/audit?entityType=attachment&entityId=${attachment.id}`)
+      .set('Accept', JSON_ACCEPT);
+    expect(log.body.data.map((e) => e.action).sort()).toEqual(['create', 'delete']);
+  });
+
+  test('тіло з файлами розбирається лише в маршрутах завантаження, після перевірки прав', async () => {
+    const anonymous = await request(app)
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .field('title', 'Anonymous')
+      .attach('files', Buffer.from('hello'), 'hello.txt');
+    expect(anonymous.status).toBe(401);
+
+    const created = await alice
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'Edit with files', body: '' });
+    const url = created.headers.location;
+    const { text: page } = await alice.get(url).set('Accept', HTML_ACCEPT);
+    const csrf = /name="_csrf" value="([^"]+)"/.exec(page)[1];
+    expect(page).toContain(`action="${url}?_method=PUT"`);
+
+    // Не маршрут завантаження: поле _csrf у multipart ніхто не читає → 403
+    const remove = await alice
+      .post(`${url}?_method=DELETE`)
+      .set('Accept', JSON_ACCEPT)
+      .unset('X-CSRF-Token')
+      .field('_csrf', csrf);
+    expect(remove.status).toBe(403);
+    expect(remove.body.error.message).toBe('Invalid CSRF token');
+
+    // Форма редагування: _method у query, _csrf і version — у тілі
+    const edited = await alice
+      .post(`${url}?_method=PUT`)
+      .set('Accept', HTML_ACCEPT)
+      .unset('X-CSRF-Token')
+      .field('_csrf', csrf)
+      .field('version', '1')
+      .field('title', 'Edited with files')
+      .field('body', '')
+      .attach('files', Buffer.from('v2'), 'v2.txt');
+    expect(edited.status).toBe(303);
+    const { body } = await alice.get(url).set('Accept', JSON_ACCEPT);
+    expect(body.data).toMatchObject({ title: 'Edited with files', version: 2 });
+    const list = await alice.get(`${url}/attachments`).set('Accept', JSON_ACCEPT);
+    expect(list.body.data.map((a) => a.filename)).toEqual(['v2.txt']);
+
+    const forged = await alice
+      .post(`${url}?_method=PUT`)
+      .set('Accept', JSON_ACCEPT)
+      .unset('X-CSRF-Token')
+      .field('title', 'Forged')
+      .attach('files', Buffer.from('x'), 'x.txt');
+    expect(forged.status).toBe(403);
+
+    // Права й існування статті перевіряються до читання тіла: кривий multipart не розбирається (інакше — 400)
+    const garbage = (req) =>
+      req.set('Accept', JSON_ACCEPT).type('multipart/form-data; boundary=XyZ').send('not a multipart body');
+    // Чернетка alice для bob не існує
+    expect((await garbage(bob.post(`${url}/attachments`))).status).toBe(404);
+    expect((await garbage(bob.post(`${url}?_method=PUT`))).status).toBe(404);
+    expect((await garbage(alice.post('/articles/000000000000000000000000/attachments'))).status).toBe(404);
+    expect((await garbage(alice.post('/articles/000000000000000000000000?_method=PUT'))).status).toBe(404);
+    expect((await garbage(alice.post(`${url}/attachments`))).status).toBe(400);
+  });
+
+  test('CSRF для форм з файлами — у полі _csrf або в заголовку', async () => {
+    const agent = request.agent(app);
+    await agent.post('/auth/register').send({ email: 'carol@example.com', password: 'Secret-pass-1' });
+    const { headers } = await agent.post('/auth/login').send({ email: 'carol@example.com', password: 'Secret-pass-1' });
+
+    const forged = await agent.post('/articles').set('Accept', JSON_ACCEPT).field('title', 'Forged');
+    expect(forged.status).toBe(403);
+    const ok = await agent
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .field('_csrf', headers['x-csrf-token'])
+      .field('title', 'Legit')
+      .attach('files', Buffer.from('hello'), 'hello.txt');
+    expect(ok.status).toBe(201);
+    const list = await agent.get(`${ok.headers.location}/attachments`).set('Accept', JSON_ACCEPT);
+    expect(list.body.data.map((a) => a.filename)).toEqual(['hello.txt']);
+  });
+});
@@ -0,0 +1,106 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { diff } from '../audit.mjs';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+describe('diff для журналу аудиту', () => {
+  test('лише змінені поля, без службових і passHash', () => {
+    const before = { id: '1', title: 'A', body: 'same', version: 1, updatedAt: new Date(1), passHash: 'x' };
+    const after = { id: '1', title: 'B', body: 'same', version: 2, updatedAt: new Date(2), passHash: 'y', tag: 'new' };
+    expect(diff(before, after)).toEqual({ title: { from: 'A', to: 'B' }, tag: { from: null, to: 'new' } });
+    expect(diff(null, { title: 'T' })).toEqual({ title: { from: null, to: 'T' } });
+    expect(diff({ at: new Date(5) }, { at: new Date(5) })).toEqual({});
+  });
+});
+
+describe('Журнал аудиту', () => {
+  const admin = request.agent(app);
+  const carol = request.agent(app);
+
+  const auditFor = async (query) => (await admin.get(`/admin/audit?${query}`).set('Accept', JSON_ACCEPT)).body;
+
+  beforeAll(async () => {
+    for (const [agent, email] of [
+      [admin, 'admin@example.com'],
+      [carol, 'carol.audit@example.com'],
+    ]) {
+      await agent.post('/auth/register').send({ email, password: 'Secret-pass-1' });
+      await login(agent, { email, password: 'Secret-pass-1' });
+    }
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('реєстрація та вхід записуються без пароля', async () => {
+    const registered = await auditFor('action=register&entityType=account');
+    const entry = registered.data.find((e) => e.changes.email?.to === 'carol.audit@example.com');
+    expect(entry).toMatchObject({ actorId: null, method: 'POST', path: '/auth/register' });
+    expect(entry.changes.passHash).toBeUndefined();
+    expect(JSON.stringify(registered)).not.toContain('Secret-pass-1');
+
+    const logins = await auditFor('action=login&actor=carol.audit@example.com');
+    expect(logins.data[0]).toMatchObject({ actorEmail: 'carol.audit@example.com', details: { method: 'session' } });
+  });
+
+  test('створення, зміна та видалення статті — з актором, requestId і різницею полів', async () => {
+    const created = await carol.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Audited', body: 'v1' });
+    const { id } = created.body.data;
+    await carol.patch(`/articles/${id}`).set('Accept', JSON_ACCEPT).send({ title: 'Audited twice' });
+    await carol.delete(`/articles/${id}`).set('Accept', JSON_ACCEPT);
+
+    const log = await auditFor(`entityType=article&entityId=${id}`);
+    expect(log.meta.total).toBe(3);
+    expect(log.data.map((e) => e.action)).toEqual(['delete', 'update', 'create']);
+
+    const [removed, updated, createdEntry] = log.data;
+    expect(createdEntry).toMatchObject({
+      actorEmail: 'carol.audit@example.com',
+      actorRole: 'user',
+      changes: { title: { from: null, to: 'Audited' }, body: { from: null, to: 'v1' } },
+    });
+    expect(createdEntry.requestId).toEqual(expect.any(String));
+    expect(updated.changes).toEqual({ title: { from: 'Audited', to: 'Audited twice' } });
+    expect(removed.changes.deletedByEmail).toEqual({ from: null, to: 'carol.audit@example.com' });
+    expect(new Date(removed.at) >= new Date(createdEntry.at)).toBe(true);
+  });
+
+  test('фільтри за датою і некоректні параметри', async () => {
+    const future = await auditFor('from=2999-01-01');
+    expect(future.data).toEqual([]);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const upToToday = await auditFor(`to=${today}&limit=1`);
+    expect(upToToday.meta.total).toBeGreaterThan(0);
+
+    expect((await admin.get('/admin/audit?action=hack').set('Accept', JSON_ACCEPT)).status).toBe(400);
+    expect((await admin.get('/admin/audit?from=yesterday').set('Accept', JSON_ACCEPT)).status).toBe(400);
+  });
+
+  test('сторінка та API — лише для admin', async () => {
+    expect((await carol.get('/admin/audit').set('Accept', JSON_ACCEPT)).status).toBe(403);
+
+    const page = await admin.get('/admin/audit?entityType=article').set('Accept', HTML_ACCEPT);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('Audit log');
+    expect(page.text).toContain('carol.audit@example.com');
+    expect(page.text).toContain('Audited twice');
+  });
+
+  test('вихід записується', async () => {
+    const agent = request.agent(app);
+    await agent.post('/auth/register').send({ email: 'dave.audit@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'dave.audit@example.com', password: 'Secret-pass-1' });
+    await agent.post('/auth/logout');
+
+    const log = await auditFor('action=logout&actor=dave.audit@example.com');
+    expect(log.data).toHaveLength(1);
+  });
+});
@@ -0,0 +1,212 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { buildCommentTree, initialCommentStatus } from '../comments.mjs';
+
+// Гачок між читанням коментаря й записом: коментар уже прочитано, запис ще не почався
+const hooks = vi.hoisted(() => ({ afterFindComment: null }));
+vi.mock('../repositories/comments.mjs', async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createCommentsRepository: (...args) => {
+      const repo = original.createCommentsRepository(...args);
+      return {
+        ...repo,
+        async findById(...params) {
+          const comment = await repo.findById(...params);
+          await hooks.afterFindComment?.();
+          return comment;
+        },
+      };
+    },
+  };
+});
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+describe('comments.mjs', () => {
+  test('дерево відповідей: гілка без видимого батька відкидається, видалений лист — теж', () => {
+    const tree = buildCommentTree([
+      { id: '1', parentId: null },
+      { id: '2', parentId: '1' },
+      { id: '3', parentId: '2', deletedAt: new Date() },
+      { id: '4', parentId: null, deletedAt: new Date() },
+      { id: '5', parentId: '4' },
+      { id: '6', parentId: 'hidden' },
+    ]);
+    const ids = (nodes) => nodes.map((node) => [node.id, ids(node.replies)]);
+    expect(ids(tree)).toEqual([
+      ['1', [['2', []]]],
+      ['4', [['5', []]]],
+    ]);
+  });
+
+  test('премодерація: новий коментар чекає схвалення, модератор — ні', () => {
+    const user = { id: 'u1', role: 'user' };
+    expect(initialCommentStatus(user, {})).toBe('approved');
+    expect(initialCommentStatus(user, { COMMENTS_PREMODERATION: 'true' })).toBe('pending');
+    expect(initialCommentStatus({ id: 'e1', role: 'editor' }, { COMMENTS_PREMODERATION: '1' })).toBe('approved');
+  });
+});
+
+describe('Коментарі до статей', () => {
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const bob = request.agent(app);
+  let url;
+
+  beforeAll(async () => {
+    for (const [agent, email] of [
+      [admin, 'admin@example.com'],
+      [alice, 'alice@example.com'],
+      [bob, 'bob@example.com'],
+    ]) {
+      await agent.post('/auth/register').send({ email, password: 'Secret-pass-1' });
+      await login(agent, { email, password: 'Secret-pass-1' });
+    }
+    const created = await admin
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'Discussed', body: 'text', status: 'published' });
+    url = created.headers.location;
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('коментар, відповідь, зміна й видалення автором; чужий — 403', async () => {
+    const created = await alice.post(`${url}/comments`).set('Accept', JSON_ACCEPT).send({ body: 'First!' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ body: 'First!', status: 'approved', depth: 0, parentId: null });
+    const comment = created.body.data;
+    expect(created.headers.location).toBe(`${url}/comments/${comment.id}`);
+
+    const reply = await bob
+      .post(`${url}/comments`)
+      .set('Accept', JSON_ACCEPT)
+      .send({ body: 'Reply', parentId: comment.id });
+    expect(reply.body.data).toMatchObject({ parentId: comment.id, depth: 1 });
+
+    const missing = await bob
+      .post(`${url}/comments`)
+      .set('Accept', JSON_ACCEPT)
+      .send({ body: 'x', parentId: '999999' });
+    expect(missing.status).toBe(400);
+    expect(missing.body.error.details.errors[0]).toMatchObject({ field: 'parentId', code: 'not_found' });
+    expect((await bob.post(`${url}/comments`).set('Accept', JSON_ACCEPT).send({ body: ' ' })).status).toBe(400);
+
+    const commentUrl = created.headers.location;
+    expect((await bob.put(commentUrl).set('Accept', JSON_ACCEPT).send({ body: 'Hacked' })).status).toBe(403);
+    expect((await bob.delete(commentUrl).set('Accept', JSON_ACCEPT)).status).toBe(403);
+
+    const edited = await alice.put(commentUrl).set('Accept', JSON_ACCEPT).send({ body: 'First, edited', version: 1 });
+    expect(edited.status).toBe(200);
+    expect(edited.body.data).toMatchObject({ body: 'First, edited', version: 2 });
+    expect(edited.body.data.editedAt).toBeTruthy();
+    expect((await alice.put(commentUrl).set('Accept', JSON_ACCEPT).send({ body: 'x', version: 1 })).status).toBe(409);
+
+    // Видалений коментар з відповіддю лишається місцем у гілці
+    expect((await alice.delete(commentUrl).set('Accept', JSON_ACCEPT)).status).toBe(204);
+    const page = await bob.get(url).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Коментар видалено.');
+    expect(page.text).toContain('Reply');
+    expect(page.text).not.toContain('First, edited');
+    expect((await alice.put(commentUrl).set('Accept', JSON_ACCEPT).send({ body: 'Back' })).status).toBe(404);
+
+    const log = await admin.get(`/admin/audit?entityType=comment&entityId=${comment.id}`).set('Accept', JSON_ACCEPT);
+    expect(log.body.data.map((e) => e.action).sort()).toEqual(['create', 'delete', 'update']);
+  });
+
+  test('зміна й видалення без версії не перезаписують модерацію, що встигла між читанням і записом', async () => {
+    const created = await bob.post(`${url}/comments`).set('Accept', JSON_ACCEPT).send({ body: 'Raced' });
+    const commentUrl = created.headers.location;
+    const hideMeanwhile = (status) => async () => {
+      hooks.afterFindComment = null;
+      await admin.post(`${commentUrl}/${status}`).set('Accept', JSON_ACCEPT);
+    };
+
+    hooks.afterFindComment = hideMeanwhile('hide');
+    const edit = await bob.put(commentUrl).set('Accept', JSON_ACCEPT).send({ body: 'Edited' });
+    expect(hooks.afterFindComment).toBeNull();
+    expect(edit.status).toBe(409);
+    expect(edit.body.error.details).toEqual({ currentVersion: 2 });
+
+    await admin.post(`${commentUrl}/approve`).set('Accept', JSON_ACCEPT);
+    hooks.afterFindComment = hideMeanwhile('hide');
+    const removed = await bob.delete(commentUrl).set('Accept', JSON_ACCEPT);
+    expect(removed.status).toBe(409);
+
+    const { body } = await bob.get(commentUrl).set('Accept', JSON_ACCEPT);
+    expect(body.data).toMatchObject({ body: 'Raced', status: 'hidden', deletedAt: null, version: 4 });
+  });
+
+  test('глибина гілки обмежена', async () => {
+    let parentId;
+    for (let depth = 0; depth <= 4; depth += 1) {
+      const res = await bob.post(`${url}/comments`).set('Accept', JSON_ACCEPT).send({ body: `d${depth}`, parentId });
+      expect(res.status).toBe(201);
+      parentId = res.body.data.id;
+    }
+    const tooDeep = await bob.post(`${url}/comments`).set('Accept', JSON_ACCEPT).send({ body: 'deeper', parentId });
+    expect(tooDeep.status).toBe(400);
+    expect(tooDeep.body.error.details.errors[0].code).toBe('too_deep');
+  });
+
+  test('модерація: приховане бачать лише автор і модератори; лічильник у списку — лише схвалені', async () => {
+    const created = await bob.post(`${url}/comments`).set('Accept', JSON_ACCEPT).send({ body: 'Spam here' });
+    const { id, version } = created.body.data;
+
+    expect((await alice.post(`${url}/comments/${id}/hide`).set('Accept', JSON_ACCEPT)).status).toBe(403);
+    const hidden = await admin.post(`${url}/comments/${id}/hide`).set('Accept', JSON_ACCEPT).send({ version });
+    expect(hidden.body.data.status).toBe('hidden');
+    expect((await admin.post(`${url}/comments/${id}/hide`).set('Accept', JSON_ACCEPT)).status).toBe(409);
+
+    expect((await alice.get(`${url}/comments/${id}`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    const visible = await alice.get(`${url}/comments`).set('Accept', JSON_ACCEPT);
+    expect(visible.body.data.map((c) => c.body)).not.toContain('Spam here');
+    expect((await bob.get(`${url}/comments/${id}`).set('Accept', JSON_ACCEPT)).body.data.status).toBe('hidden');
+    expect((await bob.get(url).set('Accept', HTML_ACCEPT)).text).toContain('приховано');
+
+    const queue = await admin.get('/admin/comments?status=hidden').set('Accept', JSON_ACCEPT);
+    expect(queue.body.data.map((c) => c.id)).toContain(id);
+    expect((await admin.get('/admin/comments?status=bogus').set('Accept', JSON_ACCEPT)).status).toBe(400);
+    expect((await alice.get('/admin/comments').set('Accept', JSON_ACCEPT)).status).toBe(403);
+
+    const page = await admin.get('/admin/comments?status=hidden').set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Spam here');
+    expect(page.text).toContain(`action="${url}/comments/${id}/approve"`);
+
+    const approved = await admin
+      .post(`${url}/comments/${id}/approve`)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ returnTo: '/admin/comments?status=hidden' });
+    expect(approved.status).toBe(303);
+    expect(approved.headers.location).toBe('/admin/comments?status=hidden');
+
+    const all = await alice.get(`${url}/comments`).set('Accept', JSON_ACCEPT);
+    const live = all.body.data.filter((c) => !c.deletedAt && c.status === 'approved').length;
+    const index = await alice.get('/articles').set('Accept', HTML_ACCEPT);
+    expect(index.text).toContain(`коментарів: ${live}`);
+  });
+
+  test('HTML-форма: порожній коментар — 400 з помилкою, успіх — назад до коментаря', async () => {
+    const invalid = await alice.post(`${url}/comments`).set('Accept', HTML_ACCEPT).type('form').send({ body: '' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.text).toContain('id="comments"');
+    expect(invalid.text).toContain('flash--error');
+
+    const ok = await alice.post(`${url}/comments`).set('Accept', HTML_ACCEPT).type('form').send({ body: 'Nice' });
+    expect(ok.status).toBe(303);
+    expect(ok.headers.location).toMatch(new RegExp(`^${url}#comment-`));
+    const page = await alice.get(url).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Коментар додано');
+    expect(page.text).toContain('Nice');
+  });
+});
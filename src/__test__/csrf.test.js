@@ -0,0 +1,160 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+const credentials = { email: 'csrf.writer@example.com', password: 'Secret-pass-1' };
+
+// Значення прихованого поля _csrf з HTML-сторінки
+const formToken = (html) => /name="_csrf" value="([^"]*)"/.exec(html)?.[1];
+
+describe('CSRF', () => {
+  // Без login() з helpers.js: токен у цих тестах передаємо явно
+  const agent = request.agent(app);
+  let token;
+
+  beforeAll(async () => {
+    await agent.post('/auth/register').send(credentials);
+    const res = await agent.post('/auth/login').send(credentials);
+    token = res.headers['x-csrf-token'];
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('сесійний запит без токена або з чужим токеном → 403, з токеном у заголовку → 201', async () => {
+    const missing = await agent.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Forged' });
+    expect(missing.status).toBe(403);
+    expect(missing.body.error).toMatchObject({ code: 'forbidden', message: 'Invalid CSRF token' });
+
+    const wrong = await agent
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .set('X-CSRF-Token', 'x'.repeat(token.length))
+      .send({ title: 'Forged' });
+    expect(wrong.status).toBe(403);
+
+    const ok = await agent
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .set('X-CSRF-Token', token)
+      .send({ title: 'Legit' });
+    expect(ok.status).toBe(201);
+
+    // DELETE теж змінює стан
+    const del = await agent.delete(`/articles/${ok.body.data.id}`).set('Accept', JSON_ACCEPT);
+    expect(del.status).toBe(403);
+  });
+
+  test('форми Pug і EJS містять токен сесії; HTML-форма без нього → 403-сторінка', async () => {
+    const articles = await agent.get('/articles').set('Accept', HTML_ACCEPT);
+    const users = await agent.get('/users').set('Accept', HTML_ACCEPT);
+    expect(formToken(articles.text)).toBe(token);
+    expect(formToken(users.text)).toBe(token);
+    expect(articles.text).toContain(`<meta name="csrf-token" content="${token}"`);
+
+    const { body } = await agent.get('/auth/csrf').set('Accept', JSON_ACCEPT);
+    expect(body.data.token).toBe(token);
+
+    const forged = await agent
+      .post('/articles')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ title: 'From another site' });
+    expect(forged.status).toBe(403);
+    expect(forged.text).toContain('Форма застаріла');
+
+    const res = await agent
+      .post('/articles')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _csrf: token, title: 'From the form' });
+    expect(res.status).toBe(303);
+
+    // _csrf не потрапляє в запис
+    const created = await agent.get(res.headers.location).set('Accept', JSON_ACCEPT);
+    expect(created.body.data._csrf).toBeUndefined();
+  });
+
+  test('вихід через форму вимагає токен; після нового входу старий токен не діє', async () => {
+    const other = request.agent(app);
+    const first = (await other.post('/auth/login').send(credentials)).headers['x-csrf-token'];
+
+    expect((await other.post('/auth/logout')).status).toBe(403);
+    expect((await other.post('/auth/logout').type('form').send({ _csrf: first })).status).toBe(204);
+
+    const second = (await other.post('/auth/login').send(credentials)).headers['x-csrf-token'];
+    expect(second).not.toBe(first);
+    const stale = await other.post('/articles/preview').set('X-CSRF-Token', first).send({ body: '*x*' });
+    expect(stale.status).toBe(403);
+    const fresh = await other
+      .post('/articles/preview')
+      .set('Accept', JSON_ACCEPT)
+      .set('X-CSRF-Token', second)
+      .send({ body: '*x*' });
+    expect(fresh.status).toBe(200);
+  });
+
+  test('Bearer-запити й анонімні запити токена не потребують', async () => {
+    const { accessToken } = (await request(app).post('/auth/token').send(credentials)).body;
+    const res = await request(app)
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ title: 'Via API' });
+    expect(res.status).toBe(201);
+
+    const anonymous = await request(app).post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Anon' });
+    expect(anonymous.status).toBe(401);
+  });
+
+  test('форми входу й реєстрації (login CSRF): токен сесії, створеної на GET форми', async () => {
+    const victim = request.agent(app);
+    // Форма з чужого сайту: сесії ще немає, токена — теж
+    const forged = await victim.post('/auth/login').set('Accept', HTML_ACCEPT).type('form').send(credentials);
+    expect(forged.status).toBe(403);
+    expect(forged.text).toContain('Форма застаріла');
+    expect((await victim.get('/account/settings').set('Accept', JSON_ACCEPT)).status).toBe(401);
+
+    const loginPage = await victim.get('/auth/login').set('Accept', HTML_ACCEPT);
+    const preSession = formToken(loginPage.text);
+    expect(preSession).toBeTruthy();
+    // Токен чужої сесії не підходить
+    const stranger = formToken((await request(app).get('/auth/login').set('Accept', HTML_ACCEPT)).text);
+    const foreign = await victim
+      .post('/auth/login')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ ...credentials, _csrf: stranger });
+    expect(foreign.status).toBe(403);
+
+    const ok = await victim
+      .post('/auth/login')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ ...credentials, _csrf: preSession });
+    expect(ok.status).toBe(303);
+    // Після входу сесія нова — і токен новий
+    const { body } = await victim.get('/auth/csrf').set('Accept', JSON_ACCEPT);
+    expect(body.data.token).not.toBe(preSession);
+
+    const newcomer = request.agent(app);
+    const registration = { email: 'csrf.newcomer@example.com', password: 'Secret-pass-1' };
+    const noToken = await newcomer.post('/auth/register').set('Accept', HTML_ACCEPT).type('form').send(registration);
+    expect(noToken.status).toBe(403);
+    const registerPage = await newcomer.get('/auth/register').set('Accept', HTML_ACCEPT);
+    const registered = await newcomer
+      .post('/auth/register')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ ...registration, _csrf: formToken(registerPage.text) });
+    expect(registered.status).toBe(303);
+
+    // JSON-тіло чужий сайт без CORS не надішле — API-клієнтам токен до входу не потрібен
+    expect((await request(app).post('/auth/login').send(credentials)).status).toBe(200);
+  });
+});
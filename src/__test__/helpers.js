@@ -0,0 +1,11 @@
+// Спільне для тестів маршрутів.
+
+/**
+ * Вхід сесійного агента supertest. CSRF-токен нової сесії (заголовок X-CSRF-Token відповіді)
+ * стає заголовком за замовчуванням для всіх наступних запитів агента (див. src/csrf.mjs).
+ */
+export async function login(agent, credentials, headers = {}) {
+  const res = await agent.post('/auth/login').set(headers).send(credentials);
+  agent.set('X-CSRF-Token', res.headers['x-csrf-token']);
+  return res;
+}
@@ -0,0 +1,154 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+
+const JSON_ACCEPT = 'application/json';
+
+describe('JSON API (Accept: application/json)', () => {
+  const agent = request.agent(app);
+
+  beforeAll(async () => {
+    await agent
+      .post('/auth/register')
+      .send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'admin@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('без сесії повертається 401 з JSON-помилкою', async () => {
+    const response = await request(app).get('/users').set('Accept', JSON_ACCEPT);
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toMatchObject({ status: 401, code: 'unauthorized' });
+  });
+
+  test('POST /users повертає 201, Location та створений запис', async () => {
+    const response = await agent
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .send({ surname: 'Lovelace', firstName: 'Ada', email: 'ada@example.com' });
+
+    expect(response.status).toBe(201);
+    expect(response.headers.location).toBe(`/users/${response.body.data.id}`);
+    expect(response.body.data).toMatchObject({ name: 'Lovelace Ada', email: 'ada@example.com' });
+
+    const list = await agent.get('/users').set('Accept', JSON_ACCEPT);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((u) => u.id)).toContain(response.body.data.id);
+  });
+
+  test('POST /users з некоректними даними повертає 400 з JSON-помилкою', async () => {
+    const response = await agent.post('/users').set('Accept', JSON_ACCEPT).send({ name: '' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ status: 400, code: 'bad_request' });
+  });
+
+  test('дубль email користувача повертає 409', async () => {
+    const payload = { surname: 'Hopper', firstName: 'Grace', email: 'grace@example.com' };
+    await agent.post('/users').set('Accept', JSON_ACCEPT).send(payload);
+    const response = await agent.post('/users').set('Accept', JSON_ACCEPT).send(payload);
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('conflict');
+  });
+
+  test('реєстрація і вхід відповідають коректним JSON', async () => {
+    const credentials = { email: 'json.client@example.com', password: 'Secret-pass-1' };
+    const registered = await request(app).post('/auth/register').set('Accept', JSON_ACCEPT).send(credentials);
+
+    expect(registered.status).toBe(201);
+    expect(registered.headers['content-type']).toMatch(/^application\/json/);
+    expect(registered.body.data).toMatchObject({ email: 'json.client@example.com', role: 'user' });
+    expect(registered.body.data.id).toBeTruthy();
+    expect(registered.body.data.passHash).toBeUndefined();
+
+    const loggedIn = await request(app).post('/auth/login').set('Accept', JSON_ACCEPT).send(credentials);
+    expect(loggedIn.status).toBe(200);
+    expect(loggedIn.body.data).toEqual({ id: registered.body.data.id, email: credentials.email, role: 'user' });
+    expect(loggedIn.headers['x-csrf-token']).toBeTruthy();
+  });
+
+  test('невдалий вхід: JSON і text отримують 401, а не редірект на головну', async () => {
+    const wrong = { email: 'admin@example.com', password: 'Wrong-pass-1' };
+    const json = await request(app).post('/auth/login').set('Accept', JSON_ACCEPT).send(wrong);
+    expect(json.status).toBe(401);
+    expect(json.headers.location).toBeUndefined();
+    expect(json.body.error).toMatchObject({ status: 401, code: 'unauthorized', message: 'Invalid credentials' });
+
+    const missing = await request(app).post('/auth/login').set('Accept', JSON_ACCEPT).send({});
+    expect(missing.status).toBe(401);
+
+    const text = await request(app).post('/auth/login').send(wrong);
+    expect(text.status).toBe(401);
+    expect(text.text).toBe('Unauthorize');
+  });
+
+  test('повторна реєстрація з тим самим email повертає 409', async () => {
+    const response = await request(app)
+      .post('/auth/register')
+      .set('Accept', JSON_ACCEPT)
+      .send({ email: 'ADMIN@example.com', password: 'Other-pass-2' });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error.code).toBe('conflict');
+  });
+
+  test('GET /users/:userId для неіснуючого запису повертає 404 з JSON-помилкою', async () => {
+    const response = await agent.get('/users/0123456789abcdef01234567').set('Accept', JSON_ACCEPT);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('not_found');
+  });
+
+  test('CRUD статті через JSON', async () => {
+    const created = await agent
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'JSON article', body: 'Hello' });
+
+    expect(created.status).toBe(201);
+    expect(created.headers.location).toBe(`/articles/${created.body.data.id}`);
+
+    const shown = await agent.get(created.headers.location).set('Accept', JSON_ACCEPT);
+    expect(shown.status).toBe(200);
+    expect(shown.body.data).toMatchObject({ title: 'JSON article', body: 'Hello' });
+
+    const updated = await agent
+      .put(created.headers.location)
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'Renamed' });
+    expect(updated.status).toBe(200);
+    expect(updated.body.data.title).toBe('Renamed');
+
+    const removed = await agent.delete(created.headers.location).set('Accept', JSON_ACCEPT);
+    expect(removed.status).toBe(204);
+
+    const missing = await agent.get(created.headers.location).set('Accept', JSON_ACCEPT);
+    expect(missing.status).toBe(404);
+  });
+
+  test('кривий JSON повертає 400 з JSON-помилкою', async () => {
+    const response = await agent
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .set('Content-Type', 'application/json')
+      .send('{"title":');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('bad_request');
+  });
+
+  test('неіснуючий маршрут повертає 404 з JSON-помилкою', async () => {
+    const response = await request(app).get('/nope').set('Accept', JSON_ACCEPT);
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('not_found');
+  });
+});
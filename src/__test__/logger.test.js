@@ -0,0 +1,85 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, vi, afterAll, afterEach } from 'vitest';
+import request from 'supertest';
+import { createLogger } from '../logger.mjs';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function capture(level) {
+  const lines = [];
+  const log = createLogger({ level, sink: (lvl, line) => lines.push(JSON.parse(line)) });
+  return { log, lines };
+}
+
+describe('createLogger', () => {
+  test('JSON-рядки з рівнем, часом і полями; нижчі рівні відкидаються', () => {
+    const { log, lines } = capture('info');
+    log.debug('hidden');
+    log.info('shown', { userId: 'u1' });
+    log.error('failed', { err: Object.assign(new Error('boom'), { code: 'E1' }) });
+
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ level: 'info', msg: 'shown', userId: 'u1' });
+    expect(new Date(lines[0].time).toISOString()).toBe(lines[0].time);
+    expect(lines[1].err).toMatchObject({ name: 'Error', message: 'boom', code: 'E1' });
+    expect(lines[1].err.stack).toContain('boom');
+  });
+
+  test('child додає поля до кожного рядка; silent вимикає все', () => {
+    const { log, lines } = capture('debug');
+    log.child({ requestId: 'r1' }).child({ route: 'x' }).debug('nested');
+    expect(lines[0]).toMatchObject({ requestId: 'r1', route: 'x', msg: 'nested' });
+
+    const quiet = capture('silent');
+    quiet.log.error('nothing');
+    expect(quiet.lines).toEqual([]);
+  });
+});
+
+describe('X-Request-Id', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('без заголовка генерується UUID і повертається у відповіді', async () => {
+    const first = await request(app).get('/');
+    const second = await request(app).get('/');
+    expect(first.headers['x-request-id']).toMatch(UUID_RE);
+    expect(second.headers['x-request-id']).not.toBe(first.headers['x-request-id']);
+  });
+
+  test('коректний ID клієнта зберігається, небезпечний — замінюється', async () => {
+    const honored = await request(app).get('/').set('X-Request-Id', 'edge-proxy:42.a');
+    expect(honored.headers['x-request-id']).toBe('edge-proxy:42.a');
+
+    const replaced = await request(app).get('/').set('X-Request-Id', 'bad id\\n{"level":"error"}');
+    expect(replaced.headers['x-request-id']).toMatch(UUID_RE);
+
+    const tooLong = await request(app).get('/').set('X-Request-Id', 'x'.repeat(200));
+    expect(tooLong.headers['x-request-id']).toMatch(UUID_RE);
+  });
+
+  test('журнал доступу пише requestId у кожен рядок; помилки — з тим самим ID', async () => {
+    const out = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const err = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    await request(app).get('/').set('X-Request-Id', 'trace-ok');
+    await request(app).get('/no-such-route').set('X-Request-Id', 'trace-404').set('Accept', 'application/json');
+
+    const entries = [...out.mock.calls, ...err.mock.calls].map(([line]) => JSON.parse(line));
+    expect(entries.find((e) => e.requestId === 'trace-ok')).toMatchObject({
+      level: 'info',
+      msg: 'request completed',
+      method: 'GET',
+      path: '/',
+      status: 200,
+    });
+    expect(entries.find((e) => e.requestId === 'trace-404')).toMatchObject({ level: 'warn', status: 404 });
+  });
+});
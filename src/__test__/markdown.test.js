@@ -0,0 +1,93 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { renderMarkdown, excerpt } from '../markdown.mjs';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+const SOURCE = [
+  '## Розділ',
+  '',
+  '- перший',
+  '- другий',
+  '',
+  '```js',
+  'const a = 1 < 2;',
+  '```',
+  '',
+  '[Документація](https://expressjs.com) & <script>alert(1)</script>',
+  '<iframe src="https://evil.example"></iframe>',
+  '<img src="x" onerror="alert(1)">',
+  '',
+  '[bad](javascript:alert(1))',
+].join('\n');
+
+describe('Markdown: рендер і очищення', () => {
+  test('заголовки, списки, блоки коду та посилання', () => {
+    const html = renderMarkdown(SOURCE);
+
+    expect(html).toContain('<h2>Розділ</h2>');
+    expect(html).toContain('<li>перший</li>');
+    expect(html).toContain('<pre><code class="language-js">const a = 1 &lt; 2;');
+    expect(html).toContain('<a href="https://expressjs.com" rel="nofollow noopener noreferrer">Документація</a>');
+  });
+
+  test('script, iframe, on*-атрибути та javascript:-посилання вирізаються', () => {
+    const html = renderMarkdown(SOURCE);
+
+    expect(html).not.toMatch(/<script|<iframe|onerror|href="javascript:/i);
+  });
+
+  test('excerpt — простий текст без розмітки, обрізаний по слову', () => {
+    expect(excerpt('# Title\n\nSome **bold** & `code`')).toBe('Title Some bold & code');
+    const long = excerpt('word '.repeat(100), 30);
+    expect(long.endsWith('…')).toBe(true);
+    expect(long.length).toBeLessThanOrEqual(31);
+    expect(excerpt('<script>alert(1)</script>text')).toBe('text');
+  });
+});
+
+describe('Markdown: сторінки статей', () => {
+  const agent = request.agent(app);
+
+  beforeAll(async () => {
+    await agent.post('/auth/register').send({ email: 'writer@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'writer@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('сторінка статті показує очищений HTML, список — текстовий уривок', async () => {
+    const created = await agent.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Markdown', body: SOURCE });
+    expect(created.body.data.body).toBe(SOURCE);
+
+    const page = await agent.get(created.headers.location).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('<h2>Розділ</h2>');
+    expect(page.text).not.toContain('alert(1)</script>');
+    expect(page.text).not.toContain('<iframe');
+
+    const list = await agent.get('/articles?mine=1').set('Accept', HTML_ACCEPT);
+    expect(list.text).toContain('Розділ перший другий');
+    expect(list.text).not.toContain('## Розділ');
+  });
+
+  test('POST /articles/preview повертає HTML без збереження', async () => {
+    const before = await agent.get('/articles').set('Accept', JSON_ACCEPT);
+
+    const preview = await agent.post('/articles/preview').set('Accept', JSON_ACCEPT).send({ body: '**bold**' });
+    expect(preview.status).toBe(200);
+    expect(preview.body.data.html).toBe('<p><strong>bold</strong></p>\n');
+
+    const after = await agent.get('/articles').set('Accept', JSON_ACCEPT);
+    expect(after.body.meta.total).toBe(before.body.meta.total);
+
+    const anonymous = await request(app).post('/articles/preview').set('Accept', JSON_ACCEPT).send({ body: 'x' });
+    expect(anonymous.status).toBe(401);
+  });
+});
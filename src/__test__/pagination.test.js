@@ -0,0 +1,135 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { parseListQuery, pageLinks, ListQueryError } from '../pagination.mjs';
+import { createRepositories, ensureIndexes } from '../repositories/index.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+const LIST = { sortFields: ['createdAt', 'title'], defaultSort: '-createdAt' };
+
+describe('Пагінація: розбір параметрів', () => {
+  test('значення за замовчуванням і сортування за спаданням', () => {
+    expect(parseListQuery({}, LIST)).toEqual({
+      page: 1,
+      limit: 20,
+      sortParam: '-createdAt',
+      sort: { createdAt: -1 },
+      q: '',
+    });
+    expect(parseListQuery({ page: '3', limit: '5', sort: 'title', q: ' ada ' }, LIST)).toMatchObject({
+      page: 3,
+      limit: 5,
+      sort: { title: 1 },
+      q: 'ada',
+    });
+  });
+
+  test('некоректні page / limit / sort → ListQueryError', () => {
+    expect(() => parseListQuery({ page: '0' }, LIST)).toThrow(ListQueryError);
+    expect(() => parseListQuery({ limit: '1000' }, LIST)).toThrow(/limit/);
+    expect(() => parseListQuery({ sort: 'passHash' }, LIST)).toThrow(/sort/);
+  });
+
+  test('pageLinks зберігає інші параметри та показує вікно сторінок', () => {
+    const p = pageLinks({ page: 5, limit: 10, total: 200, pages: 20 }, '/articles', { q: 'x', page: '5' });
+    expect(p.prev).toBe('/articles?q=x&page=4');
+    expect(p.next).toBe('/articles?q=x&page=6');
+    expect(p.first).toBe('/articles?q=x');
+    expect(p.links.map((l) => l.page)).toEqual([3, 4, 5, 6, 7]);
+  });
+});
+
+describe('Пагінація: memory $text', () => {
+  test('пошук за словами з текстового індексу, без регістру', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    await ensureIndexes(repos);
+    await repos.articles.create({ title: 'Привіт, світ', body: 'Перша стаття' });
+    await repos.articles.create({ title: 'Hello', body: 'World of Express' });
+
+    expect((await repos.articles.list({ q: 'СВІТ' })).map((a) => a.title)).toEqual(['Привіт, світ']);
+    expect(await repos.articles.count({ q: 'express hello' })).toBe(1);
+    expect(await repos.articles.count({ q: 'expr' })).toBe(0);
+  });
+});
+
+describe('Пагінація: маршрути', () => {
+  const agent = request.agent(app);
+
+  beforeAll(async () => {
+    await agent.post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'admin@example.com', password: 'Secret-pass-1' });
+    for (let i = 1; i <= 5; i++) {
+      await agent
+        .post('/articles')
+        .set('Accept', JSON_ACCEPT)
+        .send({ title: `Paged ${i}`, body: `needle${i}`, status: 'published' });
+      await agent
+        .post('/users')
+        .set('Accept', JSON_ACCEPT)
+        .send({ surname: `Paged${i}`, firstName: 'User', email: `paged${i}@example.com` });
+    }
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('GET /articles: page, limit, sort та meta з total', async () => {
+    const response = await agent.get('/articles?limit=2&page=2&sort=title').set('Accept', JSON_ACCEPT);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.map((a) => a.title)).toEqual(['Paged 3', 'Paged 4']);
+    expect(response.body.meta).toMatchObject({ page: 2, limit: 2, total: 5, pages: 3, sort: 'title' });
+    expect(response.headers['x-total-count']).toBe('5');
+  });
+
+  test('GET /articles?q= шукає по тексту статті', async () => {
+    const response = await agent.get('/articles?q=needle4').set('Accept', JSON_ACCEPT);
+
+    expect(response.body.data.map((a) => a.title)).toEqual(['Paged 4']);
+    expect(response.body.meta.total).toBe(1);
+  });
+
+  test('некоректні параметри → 400', async () => {
+    const response = await agent.get('/users?sort=password').set('Accept', JSON_ACCEPT);
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('bad_request');
+  });
+
+  test('GET /users: пошук та пагінація', async () => {
+    const found = await agent.get('/users?q=Paged2').set('Accept', JSON_ACCEPT);
+    expect(found.body.data.map((u) => u.email)).toEqual(['paged2@example.com']);
+
+    const page = await agent.get('/users?limit=2&sort=-email').set('Accept', JSON_ACCEPT);
+    expect(page.body.data.map((u) => u.email)).toEqual(['paged5@example.com', 'paged4@example.com']);
+    // + профіль, створений під час реєстрації admin
+    expect(page.body.meta.total).toBe(6);
+  });
+
+  test('GET /mongo/articles повертає meta', async () => {
+    const response = await request(app).get('/mongo/articles?limit=1').set('Accept', JSON_ACCEPT);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.meta).toMatchObject({ total: 5, pages: 5 });
+  });
+
+  test('HTML-списки мають пошук і контроли пагінації', async () => {
+    const articles = await agent.get('/articles?limit=2&q=Paged').set('Accept', HTML_ACCEPT);
+    expect(articles.text).toContain('name="q"');
+    expect(articles.text).toContain('href="/articles?limit=2&amp;q=Paged&amp;page=2"');
+
+    const users = await agent.get('/users?limit=2').set('Accept', HTML_ACCEPT);
+    expect(users.text).toContain('class="pagination"');
+    expect(users.text).toContain('href="/users?limit=2&amp;page=3"');
+
+    const mongo = await request(app).get('/mongo/articles?limit=2&sort=title').set('Accept', HTML_ACCEPT);
+    expect(mongo.status).toBe(200);
+    expect(mongo.text).toContain('href="/mongo/articles?limit=2&amp;sort=title&amp;page=2"');
+  });
+});
@@ -0,0 +1,183 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { createRepositories, VersionConflictError } from '../repositories/index.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+
+// Гачок між читанням користувача й записом: запис уже прочитано, зміна ще не почалася
+const hooks = vi.hoisted(() => ({ afterFindUser: null }));
+vi.mock('../repositories/users.mjs', async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createUsersRepository: (...args) => {
+      const repo = original.createUsersRepository(...args);
+      return {
+        ...repo,
+        async findById(...params) {
+          const user = await repo.findById(...params);
+          await hooks.afterFindUser?.();
+          return user;
+        },
+      };
+    },
+  };
+});
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+const MISSING_ID = '0123456789abcdef01234567';
+
+describe('Версії записів у репозиторіях', () => {
+  test('update збільшує version і відхиляє застарілу очікувану версію', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const article = await repos.articles.create({ title: 'v1', body: '' });
+    expect(article.version).toBe(1);
+
+    const second = await repos.articles.update(article.id, { title: 'v2' }, { expectedVersion: 1 });
+    expect(second.version).toBe(2);
+
+    await expect(repos.articles.update(article.id, { title: 'stale' }, { expectedVersion: 1 })).rejects.toBeInstanceOf(
+      VersionConflictError
+    );
+    expect((await repos.articles.findById(article.id)).title).toBe('v2');
+  });
+});
+
+describe('PATCH, 404 та If-Match', () => {
+  const agent = request.agent(app);
+
+  beforeAll(async () => {
+    await agent.post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'admin@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('PATCH /users зберігає непередані поля і перераховує name', async () => {
+    const created = await agent
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .send({ surname: 'Lovelace', firstName: 'Ada', email: 'ada.patch@example.com', info: 'Analyst' });
+    expect(created.headers.etag).toBe('"1"');
+
+    const patched = await agent.patch(created.headers.location).set('Accept', JSON_ACCEPT).send({ firstName: 'Augusta' });
+    expect(patched.status).toBe(200);
+    expect(patched.body.data).toMatchObject({
+      name: 'Lovelace Augusta',
+      email: 'ada.patch@example.com',
+      info: 'Analyst',
+      version: 2,
+    });
+    expect(patched.headers.etag).toBe('"2"');
+
+    // Лише name — не перераховується зі старих surname + firstName
+    const renamed = await agent.patch(created.headers.location).set('Accept', JSON_ACCEPT).send({ name: 'Countess' });
+    expect(renamed.status).toBe(200);
+    expect(renamed.body.data).toMatchObject({ name: 'Countess', surname: 'Lovelace', firstName: 'Augusta' });
+    const unrelated = await agent.patch(created.headers.location).set('Accept', JSON_ACCEPT).send({ info: 'Poet' });
+    expect(unrelated.body.data).toMatchObject({ name: 'Countess', info: 'Poet' });
+
+    const invalid = await agent.patch(created.headers.location).set('Accept', JSON_ACCEPT).send({ email: 'nope' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.details.errors[0].field).toBe('email');
+  });
+
+  test('PUT замінює запис цілком', async () => {
+    const created = await agent
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .send({ surname: 'Hopper', firstName: 'Grace', info: 'Navy' });
+
+    const replaced = await agent.put(created.headers.location).set('Accept', JSON_ACCEPT).send({ name: 'Amazing Grace' });
+    expect(replaced.body.data).toMatchObject({ name: 'Amazing Grace', surname: '', firstName: '', info: '' });
+  });
+
+  test('PUT і DELETE без версії не перезаписують зміну, що встигла між читанням і записом', async () => {
+    const created = await agent
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .send({ surname: 'Turing', firstName: 'Alan', info: 'Raced' });
+    const url = created.headers.location;
+    const patchMeanwhile = (info) => async () => {
+      hooks.afterFindUser = null;
+      await agent.patch(url).set('Accept', JSON_ACCEPT).send({ info });
+    };
+
+    hooks.afterFindUser = patchMeanwhile('concurrent edit');
+    const replaced = await agent.put(url).set('Accept', JSON_ACCEPT).send({ surname: 'Turing', firstName: 'A.' });
+    expect(hooks.afterFindUser).toBeNull();
+    expect(replaced.status).toBe(409);
+    expect(replaced.body.error.details).toEqual({ currentVersion: 2 });
+
+    hooks.afterFindUser = patchMeanwhile('edited again');
+    const removed = await agent.delete(url).set('Accept', JSON_ACCEPT);
+    expect(removed.status).toBe(409);
+
+    const { body } = await agent.get(url).set('Accept', JSON_ACCEPT);
+    expect(body.data).toMatchObject({ firstName: 'Alan', info: 'edited again', version: 3 });
+    const log = await agent.get(`/admin/audit?entityType=user&entityId=${body.data.id}`).set('Accept', JSON_ACCEPT);
+    expect(log.body.data.map((e) => e.action).sort()).toEqual(['create', 'update', 'update']);
+  });
+
+  test('PUT і PATCH неіснуючого запису → 404 і нічого не створюють', async () => {
+    const before = await agent.get('/users').set('Accept', JSON_ACCEPT);
+
+    expect((await agent.put(`/users/${MISSING_ID}`).set('Accept', JSON_ACCEPT).send({ name: 'Ghost' })).status).toBe(404);
+    expect((await agent.patch(`/users/${MISSING_ID}`).set('Accept', JSON_ACCEPT).send({ name: 'Ghost' })).status).toBe(
+      404
+    );
+    expect((await agent.put(`/users/${MISSING_ID}`).send({ name: 'Ghost' })).status).toBe(404);
+    expect((await agent.patch(`/articles/${MISSING_ID}`).set('Accept', JSON_ACCEPT).send({ title: 'x' })).status).toBe(
+      404
+    );
+
+    const after = await agent.get('/users').set('Accept', JSON_ACCEPT);
+    expect(after.body.meta.total).toBe(before.body.meta.total);
+  });
+
+  test('If-Match: застаріла версія → 412, актуальна → 200', async () => {
+    const created = await agent.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Shared', body: 'Base' });
+    const url = created.headers.location;
+    const etag = (await agent.get(url).set('Accept', JSON_ACCEPT)).headers.etag;
+    expect(etag).toBe('"1"');
+
+    const first = await agent.patch(url).set('Accept', JSON_ACCEPT).set('If-Match', etag).send({ body: 'Editor A' });
+    expect(first.status).toBe(200);
+
+    const second = await agent.put(url).set('Accept', JSON_ACCEPT).set('If-Match', etag).send({ title: 'Editor B' });
+    expect(second.status).toBe(412);
+    expect(second.body.error).toMatchObject({ code: 'precondition_failed', details: { currentVersion: 2 } });
+    expect(second.headers.etag).toBe('"2"');
+
+    const stale = await agent.delete(url).set('Accept', JSON_ACCEPT).set('If-Match', etag);
+    expect(stale.status).toBe(412);
+
+    const shown = await agent.get(url).set('Accept', JSON_ACCEPT);
+    expect(shown.body.data).toMatchObject({ title: 'Shared', body: 'Editor A' });
+  });
+
+  test('HTML-форма з застарілою версією → 409 і форма з введеними значеннями', async () => {
+    const created = await agent.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Form', body: 'Base' });
+    const url = created.headers.location;
+
+    const page = await agent.get(url).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('name="version" value="1"');
+
+    await agent.patch(url).set('Accept', JSON_ACCEPT).send({ body: 'Changed elsewhere' });
+
+    const submitted = await agent
+      .post(url)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', version: '1', title: 'Form', body: 'My edit' });
+    expect(submitted.status).toBe(409);
+    expect(submitted.text).toContain('My edit</textarea>');
+    expect(submitted.text).toContain('name="version" value="2"');
+  });
+});
@@ -0,0 +1,171 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+
+// Гачок між читанням профілю й записом: профіль уже прочитано, зміна ще не почалася
+const hooks = vi.hoisted(() => ({ afterFindProfile: null }));
+vi.mock('../repositories/users.mjs', async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createUsersRepository: (...args) => {
+      const repo = original.createUsersRepository(...args);
+      return {
+        ...repo,
+        async findByAccountId(...params) {
+          const profile = await repo.findByAccountId(...params);
+          await hooks.afterFindProfile?.();
+          return profile;
+        },
+      };
+    },
+  };
+});
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+const register = (email, password = 'Secret-pass-1') => request(app).post('/auth/register').send({ email, password });
+
+describe('Профілі акаунтів', () => {
+  const admin = request.agent(app);
+
+  beforeAll(async () => {
+    await register('admin@example.com');
+    await login(admin, { email: 'admin@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('реєстрація створює профіль; users-show показує, чи є вхід', async () => {
+    await register('Profiled@example.com');
+    const agent = request.agent(app);
+    await login(agent, { email: 'profiled@example.com', password: 'Secret-pass-1' });
+
+    const { body } = await agent.get('/account/profile').set('Accept', JSON_ACCEPT);
+    expect(body.data).toMatchObject({ name: 'profiled', email: 'profiled@example.com', version: 1 });
+    expect(body.data.accountId).toBeTruthy();
+    // Повторний запит не створює другого профілю
+    expect((await agent.get('/account/profile').set('Accept', JSON_ACCEPT)).body.data.id).toBe(body.data.id);
+
+    const own = await agent.get(`/users/${body.data.id}`).set('Accept', HTML_ACCEPT);
+    expect(own.text).toContain('є обліковий запис (user, email не підтверджено)');
+    expect(own.text).toContain('href="/account/profile"');
+
+    const created = await admin
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .send({ surname: 'No', firstName: 'Login', email: 'nologin@example.com' });
+    const plain = await admin.get(created.headers.location).set('Accept', HTML_ACCEPT);
+    expect(plain.text).toContain('немає — профіль без входу');
+    expect(plain.text).not.toContain('Редагувати мій профіль');
+  });
+
+  test('email, уже зайнятий іншим профілем, не захоплюється: новий профіль без email', async () => {
+    await admin
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .send({ surname: 'Existing', firstName: 'Person', email: 'claimed@example.com' });
+    await register('claimed@example.com');
+    const { accessToken } = (
+      await request(app).post('/auth/token').send({ email: 'claimed@example.com', password: 'Secret-pass-1' })
+    ).body;
+
+    const { body } = await request(app)
+      .get('/account/profile')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(body.data).toMatchObject({ name: 'claimed', email: '' });
+  });
+
+  test('власник редагує лише свій профіль; email і accountId не змінюються', async () => {
+    await register('editor.self@example.com');
+    const agent = request.agent(app);
+    await login(agent, { email: 'editor.self@example.com', password: 'Secret-pass-1' });
+    const before = (await agent.get('/account/profile').set('Accept', JSON_ACCEPT)).body.data;
+
+    const forbidden = await agent.put(`/users/${before.id}`).set('Accept', JSON_ACCEPT).send({ name: 'Hacker' });
+    expect(forbidden.status).toBe(403);
+
+    const res = await agent
+      .put('/account/profile')
+      .set('Accept', JSON_ACCEPT)
+      .send({ name: 'Self Editor', info: 'Hi', email: 'other@example.com', accountId: 'x' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      name: 'Self Editor',
+      info: 'Hi',
+      email: 'editor.self@example.com',
+      accountId: before.accountId,
+      version: 2,
+    });
+
+    const stale = await agent.put('/account/profile').set('Accept', JSON_ACCEPT).send({ name: 'Late', version: 1 });
+    expect(stale.status).toBe(409);
+
+    const invalid = await agent
+      .post('/account/profile')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', surname: 'Only' });
+    expect(invalid.status).toBe(400);
+    expect(invalid.text).toContain('value="Only"');
+
+    const form = await agent
+      .post('/account/profile')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', surname: 'Lovelace', firstName: 'Ada', info: '' });
+    expect(form.status).toBe(303);
+    const page = await agent.get('/account/profile').set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Профіль оновлено');
+    expect(page.text).toContain('value="Lovelace"');
+    const after = (await agent.get('/account/profile').set('Accept', JSON_ACCEPT)).body.data;
+    expect(after).toMatchObject({ name: 'Lovelace Ada', surname: 'Lovelace', firstName: 'Ada' });
+  });
+
+  test('PUT профілю без версії не перезаписує зміну адміністратора, що встигла між читанням і записом', async () => {
+    await register('raced.profile@example.com');
+    const agent = request.agent(app);
+    await login(agent, { email: 'raced.profile@example.com', password: 'Secret-pass-1' });
+    const profile = (await agent.get('/account/profile').set('Accept', JSON_ACCEPT)).body.data;
+
+    hooks.afterFindProfile = async () => {
+      hooks.afterFindProfile = null;
+      await admin.patch(`/users/${profile.id}`).set('Accept', JSON_ACCEPT).send({ info: 'Set by admin' });
+    };
+    const res = await agent.put('/account/profile').set('Accept', JSON_ACCEPT).send({ name: 'Mine', info: '' });
+    expect(hooks.afterFindProfile).toBeNull();
+    expect(res.status).toBe(409);
+    expect(res.body.error.details).toEqual({ currentVersion: 2 });
+
+    const after = (await agent.get('/account/profile').set('Accept', JSON_ACCEPT)).body.data;
+    expect(after).toMatchObject({ info: 'Set by admin', version: 2 });
+  });
+
+  test('зміна email входу оновлює email профілю; видалення акаунта лишає профіль без входу', async () => {
+    const credentials = { email: 'moving.profile@example.com', password: 'Secret-pass-1' };
+    await register(credentials.email);
+    const agent = request.agent(app);
+    await login(agent, credentials);
+
+    await agent
+      .put('/account/email')
+      .set('Accept', JSON_ACCEPT)
+      .send({ email: 'moved.profile@example.com', currentPassword: 'Secret-pass-1' });
+    const profile = (await agent.get('/account/profile').set('Accept', JSON_ACCEPT)).body.data;
+    expect(profile.email).toBe('moved.profile@example.com');
+
+    await agent.delete('/account').set('Accept', JSON_ACCEPT).send({ currentPassword: 'Secret-pass-1' });
+    const orphan = await admin.get(`/users/${profile.id}`).set('Accept', JSON_ACCEPT);
+    expect(orphan.status).toBe(200);
+    expect(orphan.body.data.accountId).toBeNull();
+    const page = await admin.get(`/users/${profile.id}`).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('немає — профіль без входу');
+  });
+});
@@ -0,0 +1,181 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { createRepositories, versionOf } from '../repositories/index.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+import { createPublishScheduler, isPublished } from '../publishing.mjs';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+const HOUR_MS = 3600 * 1000;
+
+describe('Планувальник публікацій', () => {
+  test('публікує статті, чий publishAt настав, і пише publishedAt = publishAt', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const published = [];
+    const scheduler = createPublishScheduler({
+      repos,
+      env: {},
+      onPublish: (before, after) => published.push([before.status, after.status]),
+    });
+    const publishAt = new Date(Date.now() + HOUR_MS);
+    const draft = await repos.articles.create({ title: 'Later', body: '' });
+    await repos.articles.update(draft.id, { publishAt }, { expectedVersion: versionOf(draft) });
+    await repos.articles.create({ title: 'Never', body: '' });
+
+    expect(await scheduler.publishDue(new Date())).toEqual([]);
+    const [article] = await scheduler.publishDue(new Date(Date.now() + 2 * HOUR_MS));
+    expect(article).toMatchObject({ title: 'Later', status: 'published', publishedAt: publishAt, publishAt: null });
+    expect(published).toEqual([['draft', 'published']]);
+    // Повторний прохід нічого не робить
+    expect(await scheduler.publishDue(new Date(Date.now() + 3 * HOUR_MS))).toEqual([]);
+    expect(scheduler.intervalMs).toBe(60 * 1000);
+  });
+
+  test('PUBLISH_CHECK_INTERVAL=0 вимикає планувальник; статті без статусу — опубліковані', () => {
+    const scheduler = createPublishScheduler({ repos: {}, env: { PUBLISH_CHECK_INTERVAL: '0' } });
+    expect(scheduler.intervalMs).toBe(0);
+    scheduler.start(); // без таймера
+
+    expect(isPublished({ title: 'Legacy' })).toBe(true);
+    expect(isPublished({ status: 'review' })).toBe(false);
+  });
+});
+
+describe('Статуси статей: draft → review → published', () => {
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const bob = request.agent(app);
+
+  beforeAll(async () => {
+    for (const [agent, email] of [
+      [admin, 'admin@example.com'],
+      [alice, 'alice@example.com'],
+      [bob, 'bob@example.com'],
+    ]) {
+      await agent.post('/auth/register').send({ email, password: 'Secret-pass-1' });
+      await login(agent, { email, password: 'Secret-pass-1' });
+    }
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  const titles = (res) => res.body.data.map((a) => a.title);
+
+  test('нова стаття — чернетка, яку бачить лише автор', async () => {
+    const created = await alice
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'Secret draft', tags: 'wip' });
+    expect(created.status).toBe(201);
+    expect(created.body.data).toMatchObject({ status: 'draft', publishAt: null, publishedAt: null });
+    const url = created.headers.location;
+
+    expect((await alice.get(url).set('Accept', JSON_ACCEPT)).status).toBe(200);
+    expect((await bob.get(url).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    // Навіть admin не бачить чужих чернеток
+    expect((await admin.get(url).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    expect((await bob.put(url).set('Accept', JSON_ACCEPT).send({ title: 'X' })).status).toBe(404);
+
+    expect(titles(await alice.get('/articles?status=draft').set('Accept', JSON_ACCEPT))).toEqual(['Secret draft']);
+    expect(titles(await bob.get('/articles').set('Accept', JSON_ACCEPT))).not.toContain('Secret draft');
+    // Типовий список — лише опубліковані, і для автора теж; власні чернетки — у ?mine=1
+    expect(titles(await alice.get('/articles').set('Accept', JSON_ACCEPT))).not.toContain('Secret draft');
+    expect(titles(await alice.get('/articles?mine=1').set('Accept', JSON_ACCEPT))).toContain('Secret draft');
+    const mongo = await request(app).get('/mongo/articles').set('Accept', JSON_ACCEPT);
+    expect(titles(mongo)).not.toContain('Secret draft');
+    const cloud = await alice.get('/articles/tags').set('Accept', JSON_ACCEPT);
+    expect(cloud.body.data.tags).toEqual([]);
+
+    const page = await alice.get(url).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Чернетка');
+    expect(page.text).toContain(`action="${url}/submit"`);
+  });
+
+  test('автор не може опублікувати сам: status=published → 403, publish → 403', async () => {
+    const direct = await alice
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'Eager', status: 'published' });
+    expect(direct.status).toBe(403);
+
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Patient' });
+    const publish = await alice.post(`${created.headers.location}/publish`).set('Accept', JSON_ACCEPT).send({});
+    expect(publish.status).toBe(403);
+
+    const invalid = await admin.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'T', status: 'archived' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('submit → review бачить редакція; publish робить статтю публічною', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'For review' });
+    const url = created.headers.location;
+
+    expect((await bob.post(`${url}/submit`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    const submitted = await alice.post(`${url}/submit`).set('Accept', JSON_ACCEPT);
+    expect(submitted.status).toBe(200);
+    expect(submitted.body.data).toMatchObject({ status: 'review', version: 2 });
+    const again = await alice.post(`${url}/submit`).set('Accept', JSON_ACCEPT);
+    expect(again.status).toBe(409);
+    expect(again.body.error.details).toEqual({ status: 'review' });
+
+    expect((await bob.get(url).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    expect(titles(await admin.get('/articles?status=review').set('Accept', JSON_ACCEPT))).toContain('For review');
+    expect(titles(await admin.get('/articles').set('Accept', JSON_ACCEPT))).not.toContain('For review');
+
+    const stale = await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).set('If-Match', '"1"').send({});
+    expect(stale.status).toBe(412);
+    const published = await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).send({});
+    expect(published.status).toBe(200);
+    expect(published.body.data).toMatchObject({ status: 'published', publishAt: null });
+    expect(published.body.data.publishedAt).toBeTruthy();
+    expect((await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).send({})).status).toBe(409);
+
+    expect((await bob.get(url).set('Accept', JSON_ACCEPT)).status).toBe(200);
+    expect(titles(await request(app).get('/mongo/articles').set('Accept', JSON_ACCEPT))).toContain('For review');
+
+    const log = await admin
+      .get(`/admin/audit?entityType=article&entityId=${created.body.data.id}`)
+      .set('Accept', JSON_ACCEPT);
+    expect(log.body.data.map((e) => e.action).sort()).toEqual(['create', 'publish', 'submit']);
+  });
+
+  test('publishAt у майбутньому планує публікацію; unpublish скасовує план або знімає статтю', async () => {
+    const created = await admin.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Scheduled' });
+    const url = created.headers.location;
+    const publishAt = new Date(Date.now() + HOUR_MS).toISOString();
+
+    const bad = await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).send({ publishAt: 'tomorrow' });
+    expect(bad.status).toBe(400);
+    const scheduled = await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).send({ publishAt });
+    expect(scheduled.status).toBe(200);
+    expect(scheduled.body.data).toMatchObject({ status: 'draft', publishAt, publishedAt: null });
+    expect((await bob.get(url).set('Accept', JSON_ACCEPT)).status).toBe(404);
+
+    const page = await admin.get(url).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Заплановано');
+
+    const cancelled = await admin.post(`${url}/unpublish`).set('Accept', JSON_ACCEPT);
+    expect(cancelled.body.data).toMatchObject({ status: 'draft', publishAt: null });
+    expect((await admin.post(`${url}/unpublish`).set('Accept', JSON_ACCEPT)).status).toBe(409);
+
+    // Минулий час — публікація одразу
+    const now = await admin
+      .post(`${url}/publish`)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ publishAt: '2020-01-01T10:00' });
+    expect(now.status).toBe(303);
+    expect((await bob.get(url).set('Accept', JSON_ACCEPT)).status).toBe(200);
+
+    expect((await bob.post(`${url}/unpublish`).set('Accept', JSON_ACCEPT)).status).toBe(403);
+    const unpublished = await admin.post(`${url}/unpublish`).set('Accept', JSON_ACCEPT);
+    expect(unpublished.body.data).toMatchObject({ status: 'draft', publishedAt: null });
+    expect((await bob.get(url).set('Accept', JSON_ACCEPT)).status).toBe(404);
+  });
+});
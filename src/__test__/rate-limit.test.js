@@ -0,0 +1,197 @@
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { createRateLimiter, createLoginGuard } from '../rate-limit.mjs';
+
+const JSON_ACCEPT = 'application/json';
+
+// Невеликі ліміти, щоб дійти до блокування за кілька запитів (сервер читає env під час імпорту)
+process.env.LOGIN_MAX_FAILURES = '5';
+process.env.REGISTER_RATE_LIMIT = '8';
+process.env.WRITE_RATE_LIMIT = '6';
+process.env.MAIL_REQUEST_RATE_LIMIT = '3';
+process.env.MAIL_REQUEST_IP_RATE_LIMIT = '5';
+
+describe('createLoginGuard', () => {
+  const clock = { t: 1_000_000 };
+  const now = () => clock.t;
+
+  test('прогресивне блокування: перші спроби вільні, далі блок на 1, 2 … с, потім lockout', () => {
+    const guard = createLoginGuard({ env: { LOGIN_MAX_FAILURES: '6', LOGIN_LOCKOUT_SECONDS: '600' }, now });
+    const who = { ip: '10.0.0.1', email: 'Guard@Example.com' };
+
+    for (let i = 0; i < 3; i++) {
+      expect(guard.check(who)).toBeNull();
+      expect(guard.fail(who)).toEqual([]);
+    }
+    expect(guard.check(who)).toBeNull();
+
+    guard.fail(who); // 4-та невдача → 1 с
+    expect(guard.check(who)).toEqual({ scope: 'account', retryAfter: 1, locked: false });
+    clock.t += 1000;
+    guard.fail(who); // 5-та → 2 с
+    expect(guard.check(who).retryAfter).toBe(2);
+    clock.t += 2000;
+
+    const [lockout] = guard.fail(who); // 6-та → блокування
+    expect(lockout).toMatchObject({ scope: 'account', id: 'guard@example.com', failures: 6 });
+    // Email без урахування регістру
+    expect(guard.check({ email: 'guard@example.com' })).toEqual({ scope: 'account', retryAfter: 600, locked: true });
+
+    clock.t += 600 * 1000;
+    expect(guard.check(who)).toBeNull();
+    expect(guard.fail(who)).toEqual([]);
+  });
+
+  test('успішний вхід обнуляє лічильник акаунта, але не IP', () => {
+    const guard = createLoginGuard({ env: { LOGIN_IP_MAX_FAILURES: '12' }, now });
+    for (let i = 0; i < 3; i++) guard.fail({ ip: '10.0.0.2', email: 'a@example.com' });
+    guard.succeed({ email: 'a@example.com' });
+    guard.fail({ ip: '10.0.0.2', email: 'a@example.com' });
+    expect(guard.check({ email: 'a@example.com' })).toBeNull();
+
+    // Перебір різних акаунтів з однієї IP
+    for (let i = 0; i < 7; i++) guard.fail({ ip: '10.0.0.2', email: `user${i}@example.com` });
+    expect(guard.check({ ip: '10.0.0.2', email: 'fresh@example.com' })).toMatchObject({ scope: 'ip' });
+    expect(guard.check({ ip: '10.0.0.3', email: 'fresh@example.com' })).toBeNull();
+  });
+});
+
+describe('createRateLimiter', () => {
+  test('понад max за вікно — onLimit з Retry-After, після вікна — знову можна', () => {
+    const clock = { t: 0 };
+    const limited = [];
+    const limiter = createRateLimiter({
+      name: 'test',
+      max: 2,
+      windowMs: 10_000,
+      now: () => clock.t,
+      onLimit: (req, res, info) => limited.push(info),
+    });
+    const headers = {};
+    const res = { set: (name, value) => (headers[name] = value) };
+    let passed = 0;
+    const hit = () => limiter({ ip: '1.1.1.1' }, res, () => passed++);
+
+    hit();
+    hit();
+    clock.t = 4000;
+    hit();
+    expect(passed).toBe(2);
+    expect(limited).toEqual([{ name: 'test', retryAfter: 6 }]);
+    expect(headers['Retry-After']).toBe('6');
+
+    clock.t = 10_000;
+    hit();
+    expect(passed).toBe(3);
+  });
+});
+
+describe('Обмеження на маршрутах', () => {
+  let app;
+  let server;
+  let mailer;
+
+  const tokenLogin = (email, password) =>
+    request(app).post('/auth/token').set('Accept', JSON_ACCEPT).send({ email, password });
+
+  beforeAll(async () => {
+    ({ app, server, mailer } = await import('../server.mjs'));
+    await request(app).post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await request(app).post('/auth/register').send({ email: 'victim@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('невдалі входи: прогресивне блокування, lockout з Retry-After і запис у журналі аудиту', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect((await tokenLogin('victim@example.com', 'wrong')).status).toBe(401);
+    }
+    // Після 4-ї невдачі — блок на 1 с: навіть правильний пароль одразу (без затримки відповіді) отримує 429,
+    // bcrypt не викликається
+    const started = Date.now();
+    const blocked = await tokenLogin('victim@example.com', 'Secret-pass-1');
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(blocked.status).toBe(429);
+    expect(blocked.headers['retry-after']).toBe('1');
+    expect(blocked.body.error).toMatchObject({ code: 'too_many_requests', details: { retryAfter: 1 } });
+
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    expect((await tokenLogin('victim@example.com', 'wrong')).status).toBe(401); // 5-та → блокування
+
+    const locked = await request(app)
+      .post('/auth/login')
+      .set('Accept', JSON_ACCEPT)
+      .send({ email: 'victim@example.com', password: 'Secret-pass-1' });
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(800);
+    expect(locked.body.error.message).toBe('Too many failed login attempts, try again later');
+
+    // Інший акаунт з тієї ж IP входить
+    expect((await tokenLogin('admin@example.com', 'Secret-pass-1')).status).toBe(200);
+
+    const { accessToken } = (await tokenLogin('admin@example.com', 'Secret-pass-1')).body;
+    const log = await request(app)
+      .get('/admin/audit?action=lockout')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${accessToken}`);
+    expect(log.body.data[0]).toMatchObject({
+      entityType: 'account',
+      details: { scope: 'account', key: 'victim@example.com', failures: 5 },
+    });
+  });
+
+  test('реєстрація: ліміт на IP → 429', async () => {
+    let res;
+    for (let i = 0; i < 8; i++) {
+      res = await request(app)
+        .post('/auth/register')
+        .send({ email: `bulk${i}@example.com`, password: 'Secret-pass-1' });
+    }
+    // Дві реєстрації вже були в beforeAll
+    expect(res.status).toBe(429);
+    expect(res.text).toBe('Too Many Requests');
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('змінні запити: ліміт на користувача, читання не рахується', async () => {
+    const { accessToken } = (await tokenLogin('admin@example.com', 'Secret-pass-1')).body;
+    const api = (method, url) =>
+      request(app)[method](url).set('Accept', JSON_ACCEPT).set('Authorization', `Bearer ${accessToken}`);
+
+    for (let i = 0; i < 10; i++) expect((await api('get', '/articles')).status).toBe(200);
+    for (let i = 0; i < 6; i++) {
+      expect((await api('post', '/articles').send({ title: `Limited ${i}` })).status).toBe(201);
+    }
+    const limited = await api('post', '/articles').send({ title: 'One too many' });
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBeDefined();
+  });
+
+  test('запити листів: ліміт на адресу й на IP → 429 без листа', async () => {
+    const requestMail = (path, email) =>
+      request(app).post(`/auth/${path}/request`).set('Accept', JSON_ACCEPT).send({ email });
+    const sent = () => mailer.transport.messages.filter((m) => m.to === 'victim@example.com').length;
+    const before = sent();
+
+    // Обидва маршрути рахуються разом; регістр адреси не обходить ліміт
+    expect((await requestMail('password-reset', 'victim@example.com')).status).toBe(202);
+    expect((await requestMail('password-reset', 'Victim@Example.com')).status).toBe(202);
+    expect((await requestMail('verify-email', 'victim@example.com')).status).toBe(202);
+    expect(sent()).toBe(before + 3);
+
+    const limited = await requestMail('password-reset', 'victim@example.com');
+    expect(limited.status).toBe(429);
+    expect(limited.headers['retry-after']).toBeDefined();
+    expect(sent()).toBe(before + 3);
+
+    // Інша адреса — ще 1 запит до ліміту IP (5), далі 429 теж без листа
+    expect((await requestMail('password-reset', 'admin@example.com')).status).toBe(202);
+    const total = mailer.transport.messages.length;
+    expect((await requestMail('password-reset', 'admin@example.com')).status).toBe(429);
+    expect(mailer.transport.messages.length).toBe(total);
+  });
+});
@@ -0,0 +1,96 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { hasPermission, roleForNewAccount } from '../rbac.mjs';
+
+const JSON_ACCEPT = 'application/json';
+
+describe('RBAC: дозволи', () => {
+  test('hasPermission перевіряє роль за картою дозволів', () => {
+    expect(hasPermission({ role: 'admin' }, 'users:delete')).toBe(true);
+    expect(hasPermission({ role: 'editor' }, 'articles:update')).toBe(true);
+    expect(hasPermission({ role: 'user' }, 'articles:update')).toBe(true);
+    expect(hasPermission({ role: 'editor' }, 'articles:manage')).toBe(false);
+    expect(hasPermission(null, 'articles:create')).toBe(false);
+    expect(() => hasPermission({ role: 'admin' }, 'nope')).toThrow(/unknown permission/);
+  });
+
+  test('роль admin при реєстрації — лише за ADMIN_EMAILS', () => {
+    const env = { ADMIN_EMAILS: 'boss@example.com, root@example.com' };
+    expect(roleForNewAccount('ROOT@example.com', env)).toBe('admin');
+    expect(roleForNewAccount('someone@example.com', env)).toBe('user');
+  });
+});
+
+describe('RBAC: маршрути', () => {
+  const admin = request.agent(app);
+  const user = request.agent(app);
+
+  beforeAll(async () => {
+    await admin.post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await login(admin, { email: 'admin@example.com', password: 'Secret-pass-1' });
+    // спроба самостійно стати адміном
+    await user.post('/auth/register').send({ email: 'eve@example.com', password: 'Secret-pass-1', role: 'admin' });
+    await login(user, { email: 'eve@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('role з тіла реєстрації ігнорується', async () => {
+    const response = await user.get('/admin/accounts').set('Accept', JSON_ACCEPT);
+    expect(response.status).toBe(403);
+  });
+
+  test('401 для анонімів і 403 для користувача без дозволу', async () => {
+    const anonymous = await request(app).post('/users').set('Accept', JSON_ACCEPT).send({ name: 'X' });
+    expect(anonymous.status).toBe(401);
+
+    const forbidden = await user.post('/users').set('Accept', JSON_ACCEPT).send({ name: 'X' });
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.error).toMatchObject({ status: 403, code: 'forbidden' });
+
+    const page = await user.post('/users').set('Accept', 'text/html').type('form').send({ surname: 'A', firstName: 'B' });
+    expect(page.status).toBe(403);
+    expect(page.text).toContain('users:create');
+  });
+
+  test('адмін призначає роль, і вона одразу діє', async () => {
+    const article = await admin.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Not yours', status: 'published' });
+    expect(article.status).toBe(201);
+
+    const denied = await user.delete(article.headers.location).set('Accept', JSON_ACCEPT);
+    expect(denied.status).toBe(403);
+
+    const accounts = await admin.get('/admin/accounts').set('Accept', JSON_ACCEPT);
+    const eve = accounts.body.data.find((a) => a.email === 'eve@example.com');
+    expect(eve.role).toBe('user');
+    expect(eve).not.toHaveProperty('passHash');
+
+    const promoted = await admin
+      .put(`/admin/accounts/${eve.id}/role`)
+      .set('Accept', JSON_ACCEPT)
+      .send({ role: 'admin' });
+    expect(promoted.status).toBe(200);
+    expect(promoted.body.data.role).toBe('admin');
+
+    const allowed = await user.delete(article.headers.location).set('Accept', JSON_ACCEPT);
+    expect(allowed.status).toBe(204);
+  });
+
+  test('невідома роль → 400, власна роль → 409', async () => {
+    const accounts = await admin.get('/admin/accounts').set('Accept', JSON_ACCEPT);
+    const self = accounts.body.data.find((a) => a.email === 'admin@example.com');
+    const eve = accounts.body.data.find((a) => a.email === 'eve@example.com');
+
+    const bad = await admin.put(`/admin/accounts/${eve.id}/role`).set('Accept', JSON_ACCEPT).send({ role: 'root' });
+    expect(bad.status).toBe(400);
+
+    const own = await admin.put(`/admin/accounts/${self.id}/role`).set('Accept', JSON_ACCEPT).send({ role: 'user' });
+    expect(own.status).toBe(409);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, test, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  createDriver,
+  createRepositories,
+  ensureIndexes,
+  DuplicateKeyError,
+  OBJECT_ID_RE,
+} from '../repositories/index.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+import { createFileDriver } from '../repositories/drivers/file.mjs';
+
+describe('Repositories', () => {
+  const tmpDirs = [];
+
+  afterEach(() => {
+    for (const dir of tmpDirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('createDriver обирає драйвер за DATA_DRIVER / MONGODB_URI', () => {
+    expect(createDriver({}).name).toBe('memory');
+    expect(createDriver({ DATA_DRIVER: 'memory', MONGODB_URI: 'mongodb://x' }).name).toBe('memory');
+    expect(() => createDriver({ DATA_DRIVER: 'mongo' })).toThrow(/MONGODB_URI/);
+    expect(() => createDriver({ DATA_DRIVER: 'redis' })).toThrow(/unknown DATA_DRIVER/);
+  });
+
+  test('memory: CRUD статей з сортуванням за createdAt', async () => {
+    const repos = createRepositories(createMemoryDriver());
+
+    const first = await repos.articles.create({ title: 'First', body: '' });
+    await new Promise((r) => setTimeout(r, 2));
+    const second = await repos.articles.create({ title: 'Second', body: '' });
+
+    expect((await repos.articles.list()).map((a) => a.id)).toEqual([second.id, first.id]);
+
+    const updated = await repos.articles.update(first.id, { title: 'First!' });
+    expect(updated).toMatchObject({ id: first.id, title: 'First!' });
+    expect(await repos.articles.update('404', { title: 'x' })).toBeNull();
+
+    expect(await repos.articles.softDelete(first.id)).toMatchObject({ id: first.id, deletedAt: expect.any(Date) });
+    expect(await repos.articles.softDelete(first.id)).toBeNull();
+    expect(await repos.articles.findById(first.id)).toBeNull();
+    expect((await repos.articles.list()).map((a) => a.id)).toEqual([second.id]);
+
+    expect(await repos.articles.purge(second.id)).toBe(false);
+    expect(await repos.articles.purge(first.id)).toBe(true);
+    expect(await repos.articles.findById(first.id, { trashed: true })).toBeNull();
+  });
+
+  test('memory: кошик — відновлення та автоочищення за датою видалення', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const old = await repos.users.create({ name: 'Old' });
+    const recent = await repos.users.create({ name: 'Recent' });
+    const live = await repos.users.create({ name: 'Live' });
+
+    await repos.users.softDelete(old.id, { by: { id: 'a1', email: 'admin@example.com' } });
+    await new Promise((r) => setTimeout(r, 5));
+    const cutoff = new Date();
+    await new Promise((r) => setTimeout(r, 5));
+    await repos.users.softDelete(recent.id);
+
+    const trashed = await repos.users.list({ trashed: true });
+    expect(trashed.map((u) => u.name).sort()).toEqual(['Old', 'Recent']);
+    expect(trashed.find((u) => u.id === old.id)).toMatchObject({ deletedBy: 'a1', deletedByEmail: 'admin@example.com' });
+    expect(await repos.users.count()).toBe(1);
+    expect(await repos.users.update(old.id, { name: 'x' })).toBeNull();
+
+    expect(await repos.users.purgeDeletedBefore(cutoff)).toBe(1);
+    expect(await repos.users.findById(old.id, { trashed: true })).toBeNull();
+
+    const restored = await repos.users.restore(recent.id);
+    expect(restored).toMatchObject({ name: 'Recent', deletedAt: null, version: 3 });
+    expect(await repos.users.restore(live.id)).toBeNull();
+    expect(await repos.users.count()).toBe(2);
+  });
+
+  test('memory: повернуті документи не змінюють сховище', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const user = await repos.users.create({ name: 'Ada' });
+
+    user.name = 'Mutated';
+
+    expect((await repos.users.findById(user.id)).name).toBe('Ada');
+  });
+
+  test('memory: фільтри з операторами', async () => {
+    const col = createMemoryDriver().collection('things');
+    await col.insertOne({ n: 1, tags: ['a'] });
+    await col.insertOne({ n: 2, tags: ['b'] });
+    await col.insertOne({ n: 3 });
+
+    expect(await col.count({ n: { $gte: 2 } })).toBe(2);
+    expect(await col.count({ tags: 'a' })).toBe(1);
+    expect(await col.count({ tags: { $exists: false } })).toBe(1);
+    expect(await col.count({ $or: [{ n: 1 }, { n: 3 }] })).toBe(2);
+    expect((await col.find({}, { sort: { n: -1 }, skip: 1, limit: 1 }))[0].n).toBe(2);
+  });
+
+  test('memory: унікальні індекси email для accounts та users', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    await ensureIndexes(repos);
+
+    await repos.accounts.create({ email: 'ada@example.com', passHash: 'h', role: 'user' });
+    await expect(
+      repos.accounts.create({ email: ' ADA@example.com ', passHash: 'h', role: 'user' })
+    ).rejects.toBeInstanceOf(DuplicateKeyError);
+
+    // порожній email у users не вважається дублем
+    await repos.users.create({ name: 'A', email: '' });
+    await repos.users.create({ name: 'B', email: '' });
+    const c = await repos.users.create({ name: 'C', email: 'c@example.com' });
+    const d = await repos.users.create({ name: 'D', email: 'd@example.com' });
+    await expect(repos.users.update(d.id, { email: c.email })).rejects.toBeInstanceOf(DuplicateKeyError);
+    expect((await repos.users.findById(d.id)).email).toBe('d@example.com');
+  });
+
+  test('id — ObjectId-рядки в усіх драйверах', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const account = await repos.accounts.create({ email: 'x@example.com', passHash: 'h', role: 'user' });
+
+    expect(account.id).toMatch(OBJECT_ID_RE);
+    expect((await repos.accounts.findById(account.id)).email).toBe('x@example.com');
+  });
+
+  test('file: дані переживають перезапуск', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'repos-'));
+    tmpDirs.push(dir);
+    const file = path.join(dir, 'db.json');
+
+    const before = createRepositories(createFileDriver({ file }));
+    const account = await before.accounts.create({ email: 'Ada@Example.com', passHash: 'h', role: 'user' });
+
+    const after = createRepositories(createFileDriver({ file }));
+    const found = await after.accounts.findByEmail('ada@example.com');
+    expect(found).toMatchObject({ id: account.id, role: 'user' });
+    expect(found.createdAt).toBeInstanceOf(Date);
+
+    const next = await after.accounts.create({ email: 'bob@example.com', passHash: 'h', role: 'user' });
+    expect(next.id).not.toBe(account.id);
+  });
+});
@@ -0,0 +1,247 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { diffLines, formatDiff } from '../diff.mjs';
+import { createRepositories } from '../repositories/index.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+
+// Гачок між читанням статті й записом відкату: findByNumber викликається саме там
+const hooks = vi.hoisted(() => ({ beforeFindRevision: null, afterFindArticle: null }));
+vi.mock('../repositories/revisions.mjs', async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createRevisionsRepository: (...args) => {
+      const repo = original.createRevisionsRepository(...args);
+      return {
+        ...repo,
+        async findByNumber(...params) {
+          await hooks.beforeFindRevision?.();
+          return repo.findByNumber(...params);
+        },
+      };
+    },
+  };
+});
+
+// Гачок між читанням статті й записом PUT: стаття вже прочитана, запис ще не почався
+vi.mock('../repositories/articles.mjs', async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createArticlesRepository: (...args) => {
+      const repo = original.createArticlesRepository(...args);
+      return {
+        ...repo,
+        async findById(...params) {
+          const article = await repo.findById(...params);
+          await hooks.afterFindArticle?.();
+          return article;
+        },
+      };
+    },
+  };
+});
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+describe('diffLines', () => {
+  test('змінений, доданий і видалений рядки з номерами', () => {
+    const lines = diffLines('one\ntwo\nthree\nfour', 'one\n2\nthree\nfour\nfive');
+    expect(formatDiff(lines)).toBe(' one\n-two\n+2\n three\n four\n+five');
+    expect(lines[1]).toEqual({ op: 'del', text: 'two', oldLine: 2, newLine: null });
+    expect(lines[2]).toEqual({ op: 'add', text: '2', oldLine: null, newLine: 2 });
+    expect(lines[5]).toEqual({ op: 'add', text: 'five', oldLine: null, newLine: 5 });
+  });
+
+  test('однакові й порожні тексти, CRLF', () => {
+    expect(diffLines('a\r\nb', 'a\nb').every((line) => line.op === 'same')).toBe(true);
+    expect(diffLines('', '')).toEqual([]);
+    expect(formatDiff(diffLines('', 'new'))).toBe('+new');
+    expect(formatDiff(diffLines('old', ''))).toBe('-old');
+  });
+});
+
+describe('repos.revisions', () => {
+  test('стаття без історії: перед першою зміною зберігається її попередній стан', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    await repos.revisions.ensureIndexes();
+    const legacy = await repos.articles.create({ title: 'Legacy', body: 'old', author: { id: 'a1', email: 'a@x.io' } });
+    const edited = await repos.articles.update(legacy.id, { body: 'new' });
+    await repos.revisions.record(edited, { action: 'update', before: legacy, author: { id: 'e1', email: 'e@x.io' } });
+
+    const [second, first] = await repos.revisions.list({ articleId: legacy.id });
+    expect(first).toMatchObject({ number: 1, action: 'import', body: 'old', authorEmail: 'a@x.io' });
+    expect(second).toMatchObject({ number: 2, action: 'update', body: 'new', authorEmail: 'e@x.io' });
+    expect([first.articleVersion, second.articleVersion]).toEqual([1, 2]);
+  });
+
+  test('остаточне видалення статті прибирає і її історію', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const article = await repos.articles.create({ title: 'Doomed', body: '' });
+    await repos.revisions.record(article, { action: 'create' });
+    const kept = await repos.articles.create({ title: 'Kept', body: '' });
+    await repos.revisions.record(kept, { action: 'create' });
+
+    await repos.articles.softDelete(article.id);
+    expect(await repos.articles.purgeDeletedBefore(new Date(Date.now() + 1000))).toBe(1);
+    expect(await repos.revisions.count({ articleId: article.id })).toBe(0);
+    expect(await repos.revisions.count({ articleId: kept.id })).toBe(1);
+  });
+});
+
+describe('Історія змін статті', () => {
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const bob = request.agent(app);
+
+  beforeAll(async () => {
+    for (const [agent, email] of [
+      [admin, 'admin@example.com'],
+      [alice, 'alice@example.com'],
+      [bob, 'bob@example.com'],
+    ]) {
+      await agent.post('/auth/register').send({ email, password: 'Secret-pass-1' });
+      await login(agent, { email, password: 'Secret-pass-1' });
+    }
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('створення, PUT і PATCH зберігають ревізії з автором; diff між будь-якими двома', async () => {
+    const created = await admin
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'History', body: 'line 1\nline 2\nline 3', tags: ['a'], status: 'published' });
+    const url = created.headers.location;
+    await admin
+      .put(url)
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'History v2', body: 'line 1\nline two\nline 3', tags: ['a'] });
+    await admin.patch(url).set('Accept', JSON_ACCEPT).send({ tags: 'a, b' });
+
+    const { body } = await bob.get(`${url}/revisions`).set('Accept', JSON_ACCEPT);
+    expect(body.meta.total).toBe(3);
+    expect(body.data.map((r) => [r.number, r.action, r.authorEmail])).toEqual([
+      [3, 'update', 'admin@example.com'],
+      [2, 'update', 'admin@example.com'],
+      [1, 'create', 'admin@example.com'],
+    ]);
+    expect(body.data[0]).toMatchObject({ title: 'History v2', tags: ['a', 'b'], articleVersion: 3 });
+
+    // Без параметрів — остання ревізія проти попередньої: змінилися лише теги
+    const latest = await bob.get(`${url}/revisions/diff`).set('Accept', JSON_ACCEPT);
+    expect(latest.body.data.fields).toEqual({ tags: { from: ['a'], to: ['a', 'b'] } });
+    expect(latest.body.data.lines.every((line) => line.op === 'same')).toBe(true);
+
+    const text = await bob.get(`${url}/revisions/diff?from=1&to=3`);
+    expect(text.text).toBe(' line 1\n-line 2\n+line two\n line 3');
+
+    const page = await bob.get(`${url}/revisions/diff?from=1&to=2`).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Ревізія #1 → #2');
+    expect(page.text).toContain('<tr class="diff-del">');
+    expect(page.text).toContain('line two');
+    // Чужа стаття — без кнопки відкату
+    expect(page.text).not.toContain('/rollback');
+
+    const single = await bob.get(`${url}/revisions/1`).set('Accept', JSON_ACCEPT);
+    expect(single.body.data).toMatchObject({ number: 1, title: 'History', body: 'line 1\nline 2\nline 3' });
+
+    expect((await bob.get(`${url}/revisions/diff?from=0`).set('Accept', JSON_ACCEPT)).status).toBe(400);
+    expect((await bob.get(`${url}/revisions/diff?from=1&to=9`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    expect((await bob.get(`${url}/revisions/9`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+  });
+
+  test('відкат створює нову ревізію; права й версія — як для PUT', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Mine', body: 'first' });
+    const url = created.headers.location;
+    await alice.put(url).set('Accept', JSON_ACCEPT).send({ title: 'Mine', body: 'second' });
+
+    // Чернетку alice інші не бачать — і її історію теж
+    expect((await bob.get(`${url}/revisions`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    expect((await admin.post(`${url}/revisions/1/rollback`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+
+    const stale = await alice.post(`${url}/revisions/1/rollback`).set('Accept', JSON_ACCEPT).send({ version: 1 });
+    expect(stale.status).toBe(409);
+    expect((await alice.post(`${url}/revisions/7/rollback`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+
+    const rolled = await alice.post(`${url}/revisions/1/rollback`).set('Accept', JSON_ACCEPT).send({ version: 2 });
+    expect(rolled.status).toBe(200);
+    expect(rolled.body.data).toMatchObject({ body: 'first', version: 3 });
+
+    const { body } = await alice.get(`${url}/revisions`).set('Accept', JSON_ACCEPT);
+    expect(body.data[0]).toMatchObject({ number: 3, action: 'rollback', rollbackOf: 1, body: 'first' });
+
+    const history = await alice.get(`${url}/revisions`).set('Accept', HTML_ACCEPT);
+    expect(history.text).toContain('відкат');
+    expect(history.text).toContain(`action="${url}/revisions/2/rollback"`);
+    expect(history.text).not.toContain(`action="${url}/revisions/3/rollback"`);
+
+    const form = await alice
+      .post(`${url}/revisions/2/rollback`)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ version: '3' });
+    expect(form.status).toBe(303);
+    expect(form.headers.location).toBe(url);
+    const show = await alice.get(url).set('Accept', HTML_ACCEPT);
+    expect(show.text).toContain('Статтю повернуто до ревізії #2');
+    expect(show.text).toContain(`href="${url}/revisions"`);
+
+    await alice.post(`${url}/submit`).set('Accept', JSON_ACCEPT);
+    await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).send({});
+    expect((await bob.post(`${url}/revisions/1/rollback`).set('Accept', JSON_ACCEPT)).status).toBe(403);
+
+    const log = await admin
+      .get(`/admin/audit?action=rollback&entityId=${created.body.data.id}`)
+      .set('Accept', JSON_ACCEPT);
+    expect(log.body.data.map((e) => e.details.revision).sort()).toEqual([1, 2]);
+  });
+
+  test('відкат без версії не перезаписує зміну, що встигла між читанням і записом', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Raced', body: 'first' });
+    const url = created.headers.location;
+    await alice.put(url).set('Accept', JSON_ACCEPT).send({ title: 'Raced', body: 'second' });
+
+    hooks.beforeFindRevision = async () => {
+      hooks.beforeFindRevision = null;
+      await alice.put(url).set('Accept', JSON_ACCEPT).send({ title: 'Raced', body: 'concurrent' });
+    };
+    const rollback = await alice.post(`${url}/revisions/1/rollback`).set('Accept', JSON_ACCEPT);
+    expect(hooks.beforeFindRevision).toBeNull();
+    expect(rollback.status).toBe(409);
+    expect(rollback.body.error.details).toEqual({ currentVersion: 3 });
+
+    const { body } = await alice.get(url).set('Accept', JSON_ACCEPT);
+    expect(body.data).toMatchObject({ body: 'concurrent', version: 3 });
+    const log = await admin.get(`/admin/audit?action=rollback&entityId=${body.data.id}`).set('Accept', JSON_ACCEPT);
+    expect(log.body.data).toEqual([]);
+  });
+
+  test('PUT без версії не перезаписує зміну, що встигла між читанням і записом', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Put race', body: 'first' });
+    const url = created.headers.location;
+
+    hooks.afterFindArticle = async () => {
+      hooks.afterFindArticle = null;
+      await alice.put(url).set('Accept', JSON_ACCEPT).send({ title: 'Put race', body: 'concurrent' });
+    };
+    const stale = await alice.put(url).set('Accept', JSON_ACCEPT).send({ title: 'Put race', body: 'stale' });
+    expect(hooks.afterFindArticle).toBeNull();
+    expect(stale.status).toBe(409);
+    expect(stale.body.error.details).toEqual({ currentVersion: 2 });
+
+    const { body } = await alice.get(url).set('Accept', JSON_ACCEPT);
+    expect(body.data).toMatchObject({ body: 'concurrent', version: 2 });
+    const revisions = await alice.get(`${url}/revisions`).set('Accept', JSON_ACCEPT);
+    expect(revisions.body.data.map((r) => r.body)).toEqual(['concurrent', 'first']);
+    const diff = await alice.get(`${url}/revisions/diff`).set('Accept', JSON_ACCEPT);
+    expect(diff.body.data.lines.map(({ op, text }) => `${op} ${text}`)).toEqual(['del first', 'add concurrent']);
+  });
+});
@@ -0,0 +1,93 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { RepositorySessionStore } from '../session-store.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+
+const JSON_ACCEPT = 'application/json';
+
+const call = (store, method, ...args) =>
+  new Promise((resolve, reject) => store[method](...args, (err, value) => (err ? reject(err) : resolve(value))));
+
+describe('Session store', () => {
+  const newStore = () =>
+    new RepositorySessionStore({ collection: createMemoryDriver().collection('sessions'), pruneIntervalMs: 0 });
+
+  test('set / get / destroy', async () => {
+    const store = newStore();
+    const sess = { cookie: { expires: new Date(Date.now() + 60_000) }, passport: { user: 'u1' } };
+
+    await call(store, 'set', 'sid-1', sess);
+    expect(await call(store, 'get', 'sid-1')).toMatchObject({ passport: { user: 'u1' } });
+    expect(await call(store, 'length')).toBe(1);
+
+    await call(store, 'destroy', 'sid-1');
+    expect(await call(store, 'get', 'sid-1')).toBeNull();
+  });
+
+  test('прострочені сесії не повертаються і прибираються prune()', async () => {
+    const store = newStore();
+    await call(store, 'set', 'old', { cookie: { expires: new Date(Date.now() - 1000) } });
+
+    expect(await call(store, 'get', 'old')).toBeNull();
+    expect(await store.prune()).toBe(1);
+  });
+
+  test('revokeOthers залишає лише поточну сесію користувача', async () => {
+    const store = newStore();
+    const expires = new Date(Date.now() + 60_000);
+    await call(store, 'set', 'a', { cookie: { expires }, passport: { user: 'u1' } });
+    await call(store, 'set', 'b', { cookie: { expires }, passport: { user: 'u1' } });
+    await call(store, 'set', 'c', { cookie: { expires }, passport: { user: 'u2' } });
+
+    expect(await store.revokeOthers('u1', 'a')).toBe(1);
+    const left = await store.listByUser('u1', 'a');
+    expect(left).toHaveLength(1);
+    expect(left[0].current).toBe(true);
+    expect(await call(store, 'get', 'c')).not.toBeNull();
+  });
+});
+
+describe('/account/sessions', () => {
+  const laptop = request.agent(app);
+  const phone = request.agent(app);
+  const credentials = { email: 'sessions@example.com', password: 'Secret-pass-1' };
+
+  beforeAll(async () => {
+    await laptop.post('/auth/register').send(credentials);
+    await login(laptop, credentials, { 'User-Agent': 'laptop' });
+    await login(phone, credentials, { 'User-Agent': 'phone' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('показує всі сесії користувача та відкликає чужу', async () => {
+    const list = await laptop.get('/account/sessions').set('Accept', JSON_ACCEPT);
+    expect(list.status).toBe(200);
+    expect(list.body.data).toHaveLength(2);
+
+    const other = list.body.data.find((s) => !s.current);
+    expect(other.meta.userAgent).toBe('phone');
+    expect(other).not.toHaveProperty('sid');
+
+    const page = await laptop.get('/account/sessions').set('Accept', 'text/html');
+    expect(page.status).toBe(200);
+    expect(page.text).toContain(`action="/account/sessions/${other.id}"`);
+
+    const revoked = await laptop.delete(`/account/sessions/${other.id}`).set('Accept', JSON_ACCEPT);
+    expect(revoked.status).toBe(204);
+
+    const phoneAfter = await phone.get('/account/sessions').set('Accept', JSON_ACCEPT);
+    expect(phoneAfter.status).toBe(401);
+  });
+
+  test('без логіну — 401', async () => {
+    const response = await request(app).get('/account/sessions').set('Accept', JSON_ACCEPT);
+    expect(response.status).toBe(401);
+  });
+});
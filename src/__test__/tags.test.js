@@ -0,0 +1,139 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { normalizeTag, cloudLevel } from '../tags.mjs';
+import { validate } from '../validation.mjs';
+import { articleSchema } from '../schemas.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+describe('Нормалізація тегів', () => {
+  test('регістр, пробіли, #, розділові знаки й форми Unicode', () => {
+    expect(normalizeTag('Node.js')).toBe('node-js');
+    expect(normalizeTag('  #node   JS ')).toBe('node-js');
+    expect(normalizeTag('NODE_JS')).toBe('node-js');
+    expect(normalizeTag('Памʼять')).toBe(normalizeTag("пам'ять"));
+    expect(normalizeTag('ＪＳ')).toBe('js');
+    expect(normalizeTag('---')).toBe('');
+  });
+
+  test('схема статті: рядок через кому або масив, дублікати й порожні відкидаються', () => {
+    const fromForm = validate(articleSchema, { title: 'T', tags: 'JS, js , #Node.js,,', category: ' Web Dev ' });
+    expect(fromForm.value).toMatchObject({ tags: ['js', 'node-js'], category: 'web-dev' });
+
+    expect(validate(articleSchema, { title: 'T', tags: ['A', 'a'] }).value.tags).toEqual(['a']);
+    expect(validate(articleSchema, { title: 'T', tags: [1] }).errors[0]).toMatchObject({ field: 'tags', code: 'type' });
+    const many = Array.from({ length: 11 }, (_, i) => `t${i}`);
+    expect(validate(articleSchema, { title: 'T', tags: many }).errors[0].code).toBe('too_many');
+  });
+
+  test('рівень у хмарі — від 1 до 5', () => {
+    expect(cloudLevel(1, 1)).toBe(1);
+    expect(cloudLevel(1, 100)).toBe(1);
+    expect(cloudLevel(100, 100)).toBe(5);
+  });
+
+  test('memory-драйвер: $unwind + $group + $sort', async () => {
+    const col = createMemoryDriver().collection('docs');
+    await col.insertOne({ tags: ['a', 'b'] });
+    await col.insertOne({ tags: ['a'] });
+    await col.insertOne({ tags: [] });
+    await col.insertOne({});
+    const rows = await col.aggregate([
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1 } },
+    ]);
+    expect(rows).toEqual([
+      { _id: 'a', count: 2 },
+      { _id: 'b', count: 1 },
+    ]);
+  });
+});
+
+describe('Теги й категорії статей', () => {
+  const agent = request.agent(app);
+  const admin = request.agent(app);
+  // Хмара рахує лише опубліковані статті: автор подає на розгляд, admin публікує
+  const create = async (body) => {
+    const created = await agent.post('/articles').set('Accept', JSON_ACCEPT).send({ ...body, status: 'review' });
+    await admin.post(`/articles/${created.body.data.id}/publish`).set('Accept', JSON_ACCEPT).send({});
+    return created;
+  };
+
+  beforeAll(async () => {
+    await admin.post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await login(admin, { email: 'admin@example.com', password: 'Secret-pass-1' });
+    await agent.post('/auth/register').send({ email: 'tagger@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'tagger@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('створення, фільтр ?tag= з нормалізацією, ?category=', async () => {
+    const first = await create({ title: 'Intro to Node', tags: ['Node.js', 'JavaScript'], category: 'Backend' });
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({ tags: ['node-js', 'javascript'], category: 'backend' });
+    await create({ title: 'Async JS', tags: 'javascript, #Async' });
+    await create({ title: 'Untagged' });
+
+    const byTag = await agent.get('/articles?tag=JavaScript').set('Accept', JSON_ACCEPT);
+    expect(byTag.body.data.map((a) => a.title).sort()).toEqual(['Async JS', 'Intro to Node']);
+    expect(byTag.body.meta.total).toBe(2);
+
+    const nearDuplicate = await agent.get('/articles?tag=node js').set('Accept', JSON_ACCEPT);
+    expect(nearDuplicate.body.data.map((a) => a.title)).toEqual(['Intro to Node']);
+
+    const byCategory = await agent.get('/articles?category=BACKEND').set('Accept', JSON_ACCEPT);
+    expect(byCategory.body.data.map((a) => a.title)).toEqual(['Intro to Node']);
+
+    const html = await agent.get('/articles?tag=async').set('Accept', HTML_ACCEPT);
+    expect(html.text).toContain('Тег: <strong>#async</strong>');
+    expect(html.text).toContain('href="/articles?tag=async"');
+    expect(html.text).not.toContain('Intro to Node');
+  });
+
+  test('хмара тегів: кількість з агрегації, кошик не враховується', async () => {
+    const doomed = await create({ title: 'Doomed', tags: ['javascript', 'doomed'] });
+    await agent.delete(`/articles/${doomed.body.data.id}`).set('Accept', JSON_ACCEPT);
+
+    const { body } = await agent.get('/articles/tags').set('Accept', JSON_ACCEPT);
+    expect(body.data.tags).toEqual([
+      { tag: 'javascript', count: 2 },
+      { tag: 'async', count: 1 },
+      { tag: 'node-js', count: 1 },
+    ]);
+    expect(body.data.categories).toEqual([{ category: 'backend', count: 1 }]);
+
+    const page = await agent.get('/articles/tags').set('Accept', HTML_ACCEPT);
+    expect(page.status).toBe(200);
+    expect(page.text).toContain('class="level-5"');
+    expect(page.text).toContain('href="/articles?category=backend"');
+  });
+
+  test('форма редагування зберігає теги; PATCH змінює лише передані поля', async () => {
+    const { body } = await create({ title: 'Editable', tags: ['keep-me'], category: 'notes' });
+    const { id } = body.data;
+
+    const page = await agent.get(`/articles/${id}`).set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('name="tags"');
+    expect(page.text).toContain('value="keep-me"');
+
+    const form = await agent
+      .post(`/articles/${id}`)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ _method: 'PUT', title: 'Edited', body: '', tags: 'keep-me, Added Tag', category: 'notes' });
+    expect(form.status).toBe(303);
+
+    const patched = await agent.patch(`/articles/${id}`).set('Accept', JSON_ACCEPT).send({ title: 'Patched' });
+    expect(patched.body.data).toMatchObject({ title: 'Patched', tags: ['keep-me', 'added-tag'], category: 'notes' });
+  });
+});
@@ -0,0 +1,166 @@
+import { app, server, mailer } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+
+const JSON_ACCEPT = 'application/json';
+
+describe('JWT: Bearer-токени для API-клієнтів', () => {
+  beforeAll(async () => {
+    await request(app).post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  const issue = () =>
+    request(app)
+      .post('/auth/token')
+      .set('Accept', JSON_ACCEPT)
+      .send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+
+  test('POST /auth/token видає пару токенів, невірний пароль — 401', async () => {
+    const ok = await issue();
+    expect(ok.status).toBe(200);
+    expect(ok.body).toMatchObject({ tokenType: 'Bearer', expiresIn: 900 });
+    expect(ok.body.accessToken).toEqual(expect.any(String));
+    expect(ok.body.refreshToken).toEqual(expect.any(String));
+
+    const bad = await request(app)
+      .post('/auth/token')
+      .set('Accept', JSON_ACCEPT)
+      .send({ email: 'admin@example.com', password: 'wrong' });
+    expect(bad.status).toBe(401);
+    expect(bad.body.error.code).toBe('unauthorized');
+  });
+
+  test('Bearer-токен замінює сесійну cookie для захищених маршрутів', async () => {
+    const { body: pair } = await issue();
+
+    const created = await request(app)
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${pair.accessToken}`)
+      .send({ surname: 'Turing', firstName: 'Alan', email: 'alan@example.com' });
+    expect(created.status).toBe(201);
+
+    const list = await request(app)
+      .get('/users')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${pair.accessToken}`);
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((u) => u.id)).toContain(created.body.data.id);
+  });
+
+  test('невалідний токен повертає 401 з WWW-Authenticate', async () => {
+    const response = await request(app)
+      .get('/users')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', 'Bearer not-a-jwt');
+
+    expect(response.status).toBe(401);
+    expect(response.headers['www-authenticate']).toMatch(/invalid_token/);
+  });
+
+  test('refresh ротує токени, повторне використання відкликає всі', async () => {
+    const { body: first } = await issue();
+
+    const rotated = await request(app).post('/auth/token/refresh').send({ refreshToken: first.refreshToken });
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.refreshToken).not.toBe(first.refreshToken);
+
+    const reused = await request(app).post('/auth/token/refresh').send({ refreshToken: first.refreshToken });
+    expect(reused.status).toBe(401);
+
+    const afterReuse = await request(app)
+      .post('/auth/token/refresh')
+      .send({ refreshToken: rotated.body.refreshToken });
+    expect(afterReuse.status).toBe(401);
+  });
+
+  test('logout з Bearer відкликає access- та refresh-токен', async () => {
+    const { body: pair } = await issue();
+    const auth = `Bearer ${pair.accessToken}`;
+
+    const out = await request(app)
+      .post('/auth/logout')
+      .set('Authorization', auth)
+      .send({ refreshToken: pair.refreshToken });
+    expect(out.status).toBe(204);
+
+    const denied = await request(app).get('/users').set('Accept', JSON_ACCEPT).set('Authorization', auth);
+    expect(denied.status).toBe(401);
+
+    const refreshed = await request(app).post('/auth/token/refresh').send({ refreshToken: pair.refreshToken });
+    expect(refreshed.status).toBe(401);
+  });
+
+  test('access-токени, видані до зміни чи скидання пароля, більше не приймаються', async () => {
+    const email = 'rotate@example.com';
+    await request(app).post('/auth/register').send({ email, password: 'Secret-pass-1' });
+    const tokenFor = async (password) =>
+      (await request(app).post('/auth/token').set('Accept', JSON_ACCEPT).send({ email, password })).body.accessToken;
+    const settings = (token) =>
+      request(app).get('/account/settings').set('Accept', JSON_ACCEPT).set('Authorization', `Bearer ${token}`);
+
+    const stolen = await tokenFor('Secret-pass-1');
+    expect((await settings(stolen)).status).toBe(200);
+
+    const changed = await request(app)
+      .put('/account/password')
+      .set('Accept', JSON_ACCEPT)
+      .set('Authorization', `Bearer ${stolen}`)
+      .send({ currentPassword: 'Secret-pass-1', password: 'Another-pass-2' });
+    expect(changed.status).toBe(200);
+    const rejected = await settings(stolen);
+    expect(rejected.status).toBe(401);
+    expect(rejected.headers['www-authenticate']).toMatch(/issued before password change/);
+
+    const current = await tokenFor('Another-pass-2');
+    expect((await settings(current)).status).toBe(200);
+
+    await request(app).post('/auth/password-reset/request').send({ email });
+    const link = /\?token=(\S+)/.exec(mailer.transport.last(email).text);
+    const reset = await request(app)
+      .post('/auth/password-reset')
+      .set('Accept', JSON_ACCEPT)
+      .send({ token: decodeURIComponent(link[1]), password: 'Third-pass-33' });
+    expect(reset.status).toBe(200);
+    expect((await settings(current)).status).toBe(401);
+    expect((await settings(await tokenFor('Third-pass-33'))).status).toBe(200);
+  });
+
+  test('токен, виданий у ту саму секунду до зміни пароля, теж недійсний', async () => {
+    const email = 'same.second@example.com';
+    await request(app).post('/auth/register').send({ email, password: 'Secret-pass-1' });
+    const settings = (token) =>
+      request(app).get('/account/settings').set('Accept', JSON_ACCEPT).set('Authorization', `Bearer ${token}`);
+
+    // Підмінюємо лише Date: видача й зміна — в одній секунді, з різницею в 400 мс
+    const second = Math.ceil(Date.now() / 1000) * 1000 + 1000;
+    vi.useFakeTimers({ toFake: ['Date'] });
+    try {
+      vi.setSystemTime(second + 100);
+      const stolen = (await request(app).post('/auth/token').send({ email, password: 'Secret-pass-1' })).body;
+      const current = (await request(app).post('/auth/token').send({ email, password: 'Secret-pass-1' })).body;
+      expect((await settings(stolen.accessToken)).status).toBe(200);
+
+      vi.setSystemTime(second + 500);
+      const changed = await request(app)
+        .put('/account/password')
+        .set('Accept', JSON_ACCEPT)
+        .set('Authorization', `Bearer ${current.accessToken}`)
+        .send({ currentPassword: 'Secret-pass-1', password: 'Another-pass-2' });
+      expect(changed.status).toBe(200);
+
+      const rejected = await settings(stolen.accessToken);
+      expect(rejected.status).toBe(401);
+      expect(rejected.headers['www-authenticate']).toMatch(/issued before password change/);
+      expect((await settings(changed.body.data.tokens.accessToken)).status).toBe(200);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
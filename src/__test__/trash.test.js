@@ -0,0 +1,188 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll, vi } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { createRepositories } from '../repositories/index.mjs';
+import { createMemoryDriver } from '../repositories/drivers/memory.mjs';
+import { createTrashPurger } from '../trash.mjs';
+
+// Гачок між читанням статті й записом: стаття вже прочитана, зміна ще не почалася
+const hooks = vi.hoisted(() => ({ afterFindArticle: null }));
+vi.mock('../repositories/articles.mjs', async (importOriginal) => {
+  const original = await importOriginal();
+  return {
+    ...original,
+    createArticlesRepository: (...args) => {
+      const repo = original.createArticlesRepository(...args);
+      return {
+        ...repo,
+        async findById(...params) {
+          const article = await repo.findById(...params);
+          await hooks.afterFindArticle?.();
+          return article;
+        },
+      };
+    },
+  };
+});
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+const DAY_MS = 24 * 3600 * 1000;
+
+describe('Кошик: автоочищення', () => {
+  test('видаляє записи, що лежать у кошику довше за TRASH_RETENTION_DAYS', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const purger = createTrashPurger({ repos, env: { TRASH_RETENTION_DAYS: '7' } });
+    const article = await repos.articles.create({ title: 'Old', body: '' });
+    const user = await repos.users.create({ name: 'Old' });
+    await repos.articles.softDelete(article.id);
+    await repos.users.softDelete(user.id);
+
+    expect(await purger.purgeExpired(new Date(Date.now() + 6 * DAY_MS))).toEqual({ articles: 0, users: 0 });
+    expect(await purger.purgeExpired(new Date(Date.now() + 8 * DAY_MS))).toEqual({ articles: 1, users: 1 });
+    expect(await repos.articles.findById(article.id, { trashed: true })).toBeNull();
+
+    const deletedAt = new Date('2025-01-01T00:00:00Z');
+    expect(purger.purgeAt(deletedAt)).toEqual(new Date('2025-01-08T00:00:00Z'));
+  });
+
+  test('TRASH_RETENTION_DAYS=0 вимикає автоочищення', async () => {
+    const repos = createRepositories(createMemoryDriver());
+    const purger = createTrashPurger({ repos, env: { TRASH_RETENTION_DAYS: '0' } });
+    const article = await repos.articles.create({ title: 'Kept', body: '' });
+    await repos.articles.softDelete(article.id);
+
+    expect(await purger.purgeExpired(new Date(Date.now() + 365 * DAY_MS))).toEqual({});
+    expect(purger.purgeAt(new Date())).toBeNull();
+    expect(await repos.articles.findById(article.id, { trashed: true })).not.toBeNull();
+  });
+});
+
+describe('Кошик: мʼяке видалення, відновлення, остаточне видалення', () => {
+  const admin = request.agent(app);
+  const alice = request.agent(app);
+  const bob = request.agent(app);
+
+  beforeAll(async () => {
+    for (const [agent, email] of [
+      [admin, 'admin@example.com'],
+      [alice, 'alice.trash@example.com'],
+      [bob, 'bob.trash@example.com'],
+    ]) {
+      await agent.post('/auth/register').send({ email, password: 'Secret-pass-1' });
+      await login(agent, { email, password: 'Secret-pass-1' });
+    }
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('видалена стаття зникає зі списків і зʼявляється в кошику автора', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Oops' });
+    const url = created.headers.location;
+    const { id } = created.body.data;
+
+    expect((await alice.delete(url).set('Accept', JSON_ACCEPT)).status).toBe(204);
+    expect((await alice.get(url).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    expect((await alice.put(url).set('Accept', JSON_ACCEPT).send({ title: 'x' })).status).toBe(404);
+    expect((await alice.delete(url).set('Accept', JSON_ACCEPT)).status).toBe(404);
+
+    const list = await alice.get('/articles?mine=1').set('Accept', JSON_ACCEPT);
+    expect(list.body.data.map((a) => a.id)).not.toContain(id);
+
+    const trash = await alice.get('/trash').set('Accept', JSON_ACCEPT);
+    expect(trash.status).toBe(200);
+    expect(trash.body.data.users).toBeUndefined();
+    expect(trash.body.meta.retentionDays).toBe(30);
+    expect(trash.body.data.articles.find((a) => a.id === id)).toMatchObject({
+      title: 'Oops',
+      deletedByEmail: 'alice.trash@example.com',
+    });
+
+    const bobsTrash = await bob.get('/trash').set('Accept', JSON_ACCEPT);
+    expect(bobsTrash.body.data.articles.map((a) => a.id)).not.toContain(id);
+
+    const page = await alice.get('/trash').set('Accept', HTML_ACCEPT);
+    expect(page.text).toContain('Oops');
+    expect(page.text).toContain(`action="/trash/articles/${id}/restore"`);
+    expect(page.text).not.toContain('Видалити назавжди');
+  });
+
+  test('видалення без версії не прибирає статтю, яку щойно змінили', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Raced', status: 'review' });
+    const url = created.headers.location;
+
+    hooks.afterFindArticle = async () => {
+      hooks.afterFindArticle = null;
+      await admin.post(`${url}/publish`).set('Accept', JSON_ACCEPT).send({});
+    };
+    const removed = await alice.delete(url).set('Accept', JSON_ACCEPT);
+    expect(hooks.afterFindArticle).toBeNull();
+    expect(removed.status).toBe(409);
+    expect(removed.body.error.details).toEqual({ currentVersion: 2 });
+
+    const { body } = await alice.get(url).set('Accept', JSON_ACCEPT);
+    expect(body.data).toMatchObject({ status: 'published', version: 2 });
+  });
+
+  test('відновити може лише той, хто міг видалити', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Restore me' });
+    const { id } = created.body.data;
+    await alice.delete(created.headers.location).set('Accept', JSON_ACCEPT);
+
+    expect((await bob.post(`/trash/articles/${id}/restore`).set('Accept', JSON_ACCEPT)).status).toBe(403);
+
+    const restored = await alice
+      .post(`/trash/articles/${id}/restore`)
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({});
+    expect(restored.status).toBe(303);
+    expect(restored.headers.location).toBe('/trash');
+
+    const shown = await alice.get(created.headers.location).set('Accept', JSON_ACCEPT);
+    expect(shown.body.data).toMatchObject({ title: 'Restore me', deletedAt: null, version: 3 });
+
+    expect((await alice.post(`/trash/articles/${id}/restore`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+  });
+
+  test('остаточне видалення — лише admin і лише з кошика', async () => {
+    const created = await alice.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'Purge me' });
+    const { id } = created.body.data;
+
+    expect((await admin.delete(`/trash/articles/${id}`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+
+    await alice.delete(created.headers.location).set('Accept', JSON_ACCEPT);
+    expect((await alice.delete(`/trash/articles/${id}`).set('Accept', JSON_ACCEPT)).status).toBe(403);
+
+    const adminPage = await admin.get('/trash').set('Accept', HTML_ACCEPT);
+    expect(adminPage.text).toContain('Purge me');
+    expect(adminPage.text).toContain('Видалити назавжди');
+
+    expect((await admin.delete(`/trash/articles/${id}`).set('Accept', JSON_ACCEPT)).status).toBe(204);
+    expect((await admin.post(`/trash/articles/${id}/restore`).set('Accept', JSON_ACCEPT)).status).toBe(404);
+    expect((await admin.get('/trash/widgets').set('Accept', JSON_ACCEPT)).status).toBe(404);
+  });
+
+  test('видалений користувач потрапляє в кошик admin і відновлюється', async () => {
+    const created = await admin.post('/users').set('Accept', JSON_ACCEPT).send({ name: 'Temp User' });
+    const { id } = created.body.data;
+
+    expect((await admin.delete(created.headers.location).set('Accept', JSON_ACCEPT)).status).toBe(204);
+    expect((await admin.get(created.headers.location).set('Accept', JSON_ACCEPT)).status).toBe(404);
+
+    const trash = await admin.get('/trash').set('Accept', JSON_ACCEPT);
+    expect(trash.body.data.users.find((u) => u.id === id)).toMatchObject({ deletedByEmail: 'admin@example.com' });
+
+    expect((await alice.post(`/trash/users/${id}/restore`).set('Accept', JSON_ACCEPT)).status).toBe(403);
+
+    const restored = await admin.post(`/trash/users/${id}/restore`).set('Accept', JSON_ACCEPT);
+    expect(restored.status).toBe(200);
+    expect(restored.headers.etag).toBe('"3"');
+    expect((await admin.get(created.headers.location).set('Accept', JSON_ACCEPT)).body.data.name).toBe('Temp User');
+  });
+});
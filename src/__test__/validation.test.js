@@ -0,0 +1,140 @@
+import { app, server } from '../server.mjs';
+import { describe, test, expect, beforeAll, afterAll } from 'vitest';
+import request from 'supertest';
+import { login } from './helpers.js';
+import { validate, errorsByField } from '../validation.mjs';
+import { userSchema, articleSchema, registerSchema, passwordChangeSchema } from '../schemas.mjs';
+
+const JSON_ACCEPT = 'application/json';
+const HTML_ACCEPT = 'text/html';
+
+describe('Валідація: схеми', () => {
+  test('обрізає рядки, відкидає невідомі поля, нормалізує email', () => {
+    const { value, errors } = validate(userSchema, {
+      surname: ' Lovelace ',
+      firstName: 'Ada',
+      email: ' ADA@Example.com',
+      isAdmin: true,
+    });
+
+    expect(errors).toEqual([]);
+    expect(value).toEqual({ surname: 'Lovelace', firstName: 'Ada', email: 'ada@example.com' });
+  });
+
+  test('помилки по полях: тип, формат, довжина, обовʼязковість', () => {
+    const { errors } = validate(userSchema, { name: 42, email: 'nope', info: 'x'.repeat(2001) });
+    expect(errorsByField(errors)).toEqual({
+      name: '"name" must be a string',
+      email: '"email" must be a valid email',
+      info: '"info" must be at most 2000 characters',
+    });
+
+    expect(validate(articleSchema, { body: 'text' }).errors).toEqual([
+      { field: 'title', code: 'required', message: '"title" is required' },
+    ]);
+  });
+
+  test('правило users: name або surname + firstName', () => {
+    expect(validate(userSchema, { name: 'Ada' }).errors).toEqual([]);
+    expect(errorsByField(validate(userSchema, { surname: 'Lovelace' }).errors)).toHaveProperty('firstName');
+    expect(errorsByField(validate(userSchema, {}).errors)).toHaveProperty('name');
+  });
+
+  test('паролі обмежені 72 байтами UTF-8 (межа bcrypt), а не символами', () => {
+    // 'ї' — 2 байти: 3 + 34 × 2 = 71 байт проходить, 3 + 35 × 2 = 73 — ні, хоча символів лише 38
+    const fits = `Aa1${'ї'.repeat(34)}`;
+    expect(validate(registerSchema, { email: 'a@example.com', password: fits }).errors).toEqual([]);
+
+    const tooLong = `Aa1${'ї'.repeat(35)}`;
+    expect(validate(registerSchema, { email: 'a@example.com', password: tooLong }).errors).toEqual([
+      { field: 'password', code: 'too_long', message: '"password" must be at most 72 bytes in UTF-8' },
+    ]);
+    const { errors } = validate(passwordChangeSchema, { currentPassword: tooLong, password: 'Secret-pass-2' });
+    expect(errorsByField(errors)).toEqual({
+      currentPassword: '"currentPassword" must be at most 72 bytes in UTF-8',
+    });
+  });
+});
+
+describe('Валідація: маршрути', () => {
+  const agent = request.agent(app);
+
+  beforeAll(async () => {
+    await agent.post('/auth/register').send({ email: 'admin@example.com', password: 'Secret-pass-1' });
+    await login(agent, { email: 'admin@example.com', password: 'Secret-pass-1' });
+  });
+
+  afterAll(() => {
+    if (server && server.listening) {
+      server.close();
+    }
+  });
+
+  test('JSON: 400 з помилками по полях для users, articles та реєстрації', async () => {
+    const user = await agent
+      .post('/users')
+      .set('Accept', JSON_ACCEPT)
+      .send({ surname: 'A', firstName: 'B', email: 'not-an-email' });
+    expect(user.status).toBe(400);
+    expect(user.body.error.details.errors).toEqual([
+      { field: 'email', code: 'format', message: '"email" must be a valid email' },
+    ]);
+
+    const article = await agent.post('/articles').set('Accept', JSON_ACCEPT).send({ title: 'x'.repeat(201) });
+    expect(article.status).toBe(400);
+    expect(article.body.error.details.errors[0]).toMatchObject({ field: 'title', code: 'too_long' });
+
+    const register = await request(app).post('/auth/register').set('Accept', JSON_ACCEPT).send({ email: 'bad' });
+    expect(register.status).toBe(400);
+    expect(register.body.error.details.errors.map((e) => e.field)).toEqual(['email', 'password']);
+  });
+
+  test('невідомі поля не потрапляють у сховище', async () => {
+    const created = await agent
+      .post('/articles')
+      .set('Accept', JSON_ACCEPT)
+      .send({ title: 'Clean', authorId: 'someone-else', views: 1000 });
+
+    expect(created.status).toBe(201);
+    expect(created.body.data).not.toHaveProperty('views');
+    expect(created.body.data.authorEmail).toBe('admin@example.com');
+  });
+
+  test('HTML: форма користувача повертається з помилками та введеними значеннями', async () => {
+    const response = await agent
+      .post('/users')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ surname: 'Hopper', firstName: '', email: 'grace@', info: 'COBOL' });
+
+    expect(response.status).toBe(400);
+    expect(response.text).toContain('value="Hopper"');
+    expect(response.text).toContain('&quot;firstName&quot; is required');
+    expect(response.text).toContain('>COBOL</textarea>');
+  });
+
+  test('HTML: форма статті та реєстрації показують інлайн-помилки', async () => {
+    const article = await agent
+      .post('/articles')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ title: '   ', body: 'Draft that must survive' });
+    expect(article.status).toBe(400);
+    expect(article.text).toContain('class="field-error"');
+    expect(article.text).toContain('Draft that must survive</textarea>');
+
+    // Форма реєстрації — з токеном сесії, створеної на GET форми (див. src/csrf.mjs)
+    const visitor = request.agent(app);
+    const { text: form } = await visitor.get('/auth/register').set('Accept', HTML_ACCEPT);
+    const _csrf = /name="_csrf" value="([^"]+)"/.exec(form)[1];
+    const register = await visitor
+      .post('/auth/register')
+      .set('Accept', HTML_ACCEPT)
+      .type('form')
+      .send({ email: 'someone@example', password: 'Secret-pass-1', _csrf });
+    expect(register.status).toBe(400);
+    expect(register.text).toContain('value="someone@example"');
+    expect(register.text).toContain('&quot;email&quot; must be a valid email');
+    expect(register.text).not.toContain('Secret-pass-1');
+  });
+});
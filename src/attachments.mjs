@@ -0,0 +1,98 @@
+// Вкладення статей: дозволені типи, визначення типу за вмістом, ліміти розміру.
+//
+// Тип файлу визначається за першими байтами (сигнатурою), а не за розширенням чи Content-Type
+// від браузера: «photo.png» з HTML усередині не стане зображенням. Невідомий вміст → 415.
+// Текстом вважається лише коректний UTF-8 без нульових байтів і віддається як text/plain (nosniff).
+//
+// ATTACHMENT_MAX_SIZE_MB — найбільший розмір одного файлу, МБ (5)
+// ATTACHMENT_MAX_FILES   — скільки файлів можна надіслати одним запитом (5)
+
+export const ATTACHMENT_TYPES = {
+  'image/png': { label: 'PNG', image: true },
+  'image/jpeg': { label: 'JPEG', image: true },
+  'image/gif': { label: 'GIF', image: true },
+  'image/webp': { label: 'WebP', image: true },
+  'application/pdf': { label: 'PDF', image: false },
+  'text/plain': { label: 'текст', image: false },
+};
+
+// Для <input type="file" accept> — лише підказка браузеру, перевіряє все одно сервер
+export const ATTACHMENT_ACCEPT = [...Object.keys(ATTACHMENT_TYPES), '.txt'].join(',');
+
+const MB = 1024 * 1024;
+
+export function attachmentLimits(env = process.env) {
+  const maxFileSize = Math.max(1, Number(env.ATTACHMENT_MAX_SIZE_MB) || 5) * MB;
+  const maxFiles = Math.max(1, Math.floor(Number(env.ATTACHMENT_MAX_FILES) || 5));
+  // Тіло цілком: усі файли найбільшого розміру + запас на текстові поля форми
+  return { maxFileSize, maxFiles, maxBodySize: maxFiles * maxFileSize + MB };
+}
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+const SIGNATURES = [
+  ['image/png', (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  ['image/jpeg', (b) => startsWith(b, [0xff, 0xd8, 0xff])],
+  ['image/gif', (b) => startsWith(b, ascii('GIF87a')) || startsWith(b, ascii('GIF89a'))],
+  ['image/webp', (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8)],
+  ['application/pdf', (b) => startsWith(b, ascii('%PDF-'))],
+];
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+function isText(buffer) {
+  if (buffer.includes(0)) return false;
+  try {
+    utf8.decode(buffer);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** MIME-тип за вмістом файлу або null, якщо вміст не схожий на жоден дозволений тип */
+export function sniffMime(buffer) {
+  const match = SIGNATURES.find(([, test]) => test(buffer));
+  if (match) return match[0];
+  return buffer.length && isText(buffer) ? 'text/plain' : null;
+}
+
+/**
+ * Перевірка завантаженого файлу (див. multipart.mjs): { mime } або { error: { status, code, message } }.
+ * 413 — завеликий, 415 — тип не дозволено.
+ */
+export function checkUpload(file, { maxFileSize }) {
+  if (file.size > maxFileSize) {
+    const message = `"${file.filename}" is larger than ${Math.round(maxFileSize / MB)} MB`;
+    return { error: { status: 413, code: 'too_large', message } };
+  }
+  const mime = sniffMime(file.buffer);
+  if (!mime) {
+    const allowed = Object.values(ATTACHMENT_TYPES).map((type) => type.label).join(', ');
+    return { error: { status: 415, code: 'unsupported_type', message: `"${file.filename}": allowed ${allowed}` } };
+  }
+  return { mime };
+}
+
+// RFC 5987: ' ( ) * encodeURIComponent не кодує, а в filename* вони заборонені
+const encodeRfc5987 = (value) =>
+  encodeURIComponent(value).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Content-Disposition для віддачі файлу. Зображення — inline (показуються в <img>),
+ * решта (PDF, текст) — attachment: браузер завантажує файл, а не відкриває його на нашому домені.
+ */
+export function contentDisposition(attachment) {
+  const kind = ATTACHMENT_TYPES[attachment.mime]?.image ? 'inline' : 'attachment';
+  const fallback = attachment.filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${kind}; filename="${fallback}"; filename*=UTF-8''${encodeRfc5987(attachment.filename)}`;
+}
+
+// 1536 → «1.5 КБ» для сторінки статті
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} Б`;
+  if (bytes < MB) return `${(bytes / 1024).toFixed(1)} КБ`;
+  return `${(bytes / MB).toFixed(1)} МБ`;
+}
@@ -0,0 +1,94 @@
+// Журнал аудиту: хто, коли і що змінив.
+//
+// Маршрути викликають audit.record(req, { action, entityType, entityId, before, after })
+// після успішної зміни. Актор і кореляційний ID беруться з req (req.user, req.id),
+// зміни — різниця before/after по полях (див. diff).
+
+import { logger, redactUrl } from './logger.mjs';
+
+// Значення для фільтрів API та сторінки /admin/audit
+export const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'delete',
+  'restore',
+  'purge',
+  'register',
+  'login',
+  'logout',
+  'revoke',
+  'verify-email',
+  'password-reset',
+  'change-password',
+  'lockout',
+  'submit',
+  'publish',
+  'unpublish',
+  'rollback',
+  'hide',
+  'approve',
+];
+export const AUDIT_ENTITY_TYPES = ['article', 'comment', 'attachment', 'user', 'account', 'session', 'ip'];
+
+// Службові поля не потрапляють у diff; passHash — ніколи
+const IGNORED_FIELDS = new Set(['id', 'createdAt', 'updatedAt', 'version', 'passHash']);
+
+// Масиви (напр. теги статті) порівнюються за вмістом
+const comparable = (v) => {
+  if (v instanceof Date) return v.getTime();
+  if (Array.isArray(v)) return JSON.stringify(v);
+  return v ?? null;
+};
+
+/**
+ * Різниця двох станів запису: { field: { from, to } }.
+ * before = null — створення (усі поля «з null»), after = null — остаточне видалення.
+ */
+export function diff(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (comparable(from) !== comparable(to)) changes[field] = { from, to };
+  }
+  return changes;
+}
+
+export function createAuditLog({ audit }) {
+  /**
+   * @param {object} req — актор (req.user), req.id, метод, шлях, IP
+   * @param {object} event
+   * @param {string} event.action — 'create' | 'update' | 'delete' | 'restore' | 'purge' | 'login' | ...
+   * @param {string} event.entityType — 'article' | 'user' | 'account' | 'session' | 'ip'
+   * @param {string} [event.entityId]
+   * @param {object} [event.before] / [event.after] — стани запису для diff
+   * @param {object} [event.details] — додатково, напр. { method: 'token' } для входу
+   * @param {object} [event.actor] — якщо req.user ще не встановлено (вхід)
+   */
+  async function record(req, { action, entityType, entityId = null, before = null, after = null, details, actor }) {
+    const who = actor ?? req.user ?? null;
+    try {
+      await audit.record({
+        action,
+        entityType,
+        entityId: entityId ? String(entityId) : null,
+        actorId: who ? String(who.id) : null,
+        actorEmail: who?.email ?? null,
+        actorRole: who?.role ?? null,
+        requestId: req.id ?? null,
+        method: req.method,
+        path: redactUrl(req.originalUrl),
+        ip: req.ip ?? null,
+        changes: diff(before, after),
+        ...(details ? { details } : {}),
+      });
+    } catch (err) {
+      // Збій журналу не скасовує вже виконану зміну
+      (req.log ?? logger).error('audit record failed', { err, action, entityType, entityId });
+    }
+  }
+
+  return { record };
+}
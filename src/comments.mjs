@@ -0,0 +1,44 @@
+// Коментарі до статей: статуси модерації та гілки відповідей.
+//
+// pending — чекає схвалення, approved — видимий усім, hidden — прихований модератором.
+// Невидимий коментар приховує й відповіді на нього: гілка без батька не показується.
+// Видалений автором коментар лишається порожнім місцем у гілці, якщо на нього вже відповіли.
+//
+// COMMENTS_PREMODERATION — 1 / true: нові коментарі чекають схвалення (за замовчуванням одразу видимі,
+// модератор за потреби приховує)
+
+import { hasPermission } from './rbac.mjs';
+
+export const COMMENT_STATUSES = ['pending', 'approved', 'hidden'];
+
+// Глибина відповіді: 0 — коментар до статті, MAX_COMMENT_DEPTH — далі відповідати не можна
+export const MAX_COMMENT_DEPTH = 4;
+export const MAX_COMMENT_LENGTH = 5000;
+
+const isOn = (value) => ['1', 'true', 'yes'].includes(String(value ?? '').toLowerCase());
+
+// Статус нового коментаря: модератор не чекає сам на себе
+export function initialCommentStatus(user, env = process.env) {
+  if (hasPermission(user, 'comments:moderate')) return 'approved';
+  return isOn(env.COMMENTS_PREMODERATION) ? 'pending' : 'approved';
+}
+
+/**
+ * Плаский список коментарів статті (старші спочатку) → дерево { ...comment, replies: [] }.
+ * Коментарі, чий батько відсутній у списку (невидимий для читача), відкидаються разом з гілкою;
+ * видалені — лише якщо у них не лишилося відповідей.
+ */
+export function buildCommentTree(comments) {
+  const nodes = new Map(comments.map((comment) => [String(comment.id), { ...comment, replies: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    if (!node.parentId) roots.push(node);
+    else nodes.get(String(node.parentId))?.replies.push(node);
+  }
+  const prune = (list) =>
+    list.filter((node) => {
+      node.replies = prune(node.replies);
+      return !node.deletedAt || node.replies.length > 0;
+    });
+  return prune(roots);
+}
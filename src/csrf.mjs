@@ -0,0 +1,51 @@
+// CSRF: synchronizer token, що живе в сесії.
+//
+// Кожна форма містить приховане поле _csrf зі значенням res.locals.csrfToken; fetch-запити
+// передають той самий токен у заголовку X-CSRF-Token (див. public/js/article-preview.js).
+// Перевіряються всі змінні запити (POST/PUT/PATCH/DELETE), автентифіковані сесійною cookie.
+// Bearer-запити пропускаються: чужий сайт не може підставити заголовок Authorization.
+// Анонімні запити не несуть повноважень сесії — окрім форм входу й реєстрації (login CSRF:
+// чужий сайт «логінить» жертву у свій акаунт). Їхній токен живе в сесії, створеній на GET форми.
+
+import crypto from 'crypto';
+
+export const CSRF_FIELD = '_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Токен сесії; створюється під час першого звернення (після входу сесія нова — і токен новий)
+export function csrfTokenFor(req) {
+  if (!req.session) return '';
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('base64url');
+  return req.session.csrfToken;
+}
+
+const sameToken = (expected, actual) => {
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(actual || ''));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Мідлвар перевірки токена; onInvalid(req, res) — відповідь 403.
+ * Ставиться після body-парсерів, _method-override, сесії та Bearer-автентифікації.
+ * defer(req) → true: тіло запиту ще не розібране (форма з файлами), тож запит без заголовка
+ * пропускається — маршрут зобовʼязаний перевірити поле _csrf ще раз після свого парсера.
+ * anonymous(req) → true: запит без входу теж має містити токен (форми до входу).
+ */
+export function csrfProtection({ onInvalid, defer, anonymous }) {
+  return (req, res, next) => {
+    if (SAFE_METHODS.has(req.method)) return next();
+
+    const token = req.get(CSRF_HEADER) || req.body?.[CSRF_FIELD];
+    // Службове поле не має потрапити у валідацію тіла
+    if (req.body && CSRF_FIELD in req.body) delete req.body[CSRF_FIELD];
+
+    const sessionAuthenticated = req.authMethod !== 'bearer' && Boolean(req.isAuthenticated?.());
+    if (!sessionAuthenticated && !anonymous?.(req)) return next();
+    if (!token && defer?.(req)) return next();
+    if (req.session?.csrfToken && sameToken(req.session.csrfToken, token)) return next();
+    return onInvalid(req, res);
+  };
+}
@@ -0,0 +1,73 @@
+// Построковий diff двох текстів — для історії статей (див. repositories/revisions.mjs).
+//
+// Найдовша спільна підпослідовність рядків (LCS). Спільні початок і кінець відкидаються до підрахунку,
+// тож звичайна правка кількох рядків у довгій статті коштує мало. Якщо середина все одно завелика
+// (понад MAX_DIFF_CELLS клітинок таблиці), вона показується як «усе видалено / усе додано».
+
+export const MAX_DIFF_CELLS = 4_000_000;
+
+const splitLines = (text) => (text ? String(text).split(/\r?\n/) : []);
+
+/**
+ * @returns {{ op: 'same' | 'add' | 'del', text: string, oldLine: number|null, newLine: number|null }[]}
+ *   oldLine / newLine — номер рядка (з 1) у старому / новому тексті
+ */
+export function diffLines(oldText, newText) {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const out = [];
+  const same = (i, j) => out.push({ op: 'same', text: a[i], oldLine: i + 1, newLine: j + 1 });
+  const del = (i) => out.push({ op: 'del', text: a[i], oldLine: i + 1, newLine: null });
+  const add = (j) => out.push({ op: 'add', text: b[j], oldLine: null, newLine: j + 1 });
+
+  for (let i = 0; i < start; i++) same(i, i);
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_DIFF_CELLS) {
+    for (let i = start; i < endA; i++) del(i);
+    for (let j = start; j < endB; j++) add(j);
+  } else {
+    // lcs[i][j] — довжина LCS суфіксів a[start + i..] і b[start + j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          a[start + i] === b[start + j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) {
+        same(start + i++, start + j++);
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        del(start + i++);
+      } else {
+        add(start + j++);
+      }
+    }
+    while (i < n) del(start + i++);
+    while (j < m) add(start + j++);
+  }
+
+  for (let k = 0; k < a.length - endA; k++) same(endA + k, endB + k);
+  return out;
+}
+
+// Текстовий вигляд для text/plain: рядки з префіксами ' ', '+', '-'
+const PREFIX = { same: ' ', add: '+', del: '-' };
+export const formatDiff = (lines) => lines.map(({ op, text }) => `${PREFIX[op]}${text}`).join('\n');
@@ -0,0 +1,70 @@
+// Структуроване логування: один рядок JSON на подію.
+//
+//   {"time":"2025-10-09T18:00:00.000Z","level":"info","msg":"request completed","requestId":"…","status":200}
+//
+// LOG_LEVEL — мінімальний рівень: debug | info | warn | error | silent (за замовчуванням info).
+// Для запитів використовуйте req.log — дочірній логер з requestId (див. server.mjs).
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Error не серіалізується JSON.stringify — розкладаємо на поля
+function serialize(value) {
+  if (value instanceof Error) {
+    const out = { name: value.name, message: value.message, stack: value.stack };
+    if (value.code !== undefined) out.code = value.code;
+    return out;
+  }
+  return value;
+}
+
+// Параметри query з одноразовими секретами (посилання з листів) — у лог не потрапляють
+const SECRET_PARAMS = new Set(['token', 'access_token', 'refresh_token']);
+
+/**
+ * Шлях запиту для логу: значення секретних параметрів query замінюються на [redacted].
+ * @param {string|null} url — req.originalUrl
+ */
+export function redactUrl(url) {
+  if (url == null) return url;
+  const raw = String(url);
+  const at = raw.indexOf('?');
+  if (at === -1) return raw;
+  const params = new URLSearchParams(raw.slice(at + 1));
+  const secret = [...new Set(params.keys())].filter((key) => SECRET_PARAMS.has(key.toLowerCase()));
+  if (!secret.length) return raw;
+  for (const key of secret) params.set(key, '[redacted]');
+  return `${raw.slice(0, at)}?${params}`;
+}
+
+// warn/error — у stderr, решта — у stdout (через console, щоб тести могли його приглушити)
+const consoleSink = (level, line) => (LEVELS[level] >= LEVELS.warn ? console.error(line) : console.log(line));
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.level] — мінімальний рівень (LOG_LEVEL)
+ * @param {object} [options.fields] — поля, що додаються до кожного рядка
+ * @param {Function} [options.sink] — (level, line) => void
+ */
+export function createLogger({ level = process.env.LOG_LEVEL || 'info', fields = {}, sink = consoleSink } = {}) {
+  const threshold = LEVELS[level] ?? LEVELS.info;
+
+  function write(lvl, msg, extra = {}) {
+    if (LEVELS[lvl] < threshold) return;
+    const entry = { time: new Date().toISOString(), level: lvl, msg, ...fields };
+    for (const [key, value] of Object.entries(extra)) entry[key] = serialize(value);
+    sink(lvl, JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (msg, extra) => write('debug', msg, extra),
+    info: (msg, extra) => write('info', msg, extra),
+    warn: (msg, extra) => write('warn', msg, extra),
+    error: (msg, extra) => write('error', msg, extra),
+    // Логер з додатковими полями (напр. { requestId }) поверх поточних
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, sink }),
+  };
+}
+
+// Спільний логер процесу для модулів поза контекстом запиту
+export const logger = createLogger();
@@ -0,0 +1,37 @@
+// Надсилання листів через змінний транспорт — маршрути викликають лише mailer.send().
+//
+// MAIL_TRANSPORT:
+//   - 'file'   → .eml-файли в MAIL_OUTBOX_DIR (за замовчуванням data/outbox) — для розробки
+//   - 'memory' → лише памʼять процесу (тести)
+// MAIL_FROM — адреса відправника (за замовчуванням no-reply@localhost)
+//
+// Справжній SMTP-транспорт додається тут же: обʼєкт з методом send({ from, to, subject, text }).
+
+import path from 'path';
+import { createFileTransport } from './transports/file.mjs';
+import { createMemoryTransport } from './transports/memory.mjs';
+
+export function createMailTransport(env = process.env) {
+  const name = String(env.MAIL_TRANSPORT || 'file').toLowerCase();
+  switch (name) {
+    case 'file':
+      return createFileTransport({ dir: path.resolve(env.MAIL_OUTBOX_DIR || 'data/outbox') });
+    case 'memory':
+      return createMemoryTransport();
+    default:
+      throw new Error(`[mail] unknown MAIL_TRANSPORT: ${name}`);
+  }
+}
+
+export function createMailer({ transport, env = process.env }) {
+  const from = env.MAIL_FROM || 'no-reply@localhost';
+
+  return {
+    transport,
+
+    // message: { to, subject, text }
+    send(message) {
+      return transport.send({ from, ...message });
+    },
+  };
+}
@@ -0,0 +1,36 @@
+// Тексти службових листів. Посилання будуються від APP_URL (не від Host запиту —
+// інакше підроблений заголовок Host вів би користувача на чужий сайт разом із токеном).
+
+const hours = (seconds) => Math.max(1, Math.round(seconds / 3600));
+
+export function verifyEmailMessage({ to, link, ttl }) {
+  return {
+    to,
+    subject: 'Підтвердіть email',
+    text: [
+      'Вітаємо!',
+      '',
+      'Щоб підтвердити адресу електронної пошти, відкрийте посилання:',
+      link,
+      '',
+      `Посилання діє ${hours(ttl)} год. і спрацьовує лише один раз.`,
+      'Якщо ви не реєструвалися, просто проігноруйте цей лист.',
+    ].join('\n'),
+  };
+}
+
+export function passwordResetMessage({ to, link, ttl }) {
+  return {
+    to,
+    subject: 'Скидання пароля',
+    text: [
+      'Хтось (можливо, ви) попросив скинути пароль до акаунта.',
+      '',
+      'Щоб задати новий пароль, відкрийте посилання:',
+      link,
+      '',
+      `Посилання діє ${hours(ttl)} год. і спрацьовує лише один раз.`,
+      'Якщо ви не просили скидання, нічого не робіть — пароль лишиться тим самим.',
+    ].join('\n'),
+  };
+}
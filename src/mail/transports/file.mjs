@@ -0,0 +1,45 @@
+// Файловий транспорт («outbox»): кожен лист — окремий .eml-файл у каталозі.
+// Їх можна відкрити поштовим клієнтом або просто прочитати — SMTP не потрібен.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Заголовки не повинні містити переносів рядків (header injection)
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ');
+
+function toEml({ id, from, to, subject, text, sentAt }) {
+  return [
+    `Message-ID: <${id}@outbox.local>`,
+    `Date: ${sentAt.toUTCString()}`,
+    `From: ${headerValue(from)}`,
+    `To: ${headerValue(to)}`,
+    `Subject: =?UTF-8?B?${Buffer.from(headerValue(subject)).toString('base64')}?=`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+    '',
+    text,
+    '',
+  ].join('\r\n');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.dir — каталог для листів (MAIL_OUTBOX_DIR)
+ */
+export function createFileTransport({ dir }) {
+  return {
+    name: 'file',
+    dir,
+
+    async send(message) {
+      const id = crypto.randomUUID();
+      const sentAt = new Date();
+      await fs.promises.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${sentAt.toISOString().replace(/[:.]/g, '-')}-${id}.eml`);
+      await fs.promises.writeFile(file, toEml({ ...message, id, sentAt }));
+      return { id, file };
+    },
+  };
+}
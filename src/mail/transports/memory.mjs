@@ -0,0 +1,28 @@
+// In-memory транспорт: листи лише накопичуються в масиві (тести).
+
+import crypto from 'crypto';
+
+export function createMemoryTransport() {
+  const messages = [];
+
+  return {
+    name: 'memory',
+    messages,
+
+    async send(message) {
+      const stored = { ...message, id: crypto.randomUUID(), sentAt: new Date() };
+      messages.push(stored);
+      return { id: stored.id };
+    },
+
+    // Останній лист на адресу (або взагалі останній)
+    last(to) {
+      const list = to ? messages.filter((m) => m.to === to) : messages;
+      return list[list.length - 1] || null;
+    },
+
+    clear() {
+      messages.length = 0;
+    },
+  };
+}
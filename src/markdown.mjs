@@ -0,0 +1,66 @@
+// Markdown тексту статей → безпечний HTML.
+//
+// marked перетворює Markdown на HTML (сирий HTML у тексті він пропускає як є),
+// тому результат завжди проходить через sanitize-html з білим списком тегів:
+// <script>, <iframe>, обробники on*, javascript:-посилання тощо вирізаються.
+
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// Окремий екземпляр, щоб не змінювати глобальні налаштування marked
+const marked = new Marked({ gfm: true, breaks: true });
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li',
+    'pre', 'code',
+    'strong', 'em', 'del', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    ol: ['start'],
+    th: ['align'],
+    td: ['align'],
+  },
+  allowedClasses: { code: [/^language-[\w-]+$/] },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  // Зовнішні посилання не передають referrer і не впливають на SEO
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+  },
+};
+
+export function renderMarkdown(source) {
+  const html = marked.parse(String(source ?? ''));
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const n = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : entity;
+    }
+    return ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Простий текст для списків: без розмітки, пробіли згорнуті, обрізка по межі слова.
+// Результат — звичайний рядок, екранувати його має шаблон.
+export function excerpt(source, maxLength = 160) {
+  const html = sanitizeHtml(marked.parse(String(source ?? '')), { allowedTags: [], allowedAttributes: {} });
+  const text = decodeEntities(html).replace(/\s+/g, ' ').trim();
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+}
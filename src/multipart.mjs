@@ -0,0 +1,149 @@
+// Розбір multipart/form-data (форми з файлами) без сторонніх залежностей.
+//
+// Тіло читається в памʼять, але не більше maxBodySize байт: більше → 413 (решту потоку дочитуємо
+// й відкидаємо, щоб клієнт отримав відповідь, а не обірване зʼєднання).
+// Текстові поля потрапляють у req.body — як у express.urlencoded (повторене імʼя — масивом),
+// файли — у req.files:
+//   [{ field, filename, declaredType, buffer, size }]
+// declaredType — тип, який назвав браузер, лише для довідки: справжній визначає attachments.mjs за вмістом.
+
+const CRLF = Buffer.from('\r\n');
+const HEADERS_END = Buffer.from('\r\n\r\n');
+
+export class MultipartError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'MultipartError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const malformed = () => new MultipartError(400, 'malformed', 'Malformed multipart body');
+
+function boundaryOf(contentType) {
+  const match = /;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+  return match ? match[1] || match[2] : null;
+}
+
+function parseHeaders(text) {
+  const headers = {};
+  for (const line of text.split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+}
+
+// 'form-data; name="files"; filename="photo.png"' → { name: 'files', filename: 'photo.png' }.
+// Зворотні скісні браузер не екранує (шлях з Windows лишається як є), лише лапки — \" або %22
+function parseDisposition(value = '') {
+  const params = {};
+  for (const [, key, quoted, plain] of value.matchAll(/;\s*([\w*-]+)=(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g)) {
+    params[key.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\"/g, '"') : plain.trim();
+  }
+  return params;
+}
+
+// Лише базове імʼя без керівних символів: шлях з клієнта («C:\fakepath\…») нам не потрібен
+export function safeFilename(name) {
+  const base = String(name ?? '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f]/g, '').trim();
+  return base.slice(0, 200) || 'file';
+}
+
+/**
+ * Тіло запиту → { fields, files }. Порожнє поле файлу (нічого не вибрано) браузер однаково надсилає —
+ * його пропускаємо. Більше maxFiles файлів чи maxFields полів → MultipartError 400.
+ */
+export function parseMultipart(body, boundary, { maxFiles = Infinity, maxFields = 100 } = {}) {
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  // Перед першим роздільником CRLF немає — додаємо, щоб усі роздільники виглядали однаково
+  const data = Buffer.concat([CRLF, body]);
+  // Як у express.urlencoded: без прототипу, тож поле "__proto__" — просто поле
+  const fields = Object.create(null);
+  const files = [];
+  let fieldCount = 0;
+
+  let pos = data.indexOf(delimiter);
+  if (pos === -1) throw malformed();
+  for (;;) {
+    pos += delimiter.length;
+    // "--" одразу після роздільника — кінець тіла
+    if (data[pos] === 0x2d && data[pos + 1] === 0x2d) break;
+    const headersEnd = data.indexOf(HEADERS_END, pos);
+    const next = data.indexOf(delimiter, pos);
+    if (headersEnd === -1 || next === -1 || headersEnd > next) throw malformed();
+
+    const headers = parseHeaders(data.toString('utf8', pos, headersEnd));
+    const content = data.subarray(headersEnd + HEADERS_END.length, next);
+    const { name, filename } = parseDisposition(headers['content-disposition']);
+    pos = next;
+    if (!name) continue;
+
+    if (filename === undefined) {
+      if (++fieldCount > maxFields) throw new MultipartError(400, 'too_many_fields', 'Too many form fields');
+      const value = content.toString('utf8');
+      fields[name] = name in fields ? [].concat(fields[name], value) : value;
+    } else if (filename || content.length) {
+      if (files.length >= maxFiles) {
+        throw new MultipartError(400, 'too_many_files', `At most ${maxFiles} files per request`);
+      }
+      files.push({
+        field: name,
+        filename: safeFilename(filename),
+        declaredType: headers['content-type'] || null,
+        // Копія: інакше кожен файл тримав би в памʼяті все тіло запиту
+        buffer: Buffer.from(content),
+        size: content.length,
+      });
+    }
+  }
+  return { fields, files };
+}
+
+/**
+ * Мідлвар: для multipart/form-data заповнює req.body і req.files, інші запити пропускає.
+ * Помилки (MultipartError зі status 400 / 413) передає далі в next(err).
+ * Ставити в маршрутах після перевірки прав, а не глобально: тіло до maxBodySize читається в памʼять.
+ */
+export function multipartParser({ maxBodySize, maxFiles, maxFields }) {
+  return (req, res, next) => {
+    if (!req.is('multipart/form-data')) return next();
+    const boundary = boundaryOf(req.get('content-type'));
+    if (!boundary) return next(malformed());
+
+    const chunks = [];
+    let size = 0;
+    let tooLarge = Number(req.get('content-length')) > maxBodySize;
+    let done = false;
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      next(err);
+    };
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        tooLarge = true;
+        chunks.length = 0;
+      } else if (!tooLarge) {
+        chunks.push(chunk);
+      }
+    });
+    req.on('error', finish);
+    req.on('end', () => {
+      if (tooLarge) {
+        return finish(new MultipartError(413, 'too_large', `Request body must be at most ${maxBodySize} bytes`));
+      }
+      try {
+        const { fields, files } = parseMultipart(Buffer.concat(chunks), boundary, { maxFiles, maxFields });
+        req.body = fields;
+        req.files = files;
+        return finish();
+      } catch (err) {
+        return finish(err);
+      }
+    });
+  };
+}
@@ -0,0 +1,117 @@
+// Пагінація, сортування та пошук для списків (/articles, /mongo/articles, /users).
+//
+// Параметри запиту:
+//   page  — номер сторінки, від 1
+//   limit — записів на сторінці (1..MAX_LIMIT)
+//   sort  — поле з білого списку; мінус на початку — за спаданням (sort=-createdAt)
+//   q     — текстовий пошук (у MongoDB — через текстовий індекс, $text)
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+const LINKS_AROUND = 2;
+
+export class ListQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ListQueryError';
+  }
+}
+
+const isPositiveInt = (v) => /^[1-9]\d*$/.test(String(v));
+
+/**
+ * Розбирає та перевіряє page/limit/sort/q.
+ * @param {object} query — req.query
+ * @param {object} options
+ * @param {string[]} options.sortFields — поля, за якими дозволено сортувати
+ * @param {string} options.defaultSort — напр. '-createdAt'
+ * @throws {ListQueryError} некоректне значення параметра
+ */
+export function parseListQuery(query, { sortFields, defaultSort, defaultLimit = DEFAULT_LIMIT }) {
+  const page = query.page === undefined || query.page === '' ? 1 : query.page;
+  if (!isPositiveInt(page)) throw new ListQueryError('"page" must be a positive integer');
+
+  const limit = query.limit === undefined || query.limit === '' ? defaultLimit : query.limit;
+  if (!isPositiveInt(limit) || Number(limit) > MAX_LIMIT) {
+    throw new ListQueryError(`"limit" must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  const sortParam = String(query.sort || defaultSort);
+  const field = sortParam.replace(/^-/, '');
+  if (!sortFields.includes(field)) {
+    throw new ListQueryError(`"sort" must be one of: ${sortFields.join(', ')} (prefix "-" for descending)`);
+  }
+
+  return {
+    page: Number(page),
+    limit: Number(limit),
+    sortParam,
+    sort: { [field]: sortParam.startsWith('-') ? -1 : 1 },
+    q: String(query.q || '').trim(),
+  };
+}
+
+/**
+ * Одна сторінка списку + загальна кількість.
+ * repo має надавати list(filter, { sort, skip, limit }) та count(filter).
+ */
+export async function paginate(repo, filter, { page, limit, sort, sortParam, q }) {
+  const [items, total] = await Promise.all([
+    repo.list(filter, { sort, skip: (page - 1) * limit, limit }),
+    repo.count(filter),
+  ]);
+  return {
+    items,
+    meta: { page, limit, total, pages: Math.max(1, Math.ceil(total / limit)), sort: sortParam, q },
+  };
+}
+
+const SORT_LABELS = {
+  createdAt: 'датою створення',
+  updatedAt: 'датою оновлення',
+  title: 'заголовком',
+  name: 'імʼям',
+  email: 'email',
+};
+
+// Варіанти <select name="sort"> для шаблонів: кожне поле за зростанням і спаданням
+export function sortOptions(sortFields, current) {
+  return sortFields.flatMap((field) =>
+    [field, `-${field}`].map((value) => ({
+      value,
+      label: `За ${SORT_LABELS[field] || field} ${value.startsWith('-') ? '↓' : '↑'}`,
+      selected: value === current,
+    }))
+  );
+}
+
+/**
+ * Посилання для контролів пагінації у шаблонах.
+ * Інші параметри запиту (q, sort, limit, mine…) зберігаються.
+ */
+export function pageLinks(meta, basePath, query = {}) {
+  const href = (page) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (key !== 'page' && value !== undefined && value !== '') params.set(key, String(value));
+    }
+    if (page > 1) params.set('page', String(page));
+    const qs = params.toString();
+    return qs ? `${basePath}?${qs}` : basePath;
+  };
+
+  // Вікно з кількох сторінок навколо поточної, щоб не виводити сотні посилань
+  const from = Math.max(1, meta.page - LINKS_AROUND);
+  const to = Math.min(meta.pages, meta.page + LINKS_AROUND);
+  const links = [];
+  for (let page = from; page <= to; page++) links.push({ page, href: href(page), current: page === meta.page });
+
+  return {
+    ...meta,
+    first: from > 1 ? href(1) : null,
+    last: to < meta.pages ? href(meta.pages) : null,
+    prev: meta.page > 1 ? href(meta.page - 1) : null,
+    next: meta.page < meta.pages ? href(meta.page + 1) : null,
+    links,
+  };
+}
@@ -0,0 +1,62 @@
+// Політика паролів для реєстрації, скидання та зміни пароля.
+//
+// PASSWORD_MIN_LENGTH  — мінімальна довжина (8; не більше 72 — межа bcrypt)
+// PASSWORD_MIN_CLASSES — скільки різних класів символів потрібно: малі літери, великі, цифри, інші (2)
+// PASSWORD_BLOCKLIST   — файл заборонених паролів, по рядку на пароль (типово src/common-passwords.txt)
+//
+// Список поширених паролів лежить у репозиторії: жодних звернень до зовнішніх сервісів.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_BLOCKLIST = path.join(path.dirname(fileURLToPath(import.meta.url)), 'common-passwords.txt');
+
+const CHARACTER_CLASSES = [/\p{Ll}/u, /\p{Lu}/u, /\p{Nd}/u, /[^\p{L}\p{Nd}]/u];
+
+export function loadBlocklist(file) {
+  const words = new Set();
+  for (const line of fs.readFileSync(file, 'utf8').split(/\r?\n/)) {
+    const word = line.trim();
+    if (word && !word.startsWith('#')) words.add(word.toLowerCase());
+  }
+  return words;
+}
+
+export function createPasswordPolicy({ env = process.env } = {}) {
+  const minLength = Math.min(72, Math.max(1, Number(env.PASSWORD_MIN_LENGTH) || 8));
+  const minClasses = Math.min(CHARACTER_CLASSES.length, Math.max(1, Number(env.PASSWORD_MIN_CLASSES) || 2));
+  const blocklist = loadBlocklist(env.PASSWORD_BLOCKLIST || DEFAULT_BLOCKLIST);
+
+  return {
+    minLength,
+    minClasses,
+
+    // null — пароль прийнятний; інакше { code, message } для validation.mjs
+    check(password) {
+      const value = String(password ?? '');
+      if ([...value].length < minLength) {
+        return { code: 'too_short', message: `"password" must be at least ${minLength} characters` };
+      }
+      const classes = CHARACTER_CLASSES.filter((re) => re.test(value)).length;
+      if (classes < minClasses) {
+        return {
+          code: 'too_simple',
+          message: `"password" must mix at least ${minClasses} of: lowercase, uppercase, digits, symbols`,
+        };
+      }
+      if (blocklist.has(value.toLowerCase())) {
+        return { code: 'too_common', message: '"password" is too common' };
+      }
+      return null;
+    },
+  };
+}
+
+export const passwordPolicy = createPasswordPolicy();
+
+// Правило для схем (див. schemas.mjs): перевіряє поле password
+export function passwordRule(value) {
+  const problem = passwordPolicy.check(value.password);
+  return problem && { field: 'password', ...problem };
+}
@@ -0,0 +1,38 @@
+// Попередній перегляд Markdown у формах статей: POST /articles/preview → безпечний HTML
+(function () {
+  // Токен сесії з <meta name="csrf-token"> (див. src/csrf.mjs)
+  var csrfMeta = document.querySelector('meta[name="csrf-token"]');
+  var csrfToken = csrfMeta ? csrfMeta.content : '';
+
+  document.querySelectorAll('[data-preview]').forEach(function (button) {
+    var form = button.closest('form');
+    var source = form.querySelector('[name="body"]');
+    var target = form.querySelector('.article-preview');
+
+    button.addEventListener('click', function () {
+      button.disabled = true;
+      fetch('/articles/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json', 'X-CSRF-Token': csrfToken },
+        credentials: 'same-origin',
+        body: JSON.stringify({ body: source.value }),
+      })
+        .then(function (res) {
+          if (!res.ok) throw new Error('HTTP ' + res.status);
+          return res.json();
+        })
+        .then(function (json) {
+          // HTML уже очищено на сервері (src/markdown.mjs)
+          target.innerHTML = json.data.html || '<p><em>Порожньо.</em></p>';
+          target.hidden = false;
+        })
+        .catch(function () {
+          target.textContent = 'Не вдалося побудувати попередній перегляд.';
+          target.hidden = false;
+        })
+        .finally(function () {
+          button.disabled = false;
+        });
+    });
+  });
+})();
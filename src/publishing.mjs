@@ -0,0 +1,68 @@
+// Публікація статей: статуси та відкладена публікація.
+//
+// draft → review → published; «зняти з публікації» повертає статтю в чернетки.
+// publishAt — запланований час: планувальник у процесі сервера публікує статті, чий час настав.
+// Кілька екземплярів сервера не опублікують статтю двічі: публікація — compare-and-set за version.
+//
+// PUBLISH_CHECK_INTERVAL — як часто перевіряти заплановані статті, секунди (60; 0 — планувальник вимкнено)
+
+import { logger } from './logger.mjs';
+import { versionOf, VersionConflictError } from './repositories/index.mjs';
+
+export const ARTICLE_STATUSES = ['draft', 'review', 'published'];
+
+// Статті, створені до появи статусів, вважаються опублікованими
+export const isPublished = (article) => !article?.status || article.status === 'published';
+
+/**
+ * @param {object} options
+ * @param {object} options.repos
+ * @param {Function} [options.onPublish] — (before, after) після кожної публікації (журнал аудиту)
+ */
+export function createPublishScheduler({ repos, env = process.env, onPublish }) {
+  const intervalMs =
+    env.PUBLISH_CHECK_INTERVAL === undefined || env.PUBLISH_CHECK_INTERVAL === ''
+      ? 60 * 1000
+      : Math.max(0, Number(env.PUBLISH_CHECK_INTERVAL) || 0) * 1000;
+  let timer = null;
+
+  // Публікує статті з publishAt <= now; повертає опубліковані
+  async function publishDue(now = new Date()) {
+    const published = [];
+    for (const article of await repos.articles.listDueForPublishing(now)) {
+      try {
+        const updated = await repos.articles.publish(article.id, {
+          at: article.publishAt,
+          expectedVersion: versionOf(article),
+        });
+        if (!updated) continue;
+        published.push(updated);
+        await onPublish?.(article, updated);
+      } catch (err) {
+        // Статтю щойно змінили (редактор або інший екземпляр) — перевіримо наступного разу
+        if (!(err instanceof VersionConflictError)) throw err;
+      }
+    }
+    return published;
+  }
+
+  function start() {
+    if (!intervalMs || timer) return;
+    const run = () =>
+      publishDue()
+        .then((published) => {
+          if (published.length) logger.info('scheduled articles published', { count: published.length });
+        })
+        .catch((err) => logger.error('scheduled publishing failed', { err }));
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { intervalMs, publishDue, start, stop };
+}
@@ -0,0 +1,148 @@
+// Обмеження частоти запитів і захист входу від перебору паролів.
+//
+// Лічильники — у памʼяті процесу: кілька екземплярів сервера рахують кожен окремо.
+//
+// REGISTER_RATE_LIMIT   — реєстрацій з однієї IP за годину (20; 0 — без обмеження)
+// WRITE_RATE_LIMIT      — змінних запитів (POST/PUT/PATCH/DELETE) на користувача або IP за хвилину (120)
+// MAIL_REQUEST_RATE_LIMIT    — запитів листа (підтвердження email, скидання пароля) на адресу за годину (5)
+// MAIL_REQUEST_IP_RATE_LIMIT — таких запитів з однієї IP за годину (20)
+// LOGIN_MAX_FAILURES    — невдалих входів в один акаунт до блокування (10)
+// LOGIN_IP_MAX_FAILURES — невдалих входів з однієї IP до блокування (50)
+// LOGIN_LOCKOUT_SECONDS — строк блокування, секунди (900)
+
+const limitFrom = (value, fallback) =>
+  value === undefined || value === '' ? fallback : Math.max(0, Number(value) || 0);
+
+// Прибирання протермінованих записів не частіше, ніж раз на хвилину
+function createSweeper(map, isExpired) {
+  let nextSweep = 0;
+  return (now) => {
+    if (now < nextSweep) return;
+    nextSweep = now + 60 * 1000;
+    for (const [key, entry] of map) if (isExpired(entry, now)) map.delete(key);
+  };
+}
+
+/**
+ * Мідлвар «не більше max запитів за windowMs на ключ» (фіксоване вікно).
+ * Понад ліміт — Retry-After і onLimit(req, res, { name, retryAfter }) замість next().
+ *
+ * @param {object} options
+ * @param {string} options.name — для логів і відповіді
+ * @param {number} options.max — 0 вимикає ліміт
+ * @param {number} options.windowMs
+ * @param {Function} [options.keyFor] — req => ключ (за замовчуванням IP)
+ * @param {Function} [options.skip] — req => true, якщо запит не рахується
+ * @param {Function} options.onLimit
+ */
+export function createRateLimiter({ name, max, windowMs, keyFor = (req) => req.ip, skip, onLimit, now = Date.now }) {
+  const hits = new Map(); // key → { count, resetAt }
+  const sweep = createSweeper(hits, (entry, t) => entry.resetAt <= t);
+
+  return function rateLimit(req, res, next) {
+    if (!max || skip?.(req)) return next();
+    const t = now();
+    sweep(t);
+    const key = keyFor(req);
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= t) {
+      entry = { count: 0, resetAt: t + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+    if (entry.count <= max) return next();
+
+    const retryAfter = Math.max(1, Math.ceil((entry.resetAt - t) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return onLimit(req, res, { name, retryAfter });
+  };
+}
+
+// Прогресивне блокування: перші FREE_FAILURES невдалих спроб — без обмежень, далі після кожної невдачі
+// блок на 1, 2, 4 … с (не більше MAX_BLOCK_S), після maxFailures — lockout на lockoutMs.
+// Відповідь не затримується: спроба в межах блоку одразу отримує 429 з Retry-After
+const FREE_FAILURES = { account: 3, ip: 10 };
+const MAX_BLOCK_S = 60;
+
+/**
+ * Лічильники невдалих входів окремо для акаунта (email) і для IP — прогресивне блокування, не затримка.
+ * Маршрути викликають check() до перевірки пароля, fail() / succeed() — після.
+ */
+export function createLoginGuard({ env = process.env, now = Date.now } = {}) {
+  const lockoutMs = limitFrom(env.LOGIN_LOCKOUT_SECONDS, 900) * 1000;
+  const maxFailures = {
+    account: limitFrom(env.LOGIN_MAX_FAILURES, 10),
+    ip: limitFrom(env.LOGIN_IP_MAX_FAILURES, 50),
+  };
+  const state = new Map(); // `${scope}:${id}` → { failures, lastFailureAt, blockedUntil, locked }
+  // Невдачі «забуваються» через lockoutMs після останньої
+  const isStale = (entry, t) => entry.blockedUntil <= t && t - entry.lastFailureAt >= lockoutMs;
+  const sweep = createSweeper(state, isStale);
+
+  const keysFor = ({ ip, email }) => {
+    const keys = [];
+    if (email) keys.push(['account', String(email).toLowerCase().trim()]);
+    if (ip) keys.push(['ip', String(ip)]);
+    return keys.filter(([scope]) => maxFailures[scope]);
+  };
+
+  const current = (scope, id, t) => {
+    const entry = state.get(`${scope}:${id}`);
+    if (!entry) return null;
+    // Блокування минуло — рахуємо спроби заново
+    if (isStale(entry, t) || (entry.locked && entry.blockedUntil <= t)) {
+      state.delete(`${scope}:${id}`);
+      return null;
+    }
+    return entry;
+  };
+
+  return {
+    // null — можна пробувати; інакше { scope, retryAfter, locked }
+    check(credentials) {
+      const t = now();
+      sweep(t);
+      for (const [scope, id] of keysFor(credentials)) {
+        const entry = current(scope, id, t);
+        if (entry && entry.blockedUntil > t) {
+          return { scope, retryAfter: Math.ceil((entry.blockedUntil - t) / 1000), locked: entry.locked };
+        }
+      }
+      return null;
+    },
+
+    // Повертає нові блокування: [{ scope, id, failures, until }]
+    fail(credentials) {
+      const t = now();
+      const lockouts = [];
+      for (const [scope, id] of keysFor(credentials)) {
+        const entry = current(scope, id, t) ?? { failures: 0, blockedUntil: 0, locked: false };
+        entry.failures += 1;
+        entry.lastFailureAt = t;
+        if (entry.failures >= maxFailures[scope]) {
+          entry.locked = true;
+          entry.blockedUntil = t + lockoutMs;
+          lockouts.push({ scope, id, failures: entry.failures, until: new Date(entry.blockedUntil) });
+        } else if (entry.failures > FREE_FAILURES[scope]) {
+          const block = Math.min(2 ** (entry.failures - FREE_FAILURES[scope] - 1), MAX_BLOCK_S);
+          entry.blockedUntil = t + block * 1000;
+        }
+        state.set(`${scope}:${id}`, entry);
+      }
+      return lockouts;
+    },
+
+    // Успішний вхід (або скидання пароля) обнуляє лічильник акаунта; лічильник IP — ні,
+    // інакше власний акаунт зловмисника «знімав» би обмеження з його IP
+    succeed({ email }) {
+      if (email) state.delete(`account:${String(email).toLowerCase().trim()}`);
+    },
+  };
+}
+
+export const rateLimitsFrom = (env = process.env) => ({
+  register: limitFrom(env.REGISTER_RATE_LIMIT, 20),
+  write: limitFrom(env.WRITE_RATE_LIMIT, 120),
+  mailRequest: limitFrom(env.MAIL_REQUEST_RATE_LIMIT, 5),
+  mailRequestIp: limitFrom(env.MAIL_REQUEST_IP_RATE_LIMIT, 20),
+});
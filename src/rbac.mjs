@@ -0,0 +1,80 @@
+// Рольова модель доступу (RBAC).
+// Роль зберігається в акаунті (accounts.role) і потрапляє в req.user через deserializeUser.
+
+import { isPublished } from './publishing.mjs';
+
+export const ROLES = ['user', 'editor', 'admin'];
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * Дозвіл → ролі, яким він наданий.
+ * Маршрути перевіряють дозволи, а не ролі, тож права змінюються лише тут.
+ * articles:update / articles:delete діють лише на власні статті (див. canModifyArticle),
+ * articles:manage — на будь-які.
+ * articles:publish — публікація статей, що на розгляді, і зняття будь-якої статті з публікації.
+ * Видалення мʼяке (у кошик); trash:purge — остаточне видалення з кошика.
+ * comments:update / comments:delete — лише власні коментарі; comments:moderate — приховати / схвалити будь-який.
+ */
+export const PERMISSIONS = {
+  'users:create': ['admin'],
+  'users:update': ['admin'],
+  'users:delete': ['admin'],
+  'articles:create': ['user', 'editor', 'admin'],
+  'articles:update': ['user', 'editor', 'admin'],
+  'articles:delete': ['user', 'editor', 'admin'],
+  'articles:manage': ['admin'],
+  'articles:publish': ['editor', 'admin'],
+  'comments:create': ['user', 'editor', 'admin'],
+  'comments:update': ['user', 'editor', 'admin'],
+  'comments:delete': ['user', 'editor', 'admin'],
+  'comments:moderate': ['editor', 'admin'],
+  'accounts:manage': ['admin'],
+  'audit:read': ['admin'],
+  'trash:purge': ['admin'],
+};
+
+export function hasPermission(user, permission) {
+  if (!user) return false;
+  const allowed = PERMISSIONS[permission];
+  if (!allowed) throw new Error(`[rbac] unknown permission: ${permission}`);
+  return allowed.includes(user.role);
+}
+
+// Власник документа: поле з id акаунта (authorId для статей)
+export function isOwner(user, doc, field = 'authorId') {
+  return Boolean(user && doc && doc[field] && String(doc[field]) === String(user.id));
+}
+
+// Змінювати статтю може автор (з дозволом action) або роль з articles:manage
+export function canModifyArticle(user, article, action) {
+  if (hasPermission(user, 'articles:manage')) return true;
+  return hasPermission(user, action) && isOwner(user, article);
+}
+
+// Опубліковану статтю бачать усі; чернетку — лише автор; статтю на розгляді — автор і ролі з articles:publish
+export function canViewArticle(user, article) {
+  if (isPublished(article) || isOwner(user, article)) return true;
+  return article.status === 'review' && hasPermission(user, 'articles:publish');
+}
+
+// Коментар змінює й видаляє лише автор; модератор натомість приховує (див. comments.mjs)
+export function canModifyComment(user, comment, action) {
+  return hasPermission(user, action) && isOwner(user, comment);
+}
+
+// Схвалений коментар бачать усі, інший (на модерації, прихований) — автор і модератори
+export function canViewComment(user, comment) {
+  if (comment.status === 'approved' || isOwner(user, comment)) return true;
+  return hasPermission(user, 'comments:moderate');
+}
+
+export const isValidRole = (role) => ROLES.includes(role);
+
+// Роль під час реєстрації: самостійно обрати не можна, admin — лише за ADMIN_EMAILS
+export function roleForNewAccount(email, env = process.env) {
+  const admins = String(env.ADMIN_EMAILS || '')
+    .split(',')
+    .map((e) => e.toLowerCase().trim())
+    .filter(Boolean);
+  return admins.includes(String(email).toLowerCase().trim()) ? 'admin' : DEFAULT_ROLE;
+}
@@ -0,0 +1,68 @@
+// Репозиторій облікових записів для Passport.
+// Акаунт: { id, email, passHash, role, emailVerifiedAt, passwordChangedAt?, createdAt }
+// passwordChangedAt — access-токени, видані раніше, недійсні (див. tokens.mjs)
+
+export const ACCOUNTS_COLLECTION = 'accounts';
+
+export function createAccountsRepository(driver) {
+  const col = driver.collection(ACCOUNTS_COLLECTION);
+
+  return {
+    // Унікальний email — і захист від дублів, і індексований пошук у LocalStrategy
+    ensureIndexes() {
+      return col.createIndex({ email: 1 }, { unique: true });
+    },
+
+    // Використовується в passport.deserializeUser на кожен запит (індекс _id)
+    findById(id) {
+      return col.findOne({ id: String(id) });
+    },
+
+    findByEmail(email) {
+      return col.findOne({ email: String(email).toLowerCase().trim() });
+    },
+
+    list() {
+      return col.find({}, { sort: { createdAt: 1 } });
+    },
+
+    // Повертає оновлений акаунт або null
+    updateRole(id, role) {
+      return col.updateOne({ id: String(id) }, { role });
+    },
+
+    // Повертає оновлений акаунт або null
+    markEmailVerified(id) {
+      return col.updateOne({ id: String(id) }, { emailVerifiedAt: new Date() });
+    },
+
+    // Повертає оновлений акаунт або null
+    updatePassword(id, passHash) {
+      return col.updateOne({ id: String(id) }, { passHash, passwordChangedAt: new Date() });
+    },
+
+    // Новий email ще не підтверджено; дубль → DuplicateKeyError
+    updateEmail(id, email) {
+      return col.updateOne({ id: String(id) }, { email: String(email).toLowerCase().trim(), emailVerifiedAt: null });
+    },
+
+    countByRole(role) {
+      return col.count({ role });
+    },
+
+    // Акаунти видаляються остаточно (без кошика): true — видалено
+    remove(id) {
+      return col.deleteOne({ id: String(id) });
+    },
+
+    create({ email, passHash, role }) {
+      return col.insertOne({
+        email: String(email).toLowerCase().trim(),
+        passHash,
+        role,
+        emailVerifiedAt: null,
+        createdAt: new Date(),
+      });
+    },
+  };
+}
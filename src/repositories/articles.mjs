@@ -0,0 +1,155 @@
+// Репозиторій статей (колекція mongoarticles).
+// Стаття: { id, title, body, tags, category, status, publishAt, publishedAt, authorId, authorEmail,
+//   version, createdAt, updatedAt, deletedAt?, deletedBy? }
+// authorEmail денормалізовано для списків, щоб не шукати акаунт на кожну статтю.
+// tags / category — уже нормалізовані (див. tags.mjs); статті, створені раніше, їх не мають.
+// status: 'draft' | 'review' | 'published' (див. publishing.mjs); без status — опублікована.
+// Видалення мʼяке — див. trash.mjs. Історія змін і коментарі — окремо, у repos.revisions / repos.comments.
+
+import { updateVersioned } from './versioning.mjs';
+import { LIVE, trashFilter, trashMethods } from './trash.mjs';
+
+export const ARTICLES_COLLECTION = 'mongoarticles';
+
+// { status: null } збігається і з відсутнім полем — статті, створені до появи статусів
+const PUBLISHED = { status: { $in: ['published', null] } };
+
+// { authorId?, q?, tag?, category?, status?, visibleTo?, trashed? } → фільтр колекції;
+// q шукається текстовим індексом (title, body)
+function toFilter({ authorId, q, tag, category, status, visibleTo, trashed = false } = {}) {
+  const filter = { ...trashFilter(trashed) };
+  if (authorId) filter.authorId = String(authorId);
+  if (status === 'published') Object.assign(filter, PUBLISHED);
+  else if (status) filter.status = status;
+  // Видимість для читача: опубліковані, власні (будь-який статус) і, якщо дозволено, на розгляді.
+  // visibleTo: null — лише опубліковані (публічні списки); undefined — без обмежень (кошик)
+  if (visibleTo === null) filter.$and = [PUBLISHED];
+  else if (visibleTo) {
+    filter.$or = [
+      PUBLISHED,
+      { authorId: String(visibleTo.authorId) },
+      ...(visibleTo.review ? [{ status: 'review' }] : []),
+    ];
+  }
+  // Поле-масив: збігається, якщо тег є серед елементів
+  if (tag) filter.tags = tag;
+  if (category) filter.category = category;
+  if (q) filter.$text = { $search: q };
+  return filter;
+}
+
+/**
+ * @param {object} driver
+ * @param {object[]} [options.dependents] — репозиторії записів статті (ревізії, коментарі) з deleteByArticles(ids):
+ *   остаточне видалення статті прибирає і їх
+ */
+export function createArticlesRepository(driver, { dependents = [] } = {}) {
+  const col = driver.collection(ARTICLES_COLLECTION);
+  const trash = trashMethods(col);
+  const purgeDependents = (ids) => Promise.all(dependents.map((repo) => repo.deleteByArticles(ids)));
+
+  return {
+    ensureIndexes() {
+      return Promise.all([
+        col.createIndex({ createdAt: -1 }),
+        col.createIndex({ authorId: 1, createdAt: -1 }),
+        col.createIndex({ deletedAt: 1 }),
+        col.createIndex({ tags: 1 }),
+        col.createIndex({ status: 1, publishAt: 1 }),
+        col.createIndex({ category: 1 }),
+        // default_language 'none' — без англійського стемінгу, тексти здебільшого українською
+        col.createIndex({ title: 'text', body: 'text' }, { name: 'articles_text', default_language: 'none' }),
+      ]);
+    },
+
+    // query: { authorId? — «Мої статті», q? — текстовий пошук, tag? / category? — нормалізовані значення,
+    //   status?, visibleTo? — { authorId, review } або null (див. toFilter), trashed? — кошик замість живих }
+    list(query = {}, { sort = { createdAt: -1 }, skip = 0, limit = 0 } = {}) {
+      return col.find(toFilter(query), { sort, skip, limit });
+    },
+
+    count(query = {}) {
+      return col.count(toFilter(query));
+    },
+
+    // Лише живі статті; { trashed: true } — лише з кошика
+    findById(id, { trashed = false } = {}) {
+      return col.findOne({ id: String(id), ...trashFilter(trashed) });
+    },
+
+    // Хмара тегів: [{ tag, count }] опублікованих статей, найчастіші спочатку (агрегація в сховищі)
+    async tagCounts({ limit = 0 } = {}) {
+      const rows = await col.aggregate([
+        { $match: { ...LIVE, ...PUBLISHED } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        ...(limit ? [{ $limit: limit }] : []),
+      ]);
+      return rows.map(({ _id, count }) => ({ tag: _id, count }));
+    },
+
+    // [{ category, count }] опублікованих статей з категорією, за назвою
+    async categoryCounts() {
+      const rows = await col.aggregate([
+        { $match: { ...LIVE, ...PUBLISHED, category: { $gt: '' } } },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { _id: 1 } },
+      ]);
+      return rows.map(({ _id, count }) => ({ category: _id, count }));
+    },
+
+    // Заплановані статті, час яких настав (див. publishing.mjs)
+    listDueForPublishing(now = new Date()) {
+      return col.find(
+        { ...LIVE, status: { $in: ['draft', 'review'] }, publishAt: { $lte: now } },
+        { sort: { publishAt: 1 } }
+      );
+    },
+
+    // at — час публікації (для запланованих — publishAt); повертає статтю або null
+    publish(id, { at = new Date(), expectedVersion } = {}) {
+      const changes = { status: 'published', publishedAt: at, publishAt: null };
+      return updateVersioned(col, { id: String(id), ...LIVE }, changes, expectedVersion);
+    },
+
+    create({ title, body, tags = [], category = '', status = 'draft', author = null }) {
+      const now = new Date();
+      return col.insertOne({
+        title,
+        body,
+        tags,
+        category,
+        status,
+        publishAt: null,
+        publishedAt: status === 'published' ? now : null,
+        authorId: author ? String(author.id) : null,
+        authorEmail: author?.email ?? null,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+      });
+    },
+
+    // Повертає оновлену статтю або null, якщо її немає; expectedVersion — див. versioning.mjs
+    update(id, changes, { expectedVersion } = {}) {
+      return updateVersioned(col, { id: String(id), ...LIVE }, changes, expectedVersion);
+    },
+
+    // softDelete / restore / purge / purgeDeletedBefore
+    ...trash,
+
+    async purge(id) {
+      const purged = await trash.purge(id);
+      if (purged) await purgeDependents([String(id)]);
+      return purged;
+    },
+
+    async purgeDeletedBefore(date) {
+      const doomed = dependents.length ? await col.find({ deletedAt: { $lt: date } }) : [];
+      const count = await trash.purgeDeletedBefore(date);
+      if (count) await purgeDependents(doomed.map((article) => article.id));
+      return count;
+    },
+  };
+}
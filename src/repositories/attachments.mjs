@@ -0,0 +1,98 @@
+// Репозиторій вкладень статей (колекція articleattachments). У колекції — лише метадані,
+// байти файлу й мініатюри лежать у сховищі файлів (src/storage) під ключами storageKey.
+// Вкладення: {
+//   id, articleId,
+//   filename,                            // імʼя від клієнта (лише для показу й Content-Disposition)
+//   mime, size,                          // тип визначено за вмістом (див. attachments.mjs)
+//   width, height,                       // для зображень, інакше null
+//   storageKey,                          // "<articleId>/<uuid>" — імʼя файлу в ключ не потрапляє
+//   thumbnail,                           // { storageKey, mime, width, height } | null
+//   uploaderId, uploaderEmail, createdAt
+// }
+// Остаточне видалення статті з кошика прибирає і її вкладення разом з файлами (див. articles.mjs).
+
+import crypto from 'crypto';
+
+export const ATTACHMENTS_COLLECTION = 'articleattachments';
+
+const storageKeys = (attachment) => [attachment.storageKey, attachment.thumbnail?.storageKey].filter(Boolean);
+
+/**
+ * @param {object} driver — драйвер колекцій (див. repositories/index.mjs)
+ * @param {object} [options.storage] — сховище файлів (src/storage); без нього — лише метадані (тести репозиторіїв)
+ */
+export function createAttachmentsRepository(driver, { storage = null } = {}) {
+  const col = driver.collection(ATTACHMENTS_COLLECTION);
+
+  // Збій видалення файлу не скасовує видалення запису: «осиротілий» файл нікому не видно
+  const removeFiles = (attachments) =>
+    Promise.allSettled(attachments.flatMap(storageKeys).map((key) => storage?.remove(key)));
+
+  return {
+    ensureIndexes() {
+      return col.createIndex({ articleId: 1, createdAt: 1 });
+    },
+
+    listByArticle(articleId) {
+      return col.find({ articleId: String(articleId) }, { sort: { createdAt: 1 } });
+    },
+
+    findById(id) {
+      return col.findOne({ id: String(id) });
+    },
+
+    // file: { filename, mime, buffer, width, height }; thumbnail: { buffer, mime, width, height } | null.
+    // Спершу файли, потім запис: запис без файлу означав би «битий» лінк на сторінці
+    async create({ articleId, file, thumbnail = null, uploader }) {
+      const storageKey = `${articleId}/${crypto.randomUUID()}`;
+      await storage.put(storageKey, file.buffer);
+      if (thumbnail) await storage.put(`${storageKey}-thumb`, thumbnail.buffer);
+      try {
+        return await col.insertOne({
+          articleId: String(articleId),
+          filename: file.filename,
+          mime: file.mime,
+          size: file.buffer.length,
+          width: file.width ?? null,
+          height: file.height ?? null,
+          storageKey,
+          thumbnail: thumbnail && {
+            storageKey: `${storageKey}-thumb`,
+            mime: thumbnail.mime,
+            width: thumbnail.width,
+            height: thumbnail.height,
+          },
+          uploaderId: uploader ? String(uploader.id) : null,
+          uploaderEmail: uploader?.email ?? null,
+          createdAt: new Date(),
+        });
+      } catch (err) {
+        await removeFiles([{ storageKey, thumbnail: thumbnail && { storageKey: `${storageKey}-thumb` } }]);
+        throw err;
+      }
+    },
+
+    // Вміст файлу (або мініатюри) як Buffer; null — файлу в сховищі немає
+    read(attachment, { thumbnail = false } = {}) {
+      const key = thumbnail ? attachment.thumbnail?.storageKey : attachment.storageKey;
+      return key ? storage.read(key) : Promise.resolve(null);
+    },
+
+    // Видалений запис або null
+    async remove(id) {
+      const attachment = await this.findById(id);
+      if (!attachment || !(await col.deleteOne({ id: attachment.id }))) return null;
+      await removeFiles([attachment]);
+      return attachment;
+    },
+
+    async deleteByArticles(articleIds) {
+      if (!articleIds.length) return 0;
+      const filter = { articleId: { $in: articleIds.map(String) } };
+      const attachments = await col.find(filter);
+      const removed = await col.deleteMany(filter);
+      await removeFiles(attachments);
+      return removed;
+    },
+  };
+}
@@ -0,0 +1,53 @@
+// Репозиторій журналу аудиту (колекція auditlog). Записи лише додаються — ні змін, ні видалень.
+// Запис: {
+//   id, at, action,                      // 'create' | 'update' | 'delete' | 'restore' | 'purge' | 'login' | ...
+//   entityType, entityId,                // 'article' | 'user' | 'account' | 'session' | 'ip'
+//   actorId, actorEmail, actorRole,      // з req.user (null — анонімний запит, напр. реєстрація)
+//   requestId, method, path, ip,
+//   changes,                             // { field: { from, to } } — див. src/audit.mjs
+//   details?                             // додатково: спосіб входу, кількість завершених сесій тощо
+// }
+
+export const AUDIT_COLLECTION = 'auditlog';
+
+// { action?, entityType?, entityId?, actorId?, actorEmail?, from?, to? } → фільтр колекції
+function toFilter({ action, entityType, entityId, actorId, actorEmail, from, to } = {}) {
+  const filter = {};
+  if (action) filter.action = action;
+  if (entityType) filter.entityType = entityType;
+  if (entityId) filter.entityId = String(entityId);
+  if (actorId) filter.actorId = String(actorId);
+  if (actorEmail) filter.actorEmail = String(actorEmail).toLowerCase().trim();
+  if (from || to) {
+    filter.at = {};
+    if (from) filter.at.$gte = from;
+    if (to) filter.at.$lt = to;
+  }
+  return filter;
+}
+
+export function createAuditRepository(driver) {
+  const col = driver.collection(AUDIT_COLLECTION);
+
+  return {
+    ensureIndexes() {
+      return Promise.all([
+        col.createIndex({ at: -1 }),
+        col.createIndex({ entityType: 1, entityId: 1, at: -1 }),
+        col.createIndex({ actorId: 1, at: -1 }),
+      ]);
+    },
+
+    record(entry) {
+      return col.insertOne({ ...entry, at: entry.at ?? new Date() });
+    },
+
+    list(query = {}, { sort = { at: -1 }, skip = 0, limit = 0 } = {}) {
+      return col.find(toFilter(query), { sort, skip, limit });
+    },
+
+    count(query = {}) {
+      return col.count(toFilter(query));
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// Репозиторій коментарів до статей (колекція articlecomments).
+// Коментар: { id, articleId, parentId, depth, body, status, authorId, authorEmail,
+//   version, createdAt, updatedAt, editedAt, deletedAt }
+// parentId — коментар, на який це відповідь (null — коментар до статті); depth — глибина в гілці.
+// status: 'pending' | 'approved' | 'hidden' (див. comments.mjs).
+// Видалення автором не прибирає запис: текст стирається, а місце в гілці лишається для відповідей.
+// Остаточне видалення статті з кошика прибирає і її коментарі (див. articles.mjs).
+
+import { updateVersioned } from './versioning.mjs';
+
+export const COMMENTS_COLLECTION = 'articlecomments';
+
+const NOT_DELETED = { deletedAt: null };
+
+// { articleId?, status?, visibleTo? } → фільтр колекції.
+// visibleTo: { authorId, moderator } — схвалені, власні й (для модератора) усі; undefined — без обмежень
+function toFilter({ articleId, status, visibleTo } = {}) {
+  const filter = {};
+  if (articleId) filter.articleId = String(articleId);
+  // Черга модерації: лише живі коментарі з цим статусом
+  if (status) Object.assign(filter, NOT_DELETED, { status });
+  if (visibleTo && !visibleTo.moderator) {
+    filter.$or = [{ status: 'approved' }, { authorId: String(visibleTo.authorId) }];
+  }
+  return filter;
+}
+
+export function createCommentsRepository(driver) {
+  const col = driver.collection(COMMENTS_COLLECTION);
+
+  return {
+    ensureIndexes() {
+      return Promise.all([
+        col.createIndex({ articleId: 1, createdAt: 1 }),
+        col.createIndex({ status: 1, createdAt: -1 }),
+      ]);
+    },
+
+    // Гілки будуються з плаского списку (buildCommentTree), тож за замовчуванням — старші спочатку
+    list(query = {}, { sort = { createdAt: 1 }, skip = 0, limit = 0 } = {}) {
+      return col.find(toFilter(query), { sort, skip, limit });
+    },
+
+    count(query = {}) {
+      return col.count(toFilter(query));
+    },
+
+    findById(id) {
+      return col.findOne({ id: String(id) });
+    },
+
+    // parent — коментар, на який відповідають (уже перевірений маршрутом)
+    create({ articleId, parent = null, body, status, author }) {
+      const now = new Date();
+      return col.insertOne({
+        articleId: String(articleId),
+        parentId: parent ? String(parent.id) : null,
+        depth: parent ? (parent.depth ?? 0) + 1 : 0,
+        body,
+        status,
+        authorId: String(author.id),
+        authorEmail: author.email ?? null,
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+        editedAt: null,
+        deletedAt: null,
+      });
+    },
+
+    // Лише живі коментарі; повертає оновлений або null; expectedVersion — див. versioning.mjs
+    update(id, changes, { expectedVersion } = {}) {
+      return updateVersioned(col, { id: String(id), ...NOT_DELETED }, changes, expectedVersion);
+    },
+
+    remove(id, { expectedVersion } = {}) {
+      const changes = { body: '', deletedAt: new Date() };
+      return updateVersioned(col, { id: String(id), ...NOT_DELETED }, changes, expectedVersion);
+    },
+
+    // { [articleId]: кількість схвалених живих коментарів } — для списку статей
+    async countsByArticle(articleIds) {
+      if (!articleIds.length) return {};
+      const rows = await col.aggregate([
+        { $match: { articleId: { $in: articleIds.map(String) }, status: 'approved', ...NOT_DELETED } },
+        { $group: { _id: '$articleId', count: { $sum: 1 } } },
+      ]);
+      return Object.fromEntries(rows.map(({ _id, count }) => [_id, count]));
+    },
+
+    deleteByArticles(articleIds) {
+      if (!articleIds.length) return 0;
+      return col.deleteMany({ articleId: { $in: articleIds.map(String) } });
+    },
+  };
+}
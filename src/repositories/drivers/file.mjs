@@ -0,0 +1,36 @@
+// JSON-файловий драйвер: той самий in-memory драйвер,
+// але знімок усіх колекцій зберігається у файл після кожної зміни.
+
+import fs from 'fs';
+import path from 'path';
+import { createMemoryDriver } from './memory.mjs';
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Дати в JSON — рядки; повертаємо їм тип Date при читанні
+const reviveDates = (_key, value) =>
+  typeof value === 'string' && ISO_DATE_RE.test(value) ? new Date(value) : value;
+
+function load(file) {
+  if (!fs.existsSync(file)) return {};
+  return JSON.parse(fs.readFileSync(file, 'utf8'), reviveDates);
+}
+
+function save(file, snapshot) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.file — шлях до JSON-файлу з даними
+ */
+export function createFileDriver({ file }) {
+  const driver = createMemoryDriver({
+    initial: load(file),
+    onChange: (snapshot) => save(file, snapshot),
+  });
+  return { ...driver, name: 'file', file };
+}
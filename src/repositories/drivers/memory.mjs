@@ -0,0 +1,287 @@
+// In-memory драйвер сховища: колекції — це Map у памʼяті процесу.
+// API колекцій однаковий для всіх драйверів (див. repositories/index.mjs).
+// id — ObjectId-рядки, як і в MongoDB, тож вони стабільні між драйверами.
+
+import { ObjectId } from 'mongodb';
+import { DuplicateKeyError } from '../errors.mjs';
+
+/* ====================== Фільтри та сортування ====================== */
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !(v instanceof Date) && !Array.isArray(v);
+
+const comparable = (v) => (v instanceof Date ? v.getTime() : v);
+
+// Як у MongoDB: { field: null } збігається і з null, і з відсутнім полем
+function equals(a, b) {
+  if (b === null) return a === null || a === undefined;
+  if (Array.isArray(a)) return a.some((item) => equals(item, b));
+  return comparable(a) === comparable(b);
+}
+
+function matchOperators(value, ops) {
+  return Object.entries(ops).every(([op, arg]) => {
+    switch (op) {
+      case '$eq':
+        return equals(value, arg);
+      case '$ne':
+        return !equals(value, arg);
+      case '$in':
+        return arg.some((item) => equals(value, item));
+      case '$nin':
+        return !arg.some((item) => equals(value, item));
+      case '$exists':
+        return (value !== undefined && value !== null) === Boolean(arg);
+      case '$gt':
+        return value != null && comparable(value) > comparable(arg);
+      case '$gte':
+        return value != null && comparable(value) >= comparable(arg);
+      case '$lt':
+        return value != null && comparable(value) < comparable(arg);
+      case '$lte':
+        return value != null && comparable(value) <= comparable(arg);
+      default:
+        throw new Error(`[memory] unsupported filter operator: ${op}`);
+    }
+  });
+}
+
+export function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some((sub) => matches(doc, sub));
+    if (key === '$and') return cond.every((sub) => matches(doc, sub));
+    if (isPlainObject(cond)) return matchOperators(doc[key], cond);
+    return equals(doc[key], cond);
+  });
+}
+
+// Слова для $text: без регістру, лише літери/цифри (як текстовий індекс MongoDB без стемінгу)
+const words = (text) => String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+export function compareBy(sort = {}) {
+  const entries = Object.entries(sort);
+  return (a, b) => {
+    for (const [key, dir] of entries) {
+      const x = comparable(a[key]);
+      const y = comparable(b[key]);
+      if (x === y) continue;
+      if (x === undefined || x === null) return 1;
+      if (y === undefined || y === null) return -1;
+      return (x < y ? -1 : 1) * (dir < 0 ? -1 : 1);
+    }
+    return 0;
+  };
+}
+
+/* ====================== Агрегація ====================== */
+
+// '$field' → значення поля документа; інше — константа
+const fieldValue = (doc, expr) => (typeof expr === 'string' && expr.startsWith('$') ? doc[expr.slice(1)] : expr);
+
+const ACCUMULATORS = {
+  $sum: (acc = 0, value) => acc + (typeof value === 'number' ? value : 0),
+};
+
+// { _id: '$field', name: { $sum: 1 | '$field' } }; _id: null — одна група на все
+function groupRows(rows, { _id, ...fields }) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = fieldValue(row, _id) ?? null;
+    const id = JSON.stringify(comparable(key));
+    if (!groups.has(id)) groups.set(id, { _id: key });
+    const group = groups.get(id);
+    for (const [name, spec] of Object.entries(fields)) {
+      const [op, expr] = Object.entries(spec)[0];
+      if (!ACCUMULATORS[op]) throw new Error(`[memory] unsupported accumulator: ${op}`);
+      group[name] = ACCUMULATORS[op](group[name], fieldValue(row, expr));
+    }
+  }
+  return Array.from(groups.values());
+}
+
+// Як у MongoDB: документ без поля чи з порожнім масивом відкидається
+const unwindRows = (rows, path) =>
+  rows.flatMap((row) => {
+    const field = path.slice(1);
+    const value = row[field];
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) return [row];
+    return value.map((item) => ({ ...row, [field]: item }));
+  });
+
+/* ====================== Колекція ====================== */
+
+function createMemoryCollection(name, state, onChange) {
+  const docs = state.docs;
+  const clone = (doc) => (doc ? structuredClone(doc) : null);
+
+  // $text: { $search } — хоча б одне слово з пошуку є в полях текстового індексу
+  function matchText(doc, { $search }) {
+    const index = state.indexes.find((i) => i.text);
+    if (!index) throw new Error(`[memory] $text requires a text index on ${name}`);
+    const haystack = new Set(index.fields.flatMap((f) => words(doc[f])));
+    return words($search).some((w) => haystack.has(w));
+  }
+
+  function test(doc, filter = {}) {
+    const { $text, ...rest } = filter;
+    return matches(doc, rest) && (!$text || matchText(doc, $text));
+  }
+
+  // Перевірка унікальних індексів перед записом doc
+  function assertUnique(doc) {
+    for (const index of state.indexes) {
+      if (!index.unique) continue;
+      if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) continue;
+      const key = JSON.stringify(index.fields.map((f) => comparable(doc[f]) ?? null));
+      for (const other of docs.values()) {
+        if (other.id === doc.id) continue;
+        if (index.partialFilterExpression && !matches(other, index.partialFilterExpression)) continue;
+        if (JSON.stringify(index.fields.map((f) => comparable(other[f]) ?? null)) === key) {
+          throw new DuplicateKeyError(name, index.fields);
+        }
+      }
+    }
+  }
+
+  return {
+    name,
+
+    async find(filter = {}, { sort, skip = 0, limit = 0 } = {}) {
+      let list = Array.from(docs.values()).filter((doc) => test(doc, filter));
+      if (sort) list.sort(compareBy(sort));
+      list = list.slice(skip, limit ? skip + limit : undefined);
+      return list.map(clone);
+    },
+
+    async findOne(filter = {}) {
+      for (const doc of docs.values()) {
+        if (test(doc, filter)) return clone(doc);
+      }
+      return null;
+    },
+
+    async count(filter = {}) {
+      let n = 0;
+      for (const doc of docs.values()) if (test(doc, filter)) n++;
+      return n;
+    },
+
+    async insertOne(doc) {
+      const id = new ObjectId().toHexString();
+      const stored = { ...structuredClone(doc), id };
+      assertUnique(stored);
+      docs.set(id, stored);
+      onChange();
+      return clone(stored);
+    },
+
+    // Часткове оновлення ($set-семантика); повертає оновлений документ або null
+    async updateOne(filter, changes) {
+      const doc = await this.findOne(filter);
+      if (!doc) return null;
+      const next = { ...docs.get(doc.id), ...structuredClone(changes), id: doc.id };
+      assertUnique(next);
+      docs.set(doc.id, next);
+      onChange();
+      return clone(next);
+    },
+
+    // Підмножина конвеєра MongoDB: $match, $unwind, $group ($sum), $sort, $skip, $limit
+    async aggregate(pipeline = []) {
+      let rows = Array.from(docs.values()).map(clone);
+      for (const stage of pipeline) {
+        const [op, arg] = Object.entries(stage)[0];
+        if (op === '$match') rows = rows.filter((doc) => test(doc, arg));
+        else if (op === '$unwind') rows = unwindRows(rows, arg);
+        else if (op === '$group') rows = groupRows(rows, arg);
+        else if (op === '$sort') rows.sort(compareBy(arg));
+        else if (op === '$skip') rows = rows.slice(arg);
+        else if (op === '$limit') rows = rows.slice(0, arg);
+        else throw new Error(`[memory] unsupported aggregation stage: ${op}`);
+      }
+      return rows;
+    },
+
+    // Оновлює перший документ за filter або вставляє { ...filter, ...changes }
+    async upsertOne(filter, changes) {
+      const doc = await this.findOne(filter);
+      if (doc) return this.updateOne({ id: doc.id }, changes);
+      return this.insertOne({ ...filter, ...changes });
+    },
+
+    async deleteOne(filter) {
+      const doc = await this.findOne(filter);
+      if (!doc) return false;
+      docs.delete(doc.id);
+      onChange();
+      return true;
+    },
+
+    // Повертає кількість видалених документів
+    async deleteMany(filter = {}) {
+      let n = 0;
+      for (const [id, doc] of docs) {
+        if (test(doc, filter)) {
+          docs.delete(id);
+          n++;
+        }
+      }
+      if (n) onChange();
+      return n;
+    },
+
+    // Індекси в памʼяті потрібні лише для унікальності та $text
+    async createIndex(spec, { unique = false, partialFilterExpression } = {}) {
+      const fields = Object.keys(spec);
+      const text = Object.values(spec).includes('text');
+      const exists = state.indexes.some((i) => i.fields.join() === fields.join());
+      if (!exists) state.indexes.push({ fields, unique, partialFilterExpression, text });
+      return fields.join('_');
+    },
+  };
+}
+
+/* ====================== Драйвер ====================== */
+
+/**
+ * @param {object} [options]
+ * @param {object} [options.initial] — знімок { [collection]: { docs: [...] } }
+ * @param {Function} [options.onChange] — викликається зі знімком після кожної зміни
+ */
+export function createMemoryDriver({ initial = {}, onChange } = {}) {
+  const states = new Map();
+  const collections = new Map();
+
+  for (const [name, snap] of Object.entries(initial)) {
+    states.set(name, {
+      docs: new Map((snap.docs || []).map((doc) => [String(doc.id), doc])),
+      indexes: [],
+    });
+  }
+
+  function snapshot() {
+    const out = {};
+    for (const [name, state] of states) {
+      out[name] = { docs: Array.from(state.docs.values()) };
+    }
+    return out;
+  }
+
+  const notify = () => onChange && onChange(snapshot());
+
+  return {
+    name: 'memory',
+
+    collection(name) {
+      if (!collections.has(name)) {
+        if (!states.has(name)) states.set(name, { docs: new Map(), indexes: [] });
+        collections.set(name, createMemoryCollection(name, states.get(name), notify));
+      }
+      return collections.get(name);
+    },
+
+    snapshot,
+
+    async close() {},
+  };
+}
@@ -0,0 +1,156 @@
+// MongoDB-драйвер (офіційний драйвер mongodb).
+// Назовні документи мають поле id (рядок), всередині — _id: ObjectId.
+
+import { MongoClient, ObjectId } from 'mongodb';
+import { DuplicateKeyError } from '../errors.mjs';
+import { logger } from '../../logger.mjs';
+
+export const OBJECT_ID_RE = /^[a-f\d]{24}$/i;
+
+const toObjectId = (id) => (OBJECT_ID_RE.test(String(id)) ? new ObjectId(String(id)) : null);
+
+function fromDoc(doc) {
+  if (!doc) return null;
+  const { _id, ...rest } = doc;
+  return { ...rest, id: String(_id) };
+}
+
+// { id: '...' } → { _id: ObjectId }; невалідний id не збігається ні з чим
+function toFilter(filter = {}) {
+  if (!('id' in filter)) return filter;
+  const { id, ...rest } = filter;
+  if (id && typeof id === 'object' && Array.isArray(id.$in)) {
+    return { ...rest, _id: { $in: id.$in.map(toObjectId).filter(Boolean) } };
+  }
+  const _id = toObjectId(id);
+  return _id ? { ...rest, _id } : { ...rest, _id: { $exists: false } };
+}
+
+// E11000 → DuplicateKeyError, щоб маршрути не залежали від драйвера
+function rethrow(name, err) {
+  if (err && err.code === 11000) {
+    throw new DuplicateKeyError(name, Object.keys(err.keyPattern || {}));
+  }
+  throw err;
+}
+
+function createMongoCollection(name, getDb) {
+  const col = async () => (await getDb()).collection(name);
+
+  return {
+    name,
+
+    async find(filter = {}, { sort, skip = 0, limit = 0 } = {}) {
+      let cursor = (await col()).find(toFilter(filter));
+      if (sort) cursor = cursor.sort(sort);
+      if (skip) cursor = cursor.skip(skip);
+      if (limit) cursor = cursor.limit(limit);
+      return (await cursor.toArray()).map(fromDoc);
+    },
+
+    async findOne(filter = {}) {
+      return fromDoc(await (await col()).findOne(toFilter(filter)));
+    },
+
+    async count(filter = {}) {
+      return (await col()).countDocuments(toFilter(filter));
+    },
+
+    async insertOne(doc) {
+      const { id: _ignored, ...data } = doc;
+      try {
+        const { insertedId } = await (await col()).insertOne(data);
+        return fromDoc({ ...data, _id: insertedId });
+      } catch (err) {
+        return rethrow(name, err);
+      }
+    },
+
+    async updateOne(filter, changes) {
+      const { id: _ignored, ...data } = changes;
+      try {
+        const doc = await (await col()).findOneAndUpdate(
+          toFilter(filter),
+          { $set: data },
+          { returnDocument: 'after' }
+        );
+        return fromDoc(doc);
+      } catch (err) {
+        return rethrow(name, err);
+      }
+    },
+
+    async upsertOne(filter, changes) {
+      const { id: _ignored, ...data } = changes;
+      try {
+        const doc = await (await col()).findOneAndUpdate(
+          toFilter(filter),
+          { $set: data },
+          { upsert: true, returnDocument: 'after' }
+        );
+        return fromDoc(doc);
+      } catch (err) {
+        return rethrow(name, err);
+      }
+    },
+
+    async deleteOne(filter) {
+      const { deletedCount } = await (await col()).deleteOne(toFilter(filter));
+      return deletedCount > 0;
+    },
+
+    async deleteMany(filter = {}) {
+      const { deletedCount } = await (await col()).deleteMany(toFilter(filter));
+      return deletedCount;
+    },
+
+    // Результати віддаються як є (_id групи — не id документа); $match — з тим самим перетворенням id
+    async aggregate(pipeline = []) {
+      const stages = pipeline.map((stage) => ('$match' in stage ? { $match: toFilter(stage.$match) } : stage));
+      return (await col()).aggregate(stages).toArray();
+    },
+
+    async createIndex(spec, options = {}) {
+      return (await col()).createIndex(spec, options);
+    },
+  };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.uri — MONGODB_URI (база береться з URI)
+ */
+export function createMongoDriver({ uri }) {
+  const client = new MongoClient(uri);
+  let dbPromise = null;
+  const collections = new Map();
+
+  // Одне підключення на процес, навіть якщо перші запити прийшли одночасно
+  function getDb() {
+    if (!dbPromise) {
+      dbPromise = client.connect().then(() => {
+        logger.info('connected to MongoDB');
+        return client.db();
+      });
+      dbPromise.catch(() => {
+        dbPromise = null;
+      });
+    }
+    return dbPromise;
+  }
+
+  return {
+    name: 'mongo',
+
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, createMongoCollection(name, getDb));
+      return collections.get(name);
+    },
+
+    getDb,
+
+    async close() {
+      await client.close();
+    },
+  };
+}
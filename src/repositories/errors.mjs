@@ -0,0 +1,22 @@
+// Помилки шару репозиторіїв (однакові для всіх драйверів)
+
+// Порушено унікальний індекс (аналог MongoDB E11000)
+export class DuplicateKeyError extends Error {
+  constructor(collection, fields = []) {
+    super(`Duplicate key in "${collection}": ${fields.join(', ') || 'unknown'}`);
+    this.name = 'DuplicateKeyError';
+    this.collection = collection;
+    this.fields = fields;
+  }
+}
+
+// Запис уже змінив хтось інший (оптимістичне блокування за полем version)
+export class VersionConflictError extends Error {
+  constructor(collection, id, currentVersion) {
+    super(`Version conflict in "${collection}" for ${id}: current version is ${currentVersion}`);
+    this.name = 'VersionConflictError';
+    this.collection = collection;
+    this.id = id;
+    this.currentVersion = currentVersion;
+  }
+}
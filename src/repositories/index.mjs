@@ -0,0 +1,73 @@
+// Шар репозиторіїв: маршрути працюють лише з repos.*,
+// а конкретне сховище (MongoDB / памʼять / JSON-файл) обирається конфігурацією.
+//
+// DATA_DRIVER:
+//   - 'mongo'  → MongoDB за MONGODB_URI
+//   - 'file'   → JSON-файл DATA_FILE (за замовчуванням data/db.json)
+//   - 'memory' → лише памʼять процесу
+// Без DATA_DRIVER: 'mongo', якщо задано MONGODB_URI, інакше 'memory'.
+
+import path from 'path';
+import { createMemoryDriver } from './drivers/memory.mjs';
+import { createFileDriver } from './drivers/file.mjs';
+import { createMongoDriver } from './drivers/mongo.mjs';
+import { createArticlesRepository } from './articles.mjs';
+import { createUsersRepository } from './users.mjs';
+import { createAccountsRepository } from './accounts.mjs';
+import { createTokensRepository } from './tokens.mjs';
+import { createAuditRepository } from './audit.mjs';
+import { createRevisionsRepository } from './revisions.mjs';
+import { createCommentsRepository } from './comments.mjs';
+import { createAttachmentsRepository } from './attachments.mjs';
+
+export { OBJECT_ID_RE } from './drivers/mongo.mjs';
+export { DuplicateKeyError, VersionConflictError } from './errors.mjs';
+export { versionOf } from './versioning.mjs';
+export { REVISION_FIELDS } from './revisions.mjs';
+
+export function createDriver(env = process.env) {
+  const name = String(env.DATA_DRIVER || (env.MONGODB_URI ? 'mongo' : 'memory')).toLowerCase();
+  switch (name) {
+    case 'mongo':
+      if (!env.MONGODB_URI) throw new Error('[repositories] DATA_DRIVER=mongo requires MONGODB_URI');
+      return createMongoDriver({ uri: env.MONGODB_URI });
+    case 'file':
+      return createFileDriver({ file: path.resolve(env.DATA_FILE || 'data/db.json') });
+    case 'memory':
+      return createMemoryDriver();
+    default:
+      throw new Error(`[repositories] unknown DATA_DRIVER: ${name}`);
+  }
+}
+
+// storage — сховище файлів вкладень (див. src/storage); без нього вкладення не зберегти
+export function createRepositories(driver, { storage } = {}) {
+  const revisions = createRevisionsRepository(driver);
+  const comments = createCommentsRepository(driver);
+  const attachments = createAttachmentsRepository(driver, { storage });
+  return {
+    driver,
+    articles: createArticlesRepository(driver, { dependents: [revisions, comments, attachments] }),
+    revisions,
+    comments,
+    attachments,
+    users: createUsersRepository(driver),
+    accounts: createAccountsRepository(driver),
+    tokens: createTokensRepository(driver),
+    audit: createAuditRepository(driver),
+  };
+}
+
+// Створює індекси всіх репозиторіїв (ідемпотентно, можна викликати на кожному старті)
+export function ensureIndexes(repos) {
+  return Promise.all([
+    repos.articles.ensureIndexes(),
+    repos.users.ensureIndexes(),
+    repos.accounts.ensureIndexes(),
+    repos.tokens.ensureIndexes(),
+    repos.audit.ensureIndexes(),
+    repos.revisions.ensureIndexes(),
+    repos.comments.ensureIndexes(),
+    repos.attachments.ensureIndexes(),
+  ]);
+}
@@ -0,0 +1,94 @@
+// Репозиторій ревізій статей (колекція articlerevisions). Ревізії лише додаються — історія не змінюється;
+// остаточне видалення статті з кошика прибирає і її ревізії (див. articles.mjs).
+// Ревізія: {
+//   id, articleId, number,               // number — 1, 2, … у межах статті
+//   title, body, tags, category,         // знімок вмісту статті після зміни
+//   action,                              // 'create' | 'update' | 'rollback' | 'import'
+//   rollbackOf,                          // для 'rollback' — номер ревізії, до якої повернулися
+//   authorId, authorEmail,               // хто зробив зміну
+//   articleVersion, createdAt
+// }
+// 'import' — стан статті, створеної до появи історії, збережений перед її першою зміною.
+
+import { DuplicateKeyError } from './errors.mjs';
+import { versionOf } from './versioning.mjs';
+
+export const REVISIONS_COLLECTION = 'articlerevisions';
+
+// Поля статті, які зберігає ревізія і які повертає відкат
+export const REVISION_FIELDS = ['title', 'body', 'tags', 'category'];
+
+const snapshot = (article) => ({
+  title: article.title ?? '',
+  body: article.body ?? '',
+  tags: article.tags ?? [],
+  category: article.category ?? '',
+});
+
+export function createRevisionsRepository(driver) {
+  const col = driver.collection(REVISIONS_COLLECTION);
+
+  // Наступний номер = останній + 1; два одночасні записи впираються в унікальний індекс — тоді повтор
+  async function append(article, { action, author = null, rollbackOf = null, at = new Date() }) {
+    const articleId = String(article.id);
+    for (let attempt = 1; ; attempt++) {
+      const [last] = await col.find({ articleId }, { sort: { number: -1 }, limit: 1 });
+      try {
+        return await col.insertOne({
+          articleId,
+          number: (last?.number ?? 0) + 1,
+          ...snapshot(article),
+          action,
+          rollbackOf,
+          authorId: author?.id ? String(author.id) : null,
+          authorEmail: author?.email ?? null,
+          articleVersion: versionOf(article),
+          createdAt: at,
+        });
+      } catch (err) {
+        if (!(err instanceof DuplicateKeyError) || attempt >= 3) throw err;
+      }
+    }
+  }
+
+  return {
+    ensureIndexes() {
+      return Promise.all([col.createIndex({ articleId: 1, number: 1 }, { unique: true })]);
+    },
+
+    /**
+     * Ревізія зі станом article після зміни.
+     * @param {object} [options.before] — стан до зміни: якщо історії ще немає, спершу зберігається він ('import')
+     * @param {object} [options.author] — req.user
+     */
+    async record(article, { action, author, before = null, rollbackOf = null }) {
+      if (before && !(await col.count({ articleId: String(article.id) }))) {
+        await append(before, {
+          action: 'import',
+          author: { id: before.authorId, email: before.authorEmail },
+          at: before.updatedAt ?? before.createdAt ?? new Date(),
+        });
+      }
+      return append(article, { action, author, rollbackOf });
+    },
+
+    // query: { articleId }; новіші спочатку
+    list({ articleId }, { sort = { number: -1 }, skip = 0, limit = 0 } = {}) {
+      return col.find({ articleId: String(articleId) }, { sort, skip, limit });
+    },
+
+    count({ articleId }) {
+      return col.count({ articleId: String(articleId) });
+    },
+
+    findByNumber(articleId, number) {
+      return col.findOne({ articleId: String(articleId), number: Number(number) });
+    },
+
+    // Історія статей, видалених остаточно; повертає кількість видалених ревізій
+    deleteByArticles(articleIds) {
+      if (!articleIds.length) return 0;
+      return col.deleteMany({ articleId: { $in: articleIds.map(String) } });
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// Репозиторій токенів API (JWT).
+// Запис: { id, type: 'refresh' | 'access-denied', jti, accountId, expiresAt, revokedAt?, createdAt }
+//   - refresh       — виданий refresh-токен (для ротації та відкликання)
+//   - access-denied — відкликаний до закінчення строку access-токен (logout)
+//   - email-verify / password-reset — одноразові токени з листів (usedAt після використання)
+
+export const TOKENS_COLLECTION = 'authtokens';
+
+export function createTokensRepository(driver) {
+  const col = driver.collection(TOKENS_COLLECTION);
+
+  return {
+    // TTL-індекс прибирає записи після expiresAt (у MongoDB)
+    ensureIndexes() {
+      return Promise.all([
+        col.createIndex({ jti: 1 }, { unique: true }),
+        col.createIndex({ accountId: 1 }),
+        col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+      ]);
+    },
+
+    saveRefresh({ jti, accountId, expiresAt }) {
+      return col.insertOne({
+        type: 'refresh',
+        jti,
+        accountId: String(accountId),
+        expiresAt,
+        createdAt: new Date(),
+      });
+    },
+
+    findRefresh(jti) {
+      return col.findOne({ type: 'refresh', jti });
+    },
+
+    revokeRefresh(jti) {
+      return col.updateOne({ type: 'refresh', jti }, { revokedAt: new Date() });
+    },
+
+    // Видаляє всі refresh-токени акаунта (напр., при повторному використанні відкликаного)
+    revokeAllForAccount(accountId) {
+      return col.deleteMany({ type: 'refresh', accountId: String(accountId) });
+    },
+
+    denyAccess({ jti, accountId, expiresAt }) {
+      return col.insertOne({
+        type: 'access-denied',
+        jti,
+        accountId: String(accountId),
+        expiresAt,
+        createdAt: new Date(),
+      });
+    },
+
+    async isAccessDenied(jti) {
+      return Boolean(await col.findOne({ type: 'access-denied', jti }));
+    },
+
+    // Новий токен дії скасовує попередні невикористані тієї ж дії
+    async saveAction({ purpose, jti, accountId, expiresAt }) {
+      await col.deleteMany({ type: purpose, accountId: String(accountId), usedAt: null });
+      return col.insertOne({
+        type: purpose,
+        jti,
+        accountId: String(accountId),
+        expiresAt,
+        usedAt: null,
+        createdAt: new Date(),
+      });
+    },
+
+    // Позначає токен використаним; null — токена немає (скасований) або його вже використано
+    useAction(purpose, jti) {
+      return col.updateOne({ type: purpose, jti, usedAt: null }, { usedAt: new Date() });
+    },
+  };
+}
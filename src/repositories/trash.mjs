@@ -0,0 +1,43 @@
+// Мʼяке видалення («кошик»): запис не зникає, а отримує deletedAt + хто його видалив.
+// Звичайні вибірки бачать лише живі записи; з кошика запис відновлюють або видаляють остаточно.
+//
+// { deletedAt: null } у MongoDB збігається і з null, і з відсутнім полем — тобто
+// записи, створені до появи кошика, вважаються живими без міграції.
+
+import { updateVersioned } from './versioning.mjs';
+
+export const LIVE = { deletedAt: null };
+export const TRASHED = { deletedAt: { $ne: null } };
+
+export const trashFilter = (trashed) => (trashed ? TRASHED : LIVE);
+
+// Спільні методи кошика для репозиторію колекції col
+export function trashMethods(col) {
+  return {
+    // В кошик; повертає оновлений запис або null, якщо живого запису немає
+    softDelete(id, { by = null, expectedVersion } = {}) {
+      const changes = {
+        deletedAt: new Date(),
+        deletedBy: by ? String(by.id) : null,
+        deletedByEmail: by?.email ?? null,
+      };
+      return updateVersioned(col, { id: String(id), ...LIVE }, changes, expectedVersion);
+    },
+
+    // З кошика; повертає відновлений запис або null, якщо в кошику його немає
+    restore(id, { expectedVersion } = {}) {
+      const changes = { deletedAt: null, deletedBy: null, deletedByEmail: null };
+      return updateVersioned(col, { id: String(id), ...TRASHED }, changes, expectedVersion);
+    },
+
+    // Остаточне видалення — лише з кошика; true, якщо запис видалено
+    purge(id) {
+      return col.deleteOne({ id: String(id), ...TRASHED });
+    },
+
+    // Автоочищення: усе, що лежить у кошику довше за retention; повертає кількість видалених
+    purgeDeletedBefore(date) {
+      return col.deleteMany({ deletedAt: { $lt: date } });
+    },
+  };
+}
@@ -0,0 +1,88 @@
+// Репозиторій користувачів для /users.
+// Користувач: { id, surname?, firstName?, email?, info?, name, accountId?, version, createdAt, updatedAt,
+//   deletedAt?, deletedBy? }
+// Видалення мʼяке — див. trash.mjs. Email користувача в кошику лишається зайнятим.
+//
+// accountId — профіль облікового запису (repositories/accounts.mjs); в акаунта не більше одного профілю,
+// і цей звʼязок зберігається й для профілю в кошику.
+
+import { updateVersioned } from './versioning.mjs';
+import { LIVE, trashFilter, trashMethods } from './trash.mjs';
+
+export const USERS_COLLECTION = 'users';
+
+// email порівнюється без регістру — так само, як в accounts
+function normalize(data) {
+  if (typeof data.email !== 'string') return data;
+  return { ...data, email: data.email.toLowerCase().trim() };
+}
+
+// q шукається текстовим індексом (name, email, info); trashed — кошик замість живих
+function toFilter({ q, trashed = false } = {}) {
+  const filter = { ...trashFilter(trashed) };
+  if (q) filter.$text = { $search: q };
+  return filter;
+}
+
+export function createUsersRepository(driver) {
+  const col = driver.collection(USERS_COLLECTION);
+
+  return {
+    // email необовʼязковий, тому унікальність — лише для непорожніх значень
+    ensureIndexes() {
+      return Promise.all([
+        col.createIndex(
+          { email: 1 },
+          { unique: true, partialFilterExpression: { email: { $gt: '' } } }
+        ),
+        col.createIndex(
+          { accountId: 1 },
+          { unique: true, partialFilterExpression: { accountId: { $gt: '' } } }
+        ),
+        col.createIndex({ createdAt: 1 }),
+        col.createIndex({ deletedAt: 1 }),
+        col.createIndex(
+          { name: 'text', email: 'text', info: 'text' },
+          { name: 'users_text', default_language: 'none' }
+        ),
+      ]);
+    },
+
+    list(query = {}, { sort = { createdAt: 1 }, skip = 0, limit = 0 } = {}) {
+      return col.find(toFilter(query), { sort, skip, limit });
+    },
+
+    count(query = {}) {
+      return col.count(toFilter(query));
+    },
+
+    // Лише живі записи; { trashed: true } — лише з кошика
+    findById(id, { trashed = false } = {}) {
+      return col.findOne({ id: String(id), ...trashFilter(trashed) });
+    },
+
+    // Профіль акаунта; { trashed: true } — лише з кошика
+    findByAccountId(accountId, { trashed = false } = {}) {
+      return col.findOne({ accountId: String(accountId), ...trashFilter(trashed) });
+    },
+
+    create(data) {
+      const now = new Date();
+      return col.insertOne({ ...normalize(data), version: 1, createdAt: now, updatedAt: now });
+    },
+
+    // Повертає оновлений запис або null, якщо його немає; expectedVersion — див. versioning.mjs
+    update(id, changes, { expectedVersion } = {}) {
+      return updateVersioned(col, { id: String(id), ...LIVE }, normalize(changes), expectedVersion);
+    },
+
+    // Акаунт видалено — профіль (і в кошику теж) лишається без входу; повертає профіль або null
+    async unlinkAccount(accountId) {
+      const profile = await col.findOne({ accountId: String(accountId) });
+      return profile && updateVersioned(col, { id: profile.id }, { accountId: null });
+    },
+
+    // softDelete / restore / purge / purgeDeletedBefore
+    ...trashMethods(col),
+  };
+}
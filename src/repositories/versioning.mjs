@@ -0,0 +1,31 @@
+// Оптимістичне блокування: кожен запис має version (1 після створення, +1 на кожне оновлення).
+// Оновлення — compare-and-set за version, тож два одночасні записи не перетруть один одного.
+
+import { VersionConflictError } from './errors.mjs';
+
+// Записи, створені до появи version, вважаються версією 0
+export const versionOf = (doc) => doc?.version ?? 0;
+
+/**
+ * @param {object} col — колекція драйвера
+ * @param {object} filter — { id, ... } (напр. лише живі записи, див. trash.mjs)
+ * @param {object} changes — поля для $set
+ * @param {number} [expectedVersion] — версія, яку бачив клієнт (If-Match / поле version)
+ * @returns {Promise<object|null>} оновлений запис або null, якщо його немає
+ * @throws {VersionConflictError} версія в сховищі інша, ніж очікувана
+ */
+export async function updateVersioned(col, filter, changes, expectedVersion) {
+  const current = await col.findOne(filter);
+  if (!current) return null;
+
+  const version = versionOf(current);
+  if (expectedVersion !== undefined && expectedVersion !== version) {
+    throw new VersionConflictError(col.name, current.id, version);
+  }
+
+  const guard = { ...filter, id: current.id, version: current.version ?? { $exists: false } };
+  const updated = await col.updateOne(guard, { ...changes, version: version + 1, updatedAt: new Date() });
+  // Між читанням і записом запис встиг змінитися
+  if (!updated) throw new VersionConflictError(col.name, current.id, versionOf(await col.findOne({ id: current.id })));
+  return updated;
+}
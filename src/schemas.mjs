@@ -0,0 +1,157 @@
+// Схеми тіл запитів (див. validation.mjs).
+// Спільні для POST і PUT у usersRouter / articlesRouter та для /auth/register.
+
+import { passwordRule } from './password-policy.mjs';
+import { normalizeTag, MAX_TAGS, MAX_TAG_LENGTH } from './tags.mjs';
+import { ARTICLE_STATUSES } from './publishing.mjs';
+import { MAX_COMMENT_LENGTH } from './comments.mjs';
+
+export const userSchema = {
+  fields: {
+    name: { type: 'string', maxLength: 200 },
+    surname: { type: 'string', maxLength: 100 },
+    firstName: { type: 'string', maxLength: 100 },
+    // необовʼязковий; порожній рядок — «без email» (унікальний індекс його не враховує)
+    email: { type: 'string', format: 'email', maxLength: 254, lowercase: true },
+    info: { type: 'string', maxLength: 2000 },
+  },
+  rules: [
+    (v) => {
+      if (v.surname && v.firstName) return null;
+      if (v.name && !v.surname && !v.firstName) return null;
+      if (v.surname || v.firstName) {
+        const [field, other] = v.surname ? ['firstName', 'surname'] : ['surname', 'firstName'];
+        return { field, code: 'required', message: `"${field}" is required together with "${other}"` };
+      }
+      return { field: 'name', code: 'required', message: 'Either "name" or "surname" + "firstName" is required' };
+    },
+  ],
+};
+
+// HTML-форма на /users: завжди прізвище + імʼя, name складається з них
+export const userFormSchema = {
+  fields: {
+    surname: { ...userSchema.fields.surname, required: true },
+    firstName: { ...userSchema.fields.firstName, required: true },
+    email: userSchema.fields.email,
+    info: userSchema.fields.info,
+  },
+};
+
+// «Мій профіль» (/account/profile): email профілю — це email входу, він змінюється в налаштуваннях акаунта
+export const profileSchema = {
+  fields: {
+    name: userSchema.fields.name,
+    surname: userSchema.fields.surname,
+    firstName: userSchema.fields.firstName,
+    info: userSchema.fields.info,
+  },
+  rules: userSchema.rules,
+};
+
+export const profileFormSchema = {
+  fields: {
+    surname: userFormSchema.fields.surname,
+    firstName: userFormSchema.fields.firstName,
+    info: userFormSchema.fields.info,
+  },
+};
+
+export const articleSchema = {
+  fields: {
+    title: { type: 'string', required: true, maxLength: 200 },
+    body: { type: 'string', maxLength: 50000 },
+    // Нормалізуються (див. tags.mjs): «Node.js» і «node js» — той самий тег
+    tags: { type: 'tags', normalize: normalizeTag, maxItems: MAX_TAGS, maxLength: MAX_TAG_LENGTH },
+    category: { type: 'string', normalize: normalizeTag, maxLength: MAX_TAG_LENGTH },
+  },
+};
+
+// Створення: початковий статус (за замовчуванням draft; published — лише з articles:publish).
+// Далі статус змінюють лише дії submit / publish / unpublish, тож у PUT він не входить
+export const articleCreateSchema = {
+  fields: {
+    ...articleSchema.fields,
+    status: { type: 'string', enum: ARTICLE_STATUSES },
+  },
+};
+
+// POST /articles/:id/publish; без publishAt або з минулим часом — одразу
+export const publishSchema = {
+  fields: {
+    publishAt: { type: 'string', format: 'datetime' },
+  },
+};
+
+// Коментар до статті; parentId — id коментаря, на який це відповідь
+export const commentSchema = {
+  fields: {
+    body: { type: 'string', required: true, maxLength: MAX_COMMENT_LENGTH },
+    parentId: { type: 'string', maxLength: 24 },
+  },
+};
+
+// Редагування: гілку змінити не можна, лише текст
+export const commentEditSchema = {
+  fields: {
+    body: commentSchema.fields.body,
+  },
+};
+
+export const registerSchema = {
+  fields: {
+    email: { type: 'string', required: true, format: 'email', maxLength: 254, lowercase: true },
+    // bcrypt враховує лише перші 72 байти — саме байти UTF-8, не символи
+    password: { type: 'string', required: true, trim: false, maxBytes: 72 },
+  },
+  // Довжина, класи символів, поширені паролі — див. password-policy.mjs
+  rules: [passwordRule],
+};
+
+// Запит листа (підтвердження email, скидання пароля)
+export const emailRequestSchema = {
+  fields: {
+    email: registerSchema.fields.email,
+  },
+};
+
+// Токен з посилання в листі
+export const actionTokenSchema = {
+  fields: {
+    token: { type: 'string', required: true, maxLength: 2000 },
+  },
+};
+
+export const passwordResetSchema = {
+  fields: {
+    token: actionTokenSchema.fields.token,
+    password: registerSchema.fields.password,
+  },
+  rules: [passwordRule],
+};
+
+/* ---- Налаштування акаунта (/account/settings) ---- */
+
+// Повторна автентифікація: зміни акаунта лише з поточним паролем
+const currentPassword = { type: 'string', required: true, trim: false, maxBytes: 72 };
+
+export const passwordChangeSchema = {
+  fields: {
+    currentPassword,
+    password: registerSchema.fields.password,
+  },
+  rules: [passwordRule],
+};
+
+export const emailChangeSchema = {
+  fields: {
+    email: registerSchema.fields.email,
+    currentPassword,
+  },
+};
+
+export const accountDeleteSchema = {
+  fields: {
+    currentPassword,
+  },
+};
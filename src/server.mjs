@@ -6,6 +6,7 @@ import session from 'express-session';
 import cookieParser from 'cookie-parser';
 import path from 'path';
 import fs from 'fs';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import pug from 'pug';
 import ejs from 'ejs';
@@ -13,7 +14,66 @@ import bcrypt from 'bcryptjs';
 import favicon from 'serve-favicon';
 import passport from 'passport';
 import { Strategy as LocalStrategy } from 'passport-local';
-import { MongoClient, ObjectId } from 'mongodb';
+import {
+  createDriver,
+  createRepositories,
+  ensureIndexes,
+  DuplicateKeyError,
+  VersionConflictError,
+  versionOf,
+  OBJECT_ID_RE,
+  REVISION_FIELDS,
+} from './repositories/index.mjs';
+import { createSessionStore } from './session-store.mjs';
+import {
+  ROLES,
+  hasPermission,
+  canModifyArticle,
+  canViewArticle,
+  canModifyComment,
+  canViewComment,
+  isOwner,
+  isValidRole,
+  roleForNewAccount,
+} from './rbac.mjs';
+import { createTokenService, TokenError } from './tokens.mjs';
+import { parseListQuery, paginate, pageLinks, sortOptions, ListQueryError } from './pagination.mjs';
+import { renderMarkdown, excerpt } from './markdown.mjs';
+import { diffLines, formatDiff } from './diff.mjs';
+import { validate, validatePatch, withDefaults, errorsByField } from './validation.mjs';
+import {
+  userSchema,
+  userFormSchema,
+  profileSchema,
+  profileFormSchema,
+  articleSchema,
+  articleCreateSchema,
+  publishSchema,
+  commentSchema,
+  commentEditSchema,
+  registerSchema,
+  emailRequestSchema,
+  actionTokenSchema,
+  passwordResetSchema,
+  passwordChangeSchema,
+  emailChangeSchema,
+  accountDeleteSchema,
+} from './schemas.mjs';
+import { passwordPolicy } from './password-policy.mjs';
+import { tagFromQuery, cloudLevel } from './tags.mjs';
+import { createTrashPurger, TRASH_KINDS } from './trash.mjs';
+import { createPublishScheduler, ARTICLE_STATUSES, isPublished } from './publishing.mjs';
+import { COMMENT_STATUSES, MAX_COMMENT_DEPTH, initialCommentStatus, buildCommentTree } from './comments.mjs';
+import { ATTACHMENT_ACCEPT, attachmentLimits, checkUpload, contentDisposition, formatSize } from './attachments.mjs';
+import { createThumbnail, imageSize } from './thumbnails.mjs';
+import { multipartParser, MultipartError } from './multipart.mjs';
+import { createStorage } from './storage/index.mjs';
+import { createAuditLog, AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } from './audit.mjs';
+import { logger, redactUrl } from './logger.mjs';
+import { createRateLimiter, createLoginGuard, rateLimitsFrom } from './rate-limit.mjs';
+import { csrfProtection, csrfTokenFor } from './csrf.mjs';
+import { createMailer, createMailTransport } from './mail/index.mjs';
+import { verifyEmailMessage, passwordResetMessage } from './mail/messages.mjs';
 
 // Створюємо EXPRESS сервер
 const app = express();
@@ -26,59 +86,106 @@ const app = express();
  */
 const DELETE_MODE = process.env.DELETE_MODE === 'text' ? 'text' : '204';
 
-/* ====================== MongoDB Atlas (офіційний драйвер) ===================== */
+/* ====================== Сховище (репозиторії) ===================== */
 
-const MONGODB_URI = process.env.MONGODB_URI || '';
-let mongoClient = null;
-let mongoDb = null;
-const ARTICLES_COLLECTION = 'mongoarticles';
+// Драйвер обирається через DATA_DRIVER / MONGODB_URI (див. repositories/index.mjs),
+// файли вкладень — через STORAGE_DRIVER (див. storage/index.mjs)
+const storage = createStorage();
+const repos = createRepositories(createDriver(), { storage });
 
-if (!MONGODB_URI) {
-  console.warn('[mongo] MONGODB_URI is not set. Mongo routes will show empty data.');
+if (repos.driver.name !== 'mongo') {
+  logger.warn('data is not stored in MongoDB', { driver: repos.driver.name });
 }
 
-async function getMongoDb() {
-  if (!MONGODB_URI) return null;
-  if (mongoDb) return mongoDb;
+// Унікальні email-індекси для accounts/users + індекси для сортування
+ensureIndexes(repos).catch((err) => {
+  logger.error('ensureIndexes failed', { err });
+});
 
-  if (!mongoClient) {
-    mongoClient = new MongoClient(MONGODB_URI);
-  }
+// Журнал аудиту змін (див. audit.mjs): маршрути записують подію після успішної зміни
+const audit = createAuditLog({ audit: repos.audit });
+
+// Остаточне видалення записів, що лежать у кошику довше за TRASH_RETENTION_DAYS (див. trash.mjs)
+const trashPurger = createTrashPurger({ repos });
+trashPurger.start();
+
+// Відкладена публікація статей (publishAt, див. publishing.mjs); у журналі — без актора
+const publishScheduler = createPublishScheduler({
+  repos,
+  onPublish: (before, after) =>
+    audit.record(
+      { method: 'SCHEDULER', originalUrl: null, log: logger },
+      { action: 'publish', entityType: 'article', entityId: after.id, before, after, details: { scheduled: true } }
+    ),
+});
+publishScheduler.start();
 
-  if (!mongoClient.topology || !mongoClient.topology.isConnected()) {
-    await mongoClient.connect();
-    console.log('[mongo] Connected to MongoDB Atlas');
-  }
+// Службові листи (підтвердження email, скидання пароля) — див. mail/index.mjs
+const mailer = createMailer({ transport: createMailTransport() });
+// Публічна адреса застосунку для посилань у листах
+const APP_URL = String(process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
 
-  mongoDb = mongoClient.db(); // база з URI
-  return mongoDb;
-}
+/* ====================== Базові мідлвари ====================== */
 
-async function getArticlesCollection() {
-  const db = await getMongoDb();
-  if (!db) return null;
-  return db.collection(ARTICLES_COLLECTION);
-}
+// Кореляційний ID: X-Request-Id клієнта (якщо безпечний для логів) або новий UUID.
+// Повертається у відповіді; req.log додає його до кожного рядка логу.
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
 
-/* ====================== Базові мідлвари ====================== */
+app.use((req, res, next) => {
+  const incoming = String(req.get('x-request-id') || '').trim();
+  req.id = REQUEST_ID_RE.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  // Журнал доступу: один рядок на кожен запит
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+    req.log[level]('request completed', {
+      method: req.method,
+      path: redactUrl(req.originalUrl),
+      status,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      userId: req.user?.id ?? null,
+    });
+  });
+  next();
+});
 
 app.use(cookieParser());
 app.use(express.json());
 app.use(express.urlencoded({ extended: false }));
 
+// HTML-форми вміють лише GET/POST — PUT/PATCH/DELETE передаємо прихованим полем _method.
+// Тіло форми з файлами тут ще не розібране (див. acceptUploads) — така форма дублює _method у query
+app.use((req, _res, next) => {
+  const requested = req.is('multipart/form-data') ? req.query._method : req.body?._method;
+  const override = req.method === 'POST' && String(requested || '').toUpperCase();
+  if (override === 'PUT' || override === 'PATCH' || override === 'DELETE') {
+    req.method = override;
+    if (req.body) delete req.body._method;
+  }
+  next();
+});
+
 // Акуратний 400 для кривого JSON
 app.use((err, req, res, next) => {
   if (err && err.type === 'entity.parse.failed') {
-    res.type('text/plain; charset=utf-8');
-    return res.status(400).send('Bad Request');
+    return sendError(req, res, 400, 'Malformed JSON body');
   }
   return next(err);
 });
 
-// Сесії (для Passport)
+// Сесії (для Passport): MongoDB з TTL або JSON-файл (див. session-store.mjs)
+const SESSION_TTL_MS = 7 * 24 * 3600 * 1000;
+const sessionStore = createSessionStore({ driver: repos.driver, ttlMs: SESSION_TTL_MS });
+sessionStore.on('error', (err) => logger.error('session store error', { err }));
+
 app.use(
   session({
     name: 'sid',
+    store: sessionStore,
     secret: process.env.SESSION_SECRET || 'dev-session-secret',
     resave: false,
     saveUninitialized: false,
@@ -86,7 +193,7 @@ app.use(
       httpOnly: true,
       sameSite: 'lax',
       secure: process.env.NODE_ENV === 'production',
-      maxAge: 7 * 24 * 3600 * 1000,
+      maxAge: SESSION_TTL_MS,
     },
   })
 );
@@ -95,11 +202,24 @@ app.use(
 app.use(passport.initialize());
 app.use(passport.session());
 
-// Кореляційний ID
-let rid = 0;
-app.use((req, _res, next) => {
-  req.id = (++rid).toString().padStart(6, '0');
-  next();
+// JWT для API-клієнтів (див. tokens.mjs)
+const tokenService = createTokenService({ tokens: repos.tokens, accounts: repos.accounts });
+
+// Authorization: Bearer <access-token> — альтернатива сесійній cookie
+app.use(async (req, res, next) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(String(req.get('authorization') || ''));
+  if (!match) return next();
+  try {
+    const { account, payload } = await tokenService.authenticate(match[1]);
+    req.user = { id: account.id, email: account.email, role: account.role };
+    req.authMethod = 'bearer';
+    req.tokenPayload = payload;
+    return next();
+  } catch (err) {
+    if (!(err instanceof TokenError)) return next(err);
+    res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${err.message}"`);
+    return sendError(req, res, 401, err.message);
+  }
 });
 
 // View engines + статика
@@ -130,8 +250,16 @@ if (fs.existsSync(favPath)) {
   app.get('/favicon.ico', (_req, res) => res.status(204).end());
 }
 
-// ---- Контент-неґоціація: HTML vs text/plain ----
+// ---- Контент-неґоціація: JSON vs HTML vs text/plain ----
+// JSON обирається лише явно (Accept: application/json без text/html),
+// тому fetch із браузера теж отримує JSON, попри "браузерний" User-Agent.
+function wantsJson(req) {
+  const accept = String(req.headers['accept'] || '').toLowerCase();
+  return accept.includes('application/json') && !accept.includes('text/html');
+}
+
 function wantsHtml(req) {
+  if (wantsJson(req)) return false;
   const accept = String(req.headers['accept'] || '').toLowerCase();
   if (accept.includes('text/html')) return true;
   const ua = String(req.headers['user-agent'] || '').toLowerCase();
@@ -140,52 +268,188 @@ function wantsHtml(req) {
 }
 
 app.use((req, res, next) => {
-  res.type(wantsHtml(req) ? 'text/html; charset=utf-8' : 'text/plain; charset=utf-8');
+  if (wantsJson(req)) res.type('application/json; charset=utf-8');
+  else res.type(wantsHtml(req) ? 'text/html; charset=utf-8' : 'text/plain; charset=utf-8');
   next();
 });
 
-/* ====================== Утиліти/Валідація ====================== */
+/**
+ * Єдиний формат помилок.
+ * JSON-клієнти отримують { error: { status, code, message, details? } },
+ * решта — старі текстові відповіді ("Bad Request", "Not Found", ...).
+ */
+const ERROR_TEXT = {
+  400: 'Bad Request',
+  401: 'Unauthorize',
+  403: 'Forbidden',
+  404: 'Not Found',
+  409: 'Conflict',
+  412: 'Precondition Failed',
+  413: 'Payload Too Large',
+  415: 'Unsupported Media Type',
+  429: 'Too Many Requests',
+  500: 'Internal Server Error',
+  503: 'Service Unavailable',
+};
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  412: 'precondition_failed',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'too_many_requests',
+  500: 'internal_error',
+  503: 'service_unavailable',
+};
 
-function logRequests(req, res, next) {
-  const start = Date.now();
-  res.on('finish', () => {
-    const ms = Date.now() - start;
-    console.log(
-      `${new Date().toISOString()} [${req.id}] ${req.method} ${req.originalUrl} -> ${res.statusCode} (${ms}ms)`
-    );
-  });
-  next();
+function sendError(req, res, status, message, details) {
+  if (wantsJson(req)) {
+    const error = { status, code: ERROR_CODES[status] || 'error', message: message || ERROR_TEXT[status] };
+    if (details) error.details = details;
+    return res.status(status).json({ error });
+  }
+  return res.status(status).send(ERROR_TEXT[status] || 'Error');
 }
 
+/* ====================== Утиліти/Валідація ====================== */
+
+// id: ObjectId (MongoDB) або ціле число (in-memory / file / старий text-контракт)
 const isPositiveInt = (v) => /^\d+$/.test(String(v));
 function validateIdParam(paramName) {
   return (req, res, next) => {
     const id = req.params[paramName];
-    if (!isPositiveInt(id)) {
-      return res.status(404).send('Not Found');
+    if (!isPositiveInt(id) && !OBJECT_ID_RE.test(id)) {
+      return sendError(req, res, 404, `Invalid id: ${id}`);
     }
     next();
   };
 }
 
-function validateUserBody(req, res, next) {
-  const b = req.body ?? {};
-  const hasPerson =
-    typeof b.surname === 'string' &&
-    b.surname.trim() !== '' &&
-    typeof b.firstName === 'string' &&
-    b.firstName.trim() !== '';
-  const hasName = typeof b.name === 'string' && b.name.trim() !== '';
-  if (hasPerson || hasName) return next();
-  return res.status(400).send('Bad Request');
+// page/limit/sort/q для списків (див. pagination.mjs) → req.listQuery; некоректні → 400
+const ARTICLE_LIST = { sortFields: ['createdAt', 'updatedAt', 'title'], defaultSort: '-createdAt' };
+const USER_LIST = { sortFields: ['createdAt', 'name', 'email'], defaultSort: 'createdAt' };
+
+function validateListQuery(options) {
+  return (req, res, next) => {
+    try {
+      req.listQuery = parseListQuery(req.query, options);
+      return next();
+    } catch (err) {
+      if (err instanceof ListQueryError) return sendError(req, res, 400, err.message);
+      return next(err);
+    }
+  };
+}
+
+// JSON-відповідь для сторінки списку: { data, meta } + X-Total-Count
+function sendPage(res, { items, meta }) {
+  res.set('X-Total-Count', String(meta.total));
+  return res.status(200).json({ data: items, meta });
+}
+
+/* ---- Оптимістичне блокування: version → ETag, If-Match (див. repositories/versioning.mjs) ---- */
+
+const etagFor = (doc) => `"${versionOf(doc)}"`;
+
+// JSON-відповідь з одним записом + ETag його версії
+function sendRecord(res, status, doc) {
+  res.set('ETag', etagFor(doc));
+  return res.status(status).json({ data: doc });
 }
 
-function validateArticleBody(req, res, next) {
-  const { title } = req.body ?? {};
-  if (typeof title !== 'string' || title.trim() === '') {
-    return res.status(400).send('Bad Request');
+/**
+ * Очікувана версія → req.expectedVersion (undefined — клієнт не вказав).
+ * Джерела: If-Match ("3" або W/"3"; "*" — будь-яка) або поле version у тілі (приховане поле HTML-форм).
+ * If-Match, що не є ETag цього API, ніколи не збігається → 412; некоректне поле version → 400.
+ */
+function readExpectedVersion(req, res, next) {
+  const header = String(req.get('if-match') || '').trim();
+  if (header && header !== '*') {
+    const match = /^(?:W\/)?"(\d+)"$/.exec(header);
+    req.versionSource = 'if-match';
+    req.expectedVersion = match ? Number(match[1]) : -1;
+    return next();
   }
-  next();
+  const raw = req.body?.version;
+  if (raw === undefined || raw === '') return next();
+  if (!/^\d+$/.test(String(raw))) return sendError(req, res, 400, '"version" must be a non-negative integer');
+  req.versionSource = 'body';
+  req.expectedVersion = Number(raw);
+  return next();
+}
+
+// If-Match → 412 Precondition Failed, поле version → 409 Conflict
+function sendVersionConflict(req, res, err) {
+  res.set('ETag', `"${err.currentVersion}"`);
+  const status = req.versionSource === 'if-match' ? 412 : 409;
+  return sendError(req, res, status, `Record ${err.id} was modified by someone else`, {
+    currentVersion: err.currentVersion,
+  });
+}
+
+/**
+ * Тіло запиту за схемою (schemas.mjs) → req.validBody (лише відомі поля, рядки обрізані).
+ * Помилки → 400 з деталями по полях; для HTML — renderInvalid(req, res, { status, errors, values })
+ * повторно показує форму з інлайн-помилками та введеними значеннями.
+ * schemaFor — схема або (req) => схема.
+ */
+function validateBody(schemaFor, renderInvalid) {
+  return async (req, res, next) => {
+    const schema = typeof schemaFor === 'function' ? schemaFor(req) : schemaFor;
+    const { value, errors } = validate(schema, req.body);
+    if (!errors.length) {
+      req.validBody = value;
+      return next();
+    }
+    if (renderInvalid && wantsHtml(req)) {
+      try {
+        return await renderInvalid(req, res, { status: 400, errors: errorsByField(errors), values: req.body ?? {} });
+      } catch (err) {
+        return next(err);
+      }
+    }
+    return sendError(req, res, 400, 'Validation failed', { errors });
+  };
+}
+
+// Файли з форми (req.files, див. multipart.mjs) → req.uploads: [{ filename, mime, buffer, width, height }].
+// Тип — за вмістом (attachments.mjs). Помилка — як у validateBody, але з полем files і статусом 413 / 415;
+// required — без жодного файлу → 400
+function validateUploads(renderInvalid, { required = false } = {}) {
+  return async (req, res, next) => {
+    const uploads = [];
+    let error = null;
+    for (const file of req.files ?? []) {
+      const result = checkUpload(file, ATTACHMENT_LIMITS);
+      if (result.error) {
+        error = result.error;
+        break;
+      }
+      const size = imageSize(file.buffer, result.mime);
+      uploads.push({ filename: file.filename, mime: result.mime, buffer: file.buffer, ...size });
+    }
+    if (!error && required && !uploads.length) {
+      error = { status: 400, code: 'required', message: 'Choose at least one file' };
+    }
+    if (!error) {
+      req.uploads = uploads;
+      return next();
+    }
+
+    const errors = [{ field: 'files', code: error.code, message: error.message }];
+    if (renderInvalid && wantsHtml(req)) {
+      try {
+        const values = req.body ?? {};
+        return await renderInvalid(req, res, { status: error.status, errors: errorsByField(errors), values });
+      } catch (err) {
+        return next(err);
+      }
+    }
+    return sendError(req, res, error.status, error.message, { errors });
+  };
 }
 
 // Flash helpers
@@ -198,30 +462,6 @@ const popFlash = (req) => {
   return f;
 };
 
-/* ====================== In-memory моделі ====================== */
-
-const users = new Map();
-const articles = new Map();
-let userSeq = 1;
-let articleSeq = 1;
-
-if (!users.has(0)) {
-  users.set(0, {
-    id: 0,
-    surname: '',
-    firstName: '',
-    email: '',
-    info: '',
-    name: 'System User',
-  });
-}
-if (!articles.has(0)) {
-  articles.set(0, { id: 0, title: 'System Article' });
-}
-
-// In-memory акаунти для Passport
-const authUsers = new Map();
-
 /* ====================== Глобальні locals ====================== */
 
 app.use((req, res, next) => {
@@ -233,6 +473,16 @@ app.use((req, res, next) => {
   res.locals.currentUser = req.user
     ? { id: req.user.id, email: req.user.email, role: req.user.role }
     : null;
+  // У шаблонах: if can('articles:update') ...
+  res.locals.can = (permission) => hasPermission(req.user, permission);
+  res.locals.canModifyArticle = (article, action) => canModifyArticle(req.user, article, action);
+  res.locals.canModifyComment = (comment, action) => canModifyComment(req.user, comment, action);
+  // Приховане поле _csrf у формах (див. csrf.mjs); анонімному відвідувачу сесію заради нього
+  // створюють лише форми входу й реєстрації (див. PRE_SESSION_FORMS)
+  res.locals.csrfToken = req.user && req.authMethod !== 'bearer' ? csrfTokenFor(req) : req.session?.csrfToken || '';
+  // Інлайн-помилки форм і введені значення (див. validateBody)
+  res.locals.errors = {};
+  res.locals.values = {};
   next();
 });
 
@@ -246,6 +496,14 @@ app.use((req, _res, next) => {
 
 /* ====================== Passport Local Strategy ====================== */
 
+// Спільна перевірка email + пароля для LocalStrategy та POST /auth/token
+async function verifyCredentials(email, password) {
+  const rec = await repos.accounts.findByEmail(String(email || ''));
+  if (!rec) return null;
+  const ok = await bcrypt.compare(String(password || ''), rec.passHash);
+  return ok ? { id: rec.id, email: rec.email, role: rec.role } : null;
+}
+
 passport.use(
   new LocalStrategy(
     {
@@ -254,11 +512,9 @@ passport.use(
     },
     async (email, password, done) => {
       try {
-        const rec = authUsers.get(String(email).toLowerCase().trim());
-        if (!rec) return done(null, false, { message: 'Невірні облікові дані' });
-        const ok = await bcrypt.compare(password, rec.passHash);
-        if (!ok) return done(null, false, { message: 'Невірні облікові дані' });
-        return done(null, { id: rec.id, email: rec.email, role: rec.role });
+        const user = await verifyCredentials(email, password);
+        if (!user) return done(null, false, { message: 'Невірні облікові дані' });
+        return done(null, user);
       } catch (err) {
         return done(err);
       }
@@ -266,50 +522,220 @@ passport.use(
   )
 );
 
+// У сесії — лише стабільний id акаунта (ObjectId); назад — пошук за _id
 passport.serializeUser((user, done) => {
   done(null, user.id);
 });
 
-passport.deserializeUser((id, done) => {
-  for (const rec of authUsers.values()) {
-    if (rec.id === id) {
-      return done(null, { id: rec.id, email: rec.email, role: rec.role });
-    }
+passport.deserializeUser(async (id, done) => {
+  try {
+    const rec = await repos.accounts.findById(id);
+    if (!rec) return done(null, false);
+    return done(null, { id: rec.id, email: rec.email, role: rec.role });
+  } catch (err) {
+    return done(err);
   }
-  return done(null, false);
 });
 
 /* ====================== Хелпери доступу ====================== */
 
+// Сесія Passport або Bearer-токен
+function isAuthenticated(req) {
+  return req.authMethod === 'bearer' || Boolean(req.isAuthenticated && req.isAuthenticated());
+}
+
 function flashAndRedirectHome(req, res, message) {
   if (wantsHtml(req)) {
     setFlash(req, 'error', message);
     return res.redirect(303, '/');
   }
-  return res.status(401).send('Unauthorize');
+  return sendError(req, res, 401, 'Authentication required');
 }
 
+// text/plain-клієнти читають без логіну (контракт task1), JSON — лише з логіном
 function ensureAuthenticatedView(req, res, next) {
-  if (!wantsHtml(req)) return next();
-  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  if (!wantsHtml(req) && !wantsJson(req)) return next();
+  if (isAuthenticated(req)) return next();
   return flashAndRedirectHome(req, res, 'Необхідна авторизація');
 }
 
 function ensureAuthenticatedApi(req, res, next) {
   if (wantsHtml(req)) return next();
-  if (req.isAuthenticated && req.isAuthenticated()) return next();
-  return res.status(401).send('Unauthorize');
+  if (isAuthenticated(req)) return next();
+  return sendError(req, res, 401, 'Authentication required');
 }
 
 function ensureAuthenticatedAny(req, res, next) {
-  if (req.isAuthenticated && req.isAuthenticated()) return next();
+  if (isAuthenticated(req)) return next();
   return flashAndRedirectHome(req, res, 'Необхідна авторизація');
 }
 
+// RBAC: 401 — не залогінений, 403 — залогінений, але роль не має дозволу (див. rbac.mjs)
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!isAuthenticated(req)) {
+      return flashAndRedirectHome(req, res, 'Необхідна авторизація');
+    }
+    if (hasPermission(req.user, permission)) return next();
+    return denyPermission(req, res, permission);
+  };
+}
+
+function denyPermission(req, res, permission, message = `Permission "${permission}" is required`) {
+  if (wantsHtml(req)) {
+    return res.status(403).render('forbidden.pug', { title: 'Forbidden', permission });
+  }
+  return sendError(req, res, 403, message);
+}
+
+// Чужу статтю змінює лише роль з articles:manage
+function denyArticleChange(req, res, article) {
+  return denyPermission(req, res, 'articles:manage', `Only the author can modify article ${article.id}`);
+}
+
+/* ====================== Обмеження частоти ====================== */
+
+// 429 + Retry-After (заголовок ставить викликач); HTML — сторінка з часом очікування
+function sendTooManyRequests(req, res, { retryAfter, message = 'Too many requests, try again later' }) {
+  if (wantsHtml(req)) {
+    return res.status(429).render('too-many-requests.pug', { title: 'Too Many Requests', retryAfter });
+  }
+  return sendError(req, res, 429, message, { retryAfter });
+}
+
+const RATE_LIMITS = rateLimitsFrom();
+
+const registerLimiter = createRateLimiter({
+  name: 'register',
+  max: RATE_LIMITS.register,
+  windowMs: 3600 * 1000,
+  onLimit: sendTooManyRequests,
+});
+
+// Змінні запити рахуються на користувача, анонімні — на IP
+const SAFE_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+const writeLimiter = createRateLimiter({
+  name: 'write',
+  max: RATE_LIMITS.write,
+  windowMs: 60 * 1000,
+  keyFor: (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`),
+  skip: (req) => SAFE_METHODS.has(req.method),
+  onLimit: sendTooManyRequests,
+});
+app.use(['/users', '/articles', '/trash', '/admin', '/account'], writeLimiter);
+
+// Запити листів (підтвердження email, скидання пароля) шлють пошту на будь-яку адресу:
+// ліміт на IP — проти засмічення черги листів, на адресу — щоб не засипати листами чужу скриньку.
+// Обидва маршрути рахуються разом; ліміт на адресу — після validateBody (email уже нормалізований)
+const mailRequestIpLimiter = createRateLimiter({
+  name: 'mail-request-ip',
+  max: RATE_LIMITS.mailRequestIp,
+  windowMs: 3600 * 1000,
+  onLimit: sendTooManyRequests,
+});
+const mailRequestEmailLimiter = createRateLimiter({
+  name: 'mail-request-email',
+  max: RATE_LIMITS.mailRequest,
+  windowMs: 3600 * 1000,
+  keyFor: (req) => String(req.validBody.email).toLowerCase(),
+  onLimit: sendTooManyRequests,
+});
+
+// Невдалі входи: прогресивне блокування (1, 2, 4 … с, далі lockout) окремо для акаунта та IP (див. rate-limit.mjs)
+const loginGuard = createLoginGuard();
+const loginCredentials = (req) => ({ ip: req.ip, email: String(req.body?.email || '') });
+
+// До перевірки пароля: заблокований акаунт не витрачає bcrypt.
+// false — перевіряти можна; true — відповідь 429 уже надіслано
+function rejectBlockedLogin(req, res, credentials) {
+  const blocked = loginGuard.check(credentials);
+  if (!blocked) return false;
+  res.set('Retry-After', String(blocked.retryAfter));
+  const message = blocked.locked
+    ? 'Too many failed login attempts, try again later'
+    : 'Too many login attempts, slow down';
+  sendTooManyRequests(req, res, { retryAfter: blocked.retryAfter, message });
+  return true;
+}
+
+function checkLoginBlock(req, res, next) {
+  if (!rejectBlockedLogin(req, res, loginCredentials(req))) next();
+}
+
+// Рахує невдачу; нове блокування — у журнал аудиту та лог
+async function recordLoginFailure(req, credentials = loginCredentials(req)) {
+  for (const lockout of loginGuard.fail(credentials)) {
+    req.log.warn('login locked out', lockout);
+    const account = lockout.scope === 'account' ? await repos.accounts.findByEmail(lockout.id) : null;
+    await audit.record(req, {
+      action: 'lockout',
+      entityType: lockout.scope === 'account' ? 'account' : 'ip',
+      entityId: lockout.scope === 'account' ? account?.id : lockout.id,
+      details: { scope: lockout.scope, key: lockout.id, failures: lockout.failures, until: lockout.until },
+    });
+  }
+}
+
+/* ====================== CSRF ====================== */
+
+function sendCsrfInvalid(req, res) {
+  if (wantsHtml(req)) {
+    return res.status(403).render('forbidden.pug', {
+      title: 'Forbidden',
+      reason: 'Форма застаріла або надіслана з іншого сайту. Оновіть сторінку й спробуйте ще раз.',
+    });
+  }
+  return sendError(req, res, 403, 'Invalid CSRF token');
+}
+
+// Маршрути, що приймають файли: їхнє тіло (multipart/form-data) розбирає acceptUploads уже в маршруті
+const UPLOAD_ROUTES = [
+  ['POST', /^\/articles\/?$/],
+  ['PUT', /^\/articles\/[^/]+\/?$/],
+  ['POST', /^\/articles\/[^/]+\/attachments\/?$/],
+];
+const isUploadRequest = (req) =>
+  Boolean(req.is('multipart/form-data')) && UPLOAD_ROUTES.some(([m, re]) => m === req.method && re.test(req.path));
+
+// Форми до входу (login CSRF): токен — у сесії, яку створює GET форми. Перевіряються тіла, що їх може
+// надіслати HTML-форма з чужого сайту; JSON-клієнта чужий сайт без CORS не підробить
+const PRE_SESSION_FORMS = new Set(['/auth/login', '/auth/register']);
+const FORM_BODY_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data', 'text/plain'];
+const isPreSessionForm = (req) =>
+  req.method === 'POST' && PRE_SESSION_FORMS.has(req.path) && Boolean(req.is(FORM_BODY_TYPES));
+
+// Змінні запити з сесійною cookie — лише з токеном сесії (поле _csrf або заголовок X-CSRF-Token).
+// Поле _csrf форми з файлами ще в нерозібраному тілі — його перевіряє acceptUploads одразу після розбору
+app.use(csrfProtection({ onInvalid: sendCsrfInvalid, defer: isUploadRequest, anonymous: isPreSessionForm }));
+
+/* ---- Форми з файлами ---- */
+
+const ATTACHMENT_LIMITS = attachmentLimits();
+const parseMultipartBody = multipartParser(ATTACHMENT_LIMITS);
+const checkUploadCsrf = csrfProtection({ onInvalid: sendCsrfInvalid });
+
+/**
+ * multipart/form-data (див. multipart.mjs): поля → req.body, файли → req.files. Ставиться в маршрутах
+ * після перевірки прав, тож тіло (до maxBodySize) читається лише для того, хто може завантажувати файли;
+ * одразу після розбору — CSRF з поля _csrf. Кривий чи завеликий multipart → 400 / 413.
+ * Інші типи тіла пропускає як є.
+ */
+function acceptUploads(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  return parseMultipartBody(req, res, (err) => {
+    if (err instanceof MultipartError) {
+      const errors = [{ field: 'files', code: err.code, message: err.message }];
+      return sendError(req, res, err.status, err.message, { errors });
+    }
+    if (err) return next(err);
+    return checkUploadCsrf(req, res, next);
+  });
+}
+
 /* ====================== Маршрути ====================== */
 
 // Головна
-app.get('/', logRequests, (req, res) => {
+app.get('/', (req, res) => {
   if (!wantsHtml(req)) {
     return res.status(200).send('Get root route');
   }
@@ -322,6 +748,7 @@ app.get('/', logRequests, (req, res) => {
 
 app.get('/auth/login', (req, res) => {
   if (!wantsHtml(req)) return res.status(404).send('Not Found');
+  res.locals.csrfToken = csrfTokenFor(req);
   const flash = popFlash(req);
   const msg = flash && typeof flash === 'object' ? flash.text : flash;
   return res.status(200).render('auth-login.pug', { title: 'Login', msg });
@@ -329,380 +756,2479 @@ app.get('/auth/login', (req, res) => {
 
 app.get('/auth/register', (req, res) => {
   if (!wantsHtml(req)) return res.status(404).send('Not Found');
+  res.locals.csrfToken = csrfTokenFor(req);
   const flash = popFlash(req);
   const msg = flash && typeof flash === 'object' ? flash.text : flash;
   return res.status(200).render('auth-register.pug', { title: 'Register', msg });
 });
 
-app.post('/auth/register', async (req, res, next) => {
-  try {
-    const email = String(req.body?.email || '').toLowerCase().trim();
-    const password = String(req.body?.password || '');
-    const role = String(req.body?.role || 'user').toLowerCase().trim();
-    if (!email || !password) return res.status(400).send('Bad Request');
-    if (authUsers.has(email)) return res.status(400).send('Bad Request');
-    const passHash = await bcrypt.hash(password, 10);
-    const id = `auth-${authUsers.size + 1}`;
-    authUsers.set(email, { id, email, passHash, role });
+// Пароль у форму не повертаємо
+function renderRegisterForm(req, res, { status, errors, values }) {
+  return res.status(status).render('auth-register.pug', {
+    title: 'Register',
+    errors,
+    values: { email: values.email },
+  });
+}
 
-    if (wantsHtml(req)) {
-      setFlash(req, 'success', 'Registered');
-      return res.redirect(303, '/auth/login');
+app.post(
+  '/auth/register',
+  registerLimiter,
+  validateBody(registerSchema, renderRegisterForm),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.validBody;
+      // role з тіла запиту ігнорується: її призначає лише адміністратор
+      const role = roleForNewAccount(email);
+      const passHash = await bcrypt.hash(password, 10);
+      let account;
+      try {
+        account = await repos.accounts.create({ email, passHash, role });
+      } catch (err) {
+        if (!(err instanceof DuplicateKeyError)) throw err;
+        if (wantsHtml(req)) {
+          return renderRegisterForm(req, res, {
+            status: 409,
+            errors: { email: 'Цей email вже зареєстровано' },
+            values: req.body,
+          });
+        }
+        return sendError(req, res, 409, 'Email is already registered');
+      }
+      await audit.record(req, { action: 'register', entityType: 'account', entityId: account.id, after: account });
+      await ensureProfile(req, account);
+      // Акаунт уже створено: якщо лист не пішов, його можна запросити повторно на /auth/verify-email
+      await sendActionEmail(account, 'email-verify').catch((err) =>
+        req.log.error('verification email failed', { err })
+      );
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Registered. Перевірте пошту — ми надіслали лист для підтвердження email');
+        return res.redirect(303, '/auth/login');
+      }
+      if (wantsJson(req)) return res.status(201).json({ data: publicAccount(account) });
+      return res.status(201).send('Registered');
+    } catch (e) {
+      next(e);
     }
-    return res.status(201).send('Registered');
-  } catch (e) {
-    next(e);
   }
-});
+);
+
+// passport.authenticate з власним колбеком, щоб врахувати невдачу в loginGuard.
+// Невдача в HTML — як failureRedirect: '/' + failureMessage: повідомлення в сесії, редірект на головну;
+// JSON і text — 401, як у POST /auth/token.
+function authenticateSession(req, res, next) {
+  passport.authenticate('local', async (err, user, info) => {
+    if (err) return next(err);
+    if (!user) {
+      try {
+        await recordLoginFailure(req);
+      } catch (failErr) {
+        return next(failErr);
+      }
+      // info.message — текст для флеша HTML-сторінки; API отримує той самий текст, що й POST /auth/token
+      if (!wantsHtml(req)) return sendError(req, res, 401, 'Invalid credentials');
+      if (info?.message) req.session.messages = [...(req.session.messages || []), info.message];
+      return res.redirect('/');
+    }
+    loginGuard.succeed(loginCredentials(req));
+    return req.logIn(user, next);
+  })(req, res, next);
+}
 
 app.post(
   '/auth/login',
-  passport.authenticate('local', { failureRedirect: '/', failureMessage: true }),
-  (req, res) => {
+  checkLoginBlock,
+  authenticateSession,
+  async (req, res) => {
+    // Для сторінки активних сесій
+    req.session.meta = {
+      userAgent: String(req.get('user-agent') || ''),
+      ip: req.ip,
+      loggedInAt: new Date().toISOString(),
+    };
+    await audit.record(req, {
+      action: 'login',
+      entityType: 'account',
+      entityId: req.user.id,
+      details: { method: 'session' },
+    });
+    // Сесія після входу нова — і CSRF-токен новий; API-клієнтам віддаємо його одразу
+    res.set('X-CSRF-Token', csrfTokenFor(req));
     if (wantsHtml(req)) {
       setFlash(req, 'success', 'Logged in');
       return res.redirect(303, '/');
     }
+    if (wantsJson(req)) {
+      const { id, email, role } = req.user;
+      return res.status(200).json({ data: { id, email, role } });
+    }
     return res.status(200).send('Logged in');
   }
 );
 
-app.post('/auth/logout', (req, res, next) => {
-  req.logout((err) => {
-    if (err) return next(err);
-    req.session.destroy(() => {
-      res.clearCookie('sid');
-      if (wantsHtml(req)) return res.redirect(303, '/');
-      return res.status(204).end();
-    });
-  });
-});
-
-/* ---- Тема ---- */
-
-app.post('/preferences/theme', (req, res) => {
-  const allowed = new Set(['light', 'dark', 'auto']);
-  const theme = String(req.body?.theme || '').toLowerCase().trim();
-  if (!allowed.has(theme)) return res.status(400).send('Bad Request');
-
-  res.cookie('theme', theme, {
-    httpOnly: false,
-    sameSite: 'lax',
-    maxAge: 90 * 24 * 3600 * 1000,
-  });
-
-  const back = req.get('referer') || '/';
-  if (wantsHtml(req)) return res.redirect(303, back);
-  return res.status(200).send('Theme saved');
+// CSRF-токен поточної сесії для fetch/API-клієнтів, що працюють через cookie
+app.get('/auth/csrf', (req, res) => {
+  const token = csrfTokenFor(req);
+  res.set('Cache-Control', 'no-store');
+  if (wantsJson(req)) return res.status(200).json({ data: { token } });
+  return res.status(200).send(token);
 });
 
-/* ---- Users (PUG) ---- */
+/* ---- Підтвердження email і скидання пароля ---- */
+// Посилання з листів ведуть на сторінку з кнопкою: токен витрачається лише POST-запитом,
+// тож поштові сканери, що відкривають посилання, його не «зʼїдять» (див. tokens.mjs: consumeAction).
+// Запит листа завжди отримує ту саму відповідь — за нею не дізнатися, чи зареєстровано email.
 
-const usersRouter = express.Router();
+const ACTION_PAGES = { 'email-verify': '/auth/verify-email', 'password-reset': '/auth/password-reset' };
+const ACTION_MESSAGES = { 'email-verify': verifyEmailMessage, 'password-reset': passwordResetMessage };
+const EMAIL_REQUEST_ACCEPTED = 'If the email is registered, a message has been sent';
 
-usersRouter.get('/', ensureAuthenticatedView, (req, res) => {
-  if (!wantsHtml(req)) {
-    return res.status(200).send('Get users route');
-  }
-  const list = Array.from(users.values())
-    .filter((u) => u.id !== 0)
-    .sort((a, b) => a.id - b.id);
+async function sendActionEmail(account, purpose) {
+  const token = await tokenService.issueAction(account, purpose);
+  const link = `${APP_URL}${ACTION_PAGES[purpose]}?token=${encodeURIComponent(token)}`;
+  await mailer.send(ACTION_MESSAGES[purpose]({ to: account.email, link, ttl: tokenService.actionTtl[purpose] }));
+}
 
-  const flash = popFlash(req);
-  const msg = flash && typeof flash === 'object' ? flash.text : flash;
+// mode: 'request' — форма запиту листа, 'sent' — лист надіслано, 'confirm' — форма з токеном
+function renderVerifyEmail(req, res, { status = 200, mode, errors = {}, values = {} }) {
+  return res.status(status).render('auth-verify-email.pug', { title: 'Verify email', mode, errors, values });
+}
 
-  return res.status(200).render('users-index.pug', {
-    title: 'Users',
-    users: list,
-    msg,
+// mode: 'request' | 'sent' | 'reset' — форма нового пароля з токеном
+function renderPasswordReset(req, res, { status = 200, mode, errors = {}, values = {} }) {
+  return res.status(status).render('auth-password-reset.pug', {
+    title: 'Password reset',
+    mode,
+    errors,
+    // Пароль у форму не повертаємо
+    values: { email: values.email, token: values.token },
   });
-});
+}
 
-usersRouter.post('/', ensureAuthenticatedApi, validateUserBody, (req, res) => {
-  const b = req.body ?? {};
-  const id = userSeq++;
+const queryToken = (req) => (typeof req.query.token === 'string' ? req.query.token : '');
 
-  let record;
-  if ((b.surname && b.firstName) || wantsHtml(req)) {
-    const surname = String(b.surname || '').trim();
-    const firstName = String(b.firstName || '').trim();
-    const email = String(b.email || '').trim();
-    const info = String(b.info || '').trim();
-    const displayName = `${surname} ${firstName}`.trim() || String(b.name || '').trim();
-    record = { id, surname, firstName, email, info, name: displayName };
-  } else {
-    const name = String(b.name || '').trim();
-    record = { id, name };
-  }
+// Спільний обробник POST .../request; shouldSend(account) — чи потрібен лист цьому акаунту
+function requestActionEmail(purpose, shouldSend, render) {
+  return async (req, res, next) => {
+    try {
+      const { email } = req.validBody;
+      const account = await repos.accounts.findByEmail(email);
+      if (account && shouldSend(account)) await sendActionEmail(account, purpose);
+
+      if (wantsHtml(req)) return render(req, res, { mode: 'sent', values: { email } });
+      if (wantsJson(req)) return res.status(202).json({ data: { message: EMAIL_REQUEST_ACCEPTED } });
+      return res.status(202).send(EMAIL_REQUEST_ACCEPTED);
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
 
-  users.set(id, record);
+const tokenErrorText = (err) =>
+  err.message === 'Token expired'
+    ? 'Строк дії посилання минув — запросіть новий лист'
+    : 'Посилання недійсне або вже використане — запросіть новий лист';
 
+// Прострочений, підроблений чи вже використаний токен — 400; HTML — та сама форма з помилкою
+function rejectActionToken(req, res, err, render, mode) {
   if (wantsHtml(req)) {
-    setFlash(req, 'success', 'Post users route');
-    return res.redirect(303, '/users');
+    return render(req, res, { status: 400, mode, errors: { token: tokenErrorText(err) }, values: req.body ?? {} });
   }
-  return res.status(201).send('Post users route');
+  return sendError(req, res, 400, err.message);
+}
+
+app.get('/auth/verify-email', (req, res) => {
+  if (!wantsHtml(req)) return res.status(404).send('Not Found');
+  const token = queryToken(req);
+  return renderVerifyEmail(req, res, { mode: token ? 'confirm' : 'request', values: { token } });
 });
 
-usersRouter.get('/:userId', ensureAuthenticatedView, validateIdParam('userId'), (req, res) => {
-  const { userId } = req.params;
-  const id = Number(userId);
-  const exists = users.has(id);
+app.post(
+  '/auth/verify-email/request',
+  mailRequestIpLimiter,
+  validateBody(emailRequestSchema, (req, res, opts) => renderVerifyEmail(req, res, { ...opts, mode: 'request' })),
+  mailRequestEmailLimiter,
+  requestActionEmail('email-verify', (account) => !account.emailVerifiedAt, renderVerifyEmail)
+);
 
-  if (!wantsHtml(req)) {
-    return res.status(200).send(`Get user by Id route: ${userId}`);
-  }
+app.post(
+  '/auth/verify-email',
+  validateBody(actionTokenSchema, (req, res, opts) => renderVerifyEmail(req, res, { ...opts, mode: 'confirm' })),
+  async (req, res, next) => {
+    try {
+      const accountId = await tokenService.consumeAction(req.validBody.token, 'email-verify');
+      const before = await repos.accounts.findById(accountId);
+      if (!before) throw new TokenError('Account not found');
+      const account = await repos.accounts.markEmailVerified(accountId);
+      await audit.record(req, {
+        action: 'verify-email',
+        entityType: 'account',
+        entityId: accountId,
+        before,
+        after: account,
+        actor: account,
+      });
 
-  if (!exists) {
-    return res.status(404).render('users-not-found.pug', {
-      title: 'User not found',
-      userId: id,
-    });
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Email підтверджено');
+        return res.redirect(303, isAuthenticated(req) ? '/' : '/auth/login');
+      }
+      if (wantsJson(req)) {
+        return res.status(200).json({ data: { email: account.email, emailVerifiedAt: account.emailVerifiedAt } });
+      }
+      return res.status(200).send('Email verified');
+    } catch (err) {
+      if (err instanceof TokenError) return rejectActionToken(req, res, err, renderVerifyEmail, 'confirm');
+      return next(err);
+    }
   }
+);
 
-  const entity = users.get(id);
-  return res.status(200).render('users-show.pug', {
-    title: `User ${id}`,
-    user: entity,
-  });
+app.get('/auth/password-reset', (req, res) => {
+  if (!wantsHtml(req)) return res.status(404).send('Not Found');
+  const token = queryToken(req);
+  return renderPasswordReset(req, res, { mode: token ? 'reset' : 'request', values: { token } });
 });
 
-usersRouter.put(
-  '/:userId',
-  ensureAuthenticatedApi,
-  validateIdParam('userId'),
-  validateUserBody,
-  (req, res) => {
-    const { userId } = req.params;
-    const b = req.body ?? {};
-    const id = Number(userId);
+app.post(
+  '/auth/password-reset/request',
+  mailRequestIpLimiter,
+  validateBody(emailRequestSchema, (req, res, opts) => renderPasswordReset(req, res, { ...opts, mode: 'request' })),
+  mailRequestEmailLimiter,
+  requestActionEmail('password-reset', () => true, renderPasswordReset)
+);
 
-    if (b.surname && b.firstName) {
-      const surname = String(b.surname || '').trim();
-      const firstName = String(b.firstName || '').trim();
-      const email = String(b.email || '').trim();
-      const info = String(b.info || '').trim();
-      const displayName = `${surname} ${firstName}`.trim();
-      users.set(id, { id, surname, firstName, email, info, name: displayName });
-    } else {
-      const name = String(b.name || '').trim();
-      users.set(id, { id, name });
-    }
+app.post(
+  '/auth/password-reset',
+  validateBody(passwordResetSchema, (req, res, opts) => renderPasswordReset(req, res, { ...opts, mode: 'reset' })),
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.validBody;
+      const accountId = await tokenService.consumeAction(token, 'password-reset');
+      const account = await repos.accounts.updatePassword(accountId, await bcrypt.hash(password, 10));
+      if (!account) throw new TokenError('Account not found');
+      // Старий пароль міг потрапити до чужих рук: завершуємо всі сесії й відкликаємо refresh-токени
+      const sessions = await sessionStore.revokeOthers(accountId, null);
+      await repos.tokens.revokeAllForAccount(accountId);
+      loginGuard.succeed({ email: account.email });
+      await audit.record(req, {
+        action: 'password-reset',
+        entityType: 'account',
+        entityId: accountId,
+        details: { sessions },
+        actor: account,
+      });
 
-    res.status(200).send(`Put user by Id route: ${userId}`);
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Пароль змінено — увійдіть з новим паролем');
+        return res.redirect(303, '/auth/login');
+      }
+      if (wantsJson(req)) return res.status(200).json({ data: { message: 'Password updated' } });
+      return res.status(200).send('Password updated');
+    } catch (err) {
+      if (err instanceof TokenError) return rejectActionToken(req, res, err, renderPasswordReset, 'reset');
+      return next(err);
+    }
   }
 );
 
-usersRouter.delete('/:userId', ensureAuthenticatedApi, validateIdParam('userId'), (req, res) => {
-  const { userId } = req.params;
-  const id = Number(userId);
-  if (id !== 0) users.delete(id);
-  if (DELETE_MODE === 'text') {
-    return res.status(200).send(`Delete user by Id route: ${userId}`);
-  }
-  return res.status(204).end();
+/* ---- JWT для API-клієнтів ---- */
+// Пара токенів — завжди JSON, незалежно від Accept; помилки — за звичайними правилами
+
+// Обмін email + пароля на пару access/refresh токенів
+app.post('/auth/token', checkLoginBlock, async (req, res, next) => {
+  try {
+    const user = await verifyCredentials(req.body?.email, req.body?.password);
+    if (!user) {
+      await recordLoginFailure(req);
+      res.set('WWW-Authenticate', 'Bearer');
+      return sendError(req, res, 401, 'Invalid credentials');
+    }
+    loginGuard.succeed(loginCredentials(req));
+    const pair = await tokenService.issue(user);
+    await audit.record(req, {
+      action: 'login',
+      entityType: 'account',
+      entityId: user.id,
+      details: { method: 'token' },
+      actor: user,
+    });
+    res.set('Cache-Control', 'no-store').type('application/json; charset=utf-8');
+    return res.status(200).json(pair);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Ротація refresh-токена
+app.post('/auth/token/refresh', async (req, res, next) => {
+  const refreshToken = String(req.body?.refreshToken || '');
+  if (!refreshToken) return sendError(req, res, 400, '"refreshToken" is required');
+  try {
+    const pair = await tokenService.refresh(refreshToken);
+    res.set('Cache-Control', 'no-store').type('application/json; charset=utf-8');
+    return res.status(200).json(pair);
+  } catch (err) {
+    if (err instanceof TokenError) return sendError(req, res, 401, err.message);
+    return next(err);
+  }
+});
+
+app.post('/auth/logout', async (req, res, next) => {
+  // Bearer: відкликаємо access-токен і (якщо передано) refresh-токен, сесії не чіпаємо
+  if (req.authMethod === 'bearer') {
+    try {
+      await tokenService.revoke({ accessPayload: req.tokenPayload, refreshToken: req.body?.refreshToken });
+      await audit.record(req, {
+        action: 'logout',
+        entityType: 'account',
+        entityId: req.user.id,
+        details: { method: 'token' },
+      });
+      return res.status(204).end();
+    } catch (err) {
+      return next(err);
+    }
+  }
+  if (req.user) {
+    await audit.record(req, {
+      action: 'logout',
+      entityType: 'account',
+      entityId: req.user.id,
+      details: { method: 'session' },
+    });
+  }
+  req.logout((err) => {
+    if (err) return next(err);
+    req.session.destroy(() => {
+      res.clearCookie('sid');
+      if (wantsHtml(req)) return res.redirect(303, '/');
+      return res.status(204).end();
+    });
+  });
+});
+
+/* ---- Активні сесії поточного користувача ---- */
+
+app.get('/account/sessions', ensureAuthenticatedAny, async (req, res, next) => {
+  try {
+    const sessions = await sessionStore.listByUser(req.user.id, req.sessionID);
+    if (wantsJson(req)) return res.status(200).json({ data: sessions });
+    if (!wantsHtml(req)) {
+      const lines = sessions.map(
+        (s) => `${s.id}${s.current ? ' (current)' : ''}: ${s.meta.ip || '-'} ${s.meta.userAgent || '-'}`
+      );
+      return res.status(200).send(lines.join('\n'));
+    }
+
+    const flash = popFlash(req);
+    const msg = flash && typeof flash === 'object' ? flash.text : flash;
+    return res.status(200).render('account-sessions.pug', { title: 'Sessions', sessions, msg });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Відкликати всі сесії, крім поточної
+app.delete('/account/sessions', ensureAuthenticatedAny, async (req, res, next) => {
+  try {
+    const count = await sessionStore.revokeOthers(req.user.id, req.sessionID);
+    await audit.record(req, { action: 'revoke', entityType: 'session', details: { count } });
+    if (wantsHtml(req)) {
+      setFlash(req, 'success', `Завершено сесій: ${count}`);
+      return res.redirect(303, '/account/sessions');
+    }
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+app.delete('/account/sessions/:sessionId', ensureAuthenticatedAny, async (req, res, next) => {
+  try {
+    const removed = await sessionStore.revoke(req.user.id, req.params.sessionId);
+    if (!removed) return sendError(req, res, 404, 'Session not found');
+    await audit.record(req, { action: 'revoke', entityType: 'session', entityId: req.params.sessionId });
+    if (wantsHtml(req)) {
+      setFlash(req, 'success', 'Сесію завершено');
+      return res.redirect(303, '/account/sessions');
+    }
+    return res.status(204).end();
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/* ---- Налаштування акаунта: пароль, email, видалення ---- */
+
+const publicAccount = ({ passHash, ...rest }) => rest;
+
+// section — форма сторінки, до якої належать errors: 'password' | 'email' | 'delete'
+async function renderAccountSettings(req, res, { status = 200, section = null, errors = {}, values = {} } = {}) {
+  const account = await repos.accounts.findById(req.user.id);
+  const flash = popFlash(req);
+  const msg = flash && typeof flash === 'object' ? flash.text : flash;
+  return res.status(status).render('account-settings.pug', {
+    title: 'Settings',
+    account: publicAccount(account),
+    policy: { minLength: passwordPolicy.minLength, minClasses: passwordPolicy.minClasses },
+    section,
+    errors,
+    // Паролі у форму не повертаємо
+    values: { email: values.email },
+    msg,
+  });
+}
+
+const settingsForm = (section) => (req, res, opts) => renderAccountSettings(req, res, { ...opts, section });
+
+// Помилка поля у формі налаштувань (HTML) або { error } (API)
+function sendSettingsError(req, res, { status, section, field, code, message, text }) {
+  if (wantsHtml(req)) {
+    return renderAccountSettings(req, res, { status, section, errors: { [field]: text }, values: req.body });
+  }
+  if (status === 400) return sendError(req, res, 400, 'Validation failed', { errors: [{ field, code, message }] });
+  return sendError(req, res, status, message);
+}
+
+// Повторна автентифікація поточним паролем; невдачі рахуються як невдалі входи (див. rate-limit.mjs)
+function requireCurrentPassword(section) {
+  return async (req, res, next) => {
+    try {
+      const credentials = { ip: req.ip, email: req.user.email };
+      if (rejectBlockedLogin(req, res, credentials)) return undefined;
+      const account = await repos.accounts.findById(req.user.id);
+      if (!account) return sendError(req, res, 404, 'Account not found');
+      if (await bcrypt.compare(req.validBody.currentPassword, account.passHash)) {
+        req.account = account;
+        return next();
+      }
+      await recordLoginFailure(req, credentials);
+      return await sendSettingsError(req, res, {
+        status: 400,
+        section,
+        field: 'currentPassword',
+        code: 'invalid',
+        message: 'Current password is incorrect',
+        text: 'Невірний поточний пароль',
+      });
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+app.get('/account/settings', ensureAuthenticatedAny, async (req, res, next) => {
+  try {
+    if (wantsHtml(req)) return await renderAccountSettings(req, res);
+    const account = await repos.accounts.findById(req.user.id);
+    if (!account) return sendError(req, res, 404, 'Account not found');
+    if (wantsJson(req)) return res.status(200).json({ data: publicAccount(account) });
+    return res.status(200).send(`${account.email} (${account.role})`);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Нова сесія не потрібна: інші сесії та всі refresh-токени завершуються, поточна сесія лишається.
+// Bearer-клієнт натомість отримує нову пару токенів (як після POST /auth/token) — старі вже недійсні
+app.put(
+  '/account/password',
+  ensureAuthenticatedAny,
+  validateBody(passwordChangeSchema, settingsForm('password')),
+  requireCurrentPassword('password'),
+  async (req, res, next) => {
+    try {
+      const { id } = req.account;
+      await repos.accounts.updatePassword(id, await bcrypt.hash(req.validBody.password, 10));
+      const sessions = await sessionStore.revokeOthers(id, req.authMethod === 'bearer' ? null : req.sessionID);
+      await repos.tokens.revokeAllForAccount(id);
+      await audit.record(req, {
+        action: 'change-password',
+        entityType: 'account',
+        entityId: id,
+        details: { sessions },
+      });
+
+      if (req.authMethod === 'bearer') {
+        const pair = await tokenService.issue(req.account);
+        res.set('Cache-Control', 'no-store').type('application/json; charset=utf-8');
+        return res.status(200).json({ data: { sessionsRevoked: sessions, tokens: pair } });
+      }
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', `Пароль змінено. Завершено інших сесій: ${sessions}`);
+        return res.redirect(303, '/account/settings');
+      }
+      if (wantsJson(req)) return res.status(200).json({ data: { sessionsRevoked: sessions } });
+      return res.status(200).send('Password updated');
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// Новий email стає непідтвердженим — на нього йде лист із посиланням (див. /auth/verify-email)
+app.put(
+  '/account/email',
+  ensureAuthenticatedAny,
+  validateBody(emailChangeSchema, settingsForm('email')),
+  requireCurrentPassword('email'),
+  async (req, res, next) => {
+    try {
+      const before = req.account;
+      const { email } = req.validBody;
+      if (email === before.email) {
+        return await sendSettingsError(req, res, {
+          status: 400,
+          section: 'email',
+          field: 'email',
+          code: 'unchanged',
+          message: '"email" is the same as the current one',
+          text: 'Це вже ваш email',
+        });
+      }
+      let account;
+      try {
+        account = await repos.accounts.updateEmail(before.id, email);
+      } catch (err) {
+        if (!(err instanceof DuplicateKeyError)) throw err;
+        return await sendSettingsError(req, res, {
+          status: 409,
+          section: 'email',
+          field: 'email',
+          message: 'Email is already registered',
+          text: 'Цей email вже зареєстровано',
+        });
+      }
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'account',
+        entityId: account.id,
+        before,
+        after: account,
+      });
+      await syncProfileEmail(req, before, account);
+      await sendActionEmail(account, 'email-verify').catch((err) =>
+        req.log.error('verification email failed', { err })
+      );
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', `Email змінено на ${account.email}. Підтвердіть його за посиланням з листа`);
+        return res.redirect(303, '/account/settings');
+      }
+      if (wantsJson(req)) return res.status(200).json({ data: publicAccount(account) });
+      return res.status(200).send(`Email changed to ${account.email}`);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// Акаунт видаляється остаточно разом із сесіями та refresh-токенами; статті й профіль (уже без входу) лишаються
+app.delete(
+  '/account',
+  ensureAuthenticatedAny,
+  validateBody(accountDeleteSchema, settingsForm('delete')),
+  requireCurrentPassword('delete'),
+  async (req, res, next) => {
+    try {
+      const { account } = req;
+      // Без жодного admin ролі більше ніхто не змінить
+      if (account.role === 'admin' && (await repos.accounts.countByRole('admin')) <= 1) {
+        return await sendSettingsError(req, res, {
+          status: 409,
+          section: 'delete',
+          field: 'currentPassword',
+          message: 'The last admin account cannot be deleted',
+          text: 'Це останній акаунт адміністратора — його не можна видалити',
+        });
+      }
+      await repos.accounts.remove(account.id);
+      await sessionStore.revokeOthers(account.id, null);
+      await repos.tokens.revokeAllForAccount(account.id);
+      await repos.users.unlinkAccount(account.id);
+      await audit.record(req, { action: 'delete', entityType: 'account', entityId: account.id, before: account });
+
+      if (req.authMethod === 'bearer') return res.status(204).end();
+      return req.logout((err) => {
+        if (err) return next(err);
+        return req.session.destroy(() => {
+          res.clearCookie('sid');
+          if (wantsHtml(req)) return res.redirect(303, '/');
+          return res.status(204).end();
+        });
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/* ---- Адміністрування акаунтів (ролі) ---- */
+
+app.get('/admin/accounts', requirePermission('accounts:manage'), async (req, res, next) => {
+  try {
+    const accounts = (await repos.accounts.list()).map(({ passHash, ...rest }) => rest);
+    if (wantsJson(req)) return res.status(200).json({ data: accounts });
+    if (!wantsHtml(req)) {
+      return res.status(200).send(accounts.map((a) => `${a.id}: ${a.email} (${a.role})`).join('\n'));
+    }
+
+    const flash = popFlash(req);
+    const msg = flash && typeof flash === 'object' ? flash.text : flash;
+    return res.status(200).render('admin-accounts.pug', { title: 'Accounts', accounts, roles: ROLES, msg });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+app.put(
+  '/admin/accounts/:accountId/role',
+  requirePermission('accounts:manage'),
+  validateIdParam('accountId'),
+  async (req, res, next) => {
+    const { accountId } = req.params;
+    const role = String(req.body?.role || '').toLowerCase().trim();
+    if (!isValidRole(role)) {
+      return sendError(req, res, 400, `"role" must be one of: ${ROLES.join(', ')}`);
+    }
+    // Не даємо адміну випадково позбавити себе прав
+    if (accountId === req.user.id) {
+      return sendError(req, res, 409, 'You cannot change your own role');
+    }
+    try {
+      const before = await repos.accounts.findById(accountId);
+      const account = before && (await repos.accounts.updateRole(accountId, role));
+      if (!account) return sendError(req, res, 404, `Account ${accountId} not found`);
+      await audit.record(req, { action: 'update', entityType: 'account', entityId: accountId, before, after: account });
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', `Роль ${account.email}: ${role}`);
+        return res.redirect(303, '/admin/accounts');
+      }
+      const { passHash, ...data } = account;
+      if (wantsJson(req)) return res.status(200).json({ data });
+      return res.status(200).send(`Role of ${account.email}: ${role}`);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/* ---- Журнал аудиту (лише admin) ---- */
+
+const AUDIT_LIST = { sortFields: ['at'], defaultSort: '-at', defaultLimit: 50 };
+const DATE_ONLY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Фільтри журналу: action, entityType, entityId, actor (email), actorId, from, to (дата або ISO-час).
+// Дата без часу в "to" включає весь день. Некоректні значення → 400.
+function validateAuditFilter(req, res, next) {
+  const q = req.query;
+  const filter = {
+    action: String(q.action || '').trim(),
+    entityType: String(q.entityType || '').trim(),
+    entityId: String(q.entityId || '').trim(),
+    actorId: String(q.actorId || '').trim(),
+    actorEmail: String(q.actor || '').trim(),
+  };
+  if (filter.action && !AUDIT_ACTIONS.includes(filter.action)) {
+    return sendError(req, res, 400, `"action" must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+  if (filter.entityType && !AUDIT_ENTITY_TYPES.includes(filter.entityType)) {
+    return sendError(req, res, 400, `"entityType" must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`);
+  }
+  for (const key of ['from', 'to']) {
+    const raw = String(q[key] || '').trim();
+    if (!raw) continue;
+    const date = new Date(raw);
+    if (Number.isNaN(date.getTime())) {
+      return sendError(req, res, 400, `"${key}" must be a date (YYYY-MM-DD or ISO 8601)`);
+    }
+    if (key === 'to' && DATE_ONLY_RE.test(raw)) date.setUTCDate(date.getUTCDate() + 1);
+    filter[key] = date;
+  }
+  req.auditFilter = filter;
+  return next();
+}
+
+// Для сторінки: довгі значення (текст статті) обрізаються, повні — в JSON API
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '∅';
+  let text = String(value);
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'object') text = JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+}
+
+// GET /admin/audit — HTML-сторінка з фільтрами; JSON: { data, meta } як у списках (page/limit, X-Total-Count)
+app.get(
+  '/admin/audit',
+  requirePermission('audit:read'),
+  validateListQuery(AUDIT_LIST),
+  validateAuditFilter,
+  async (req, res, next) => {
+    try {
+      const result = await paginate(repos.audit, req.auditFilter, req.listQuery);
+      if (wantsJson(req)) return sendPage(res, result);
+      if (!wantsHtml(req)) {
+        res.set('X-Total-Count', String(result.meta.total));
+        const lines = result.items.map(
+          (e) =>
+            `${new Date(e.at).toISOString()} [${e.requestId}] ${e.actorEmail || '-'} ` +
+            `${e.action} ${e.entityType} ${e.entityId || '-'}`
+        );
+        return res.status(200).send(lines.join('\n') || 'No audit entries');
+      }
+
+      return res.status(200).render('admin-audit.pug', {
+        title: 'Audit log',
+        entries: result.items,
+        filter: req.query,
+        actions: AUDIT_ACTIONS,
+        entityTypes: AUDIT_ENTITY_TYPES,
+        formatValue: formatAuditValue,
+        pagination: pageLinks(result.meta, '/admin/audit', req.query),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/* ---- Модерація коментарів ---- */
+
+const COMMENT_LIST = { sortFields: ['createdAt'], defaultSort: '-createdAt' };
+
+// GET /admin/comments?status=pending|approved|hidden — черга модерації (за замовчуванням — очікують схвалення)
+app.get(
+  '/admin/comments',
+  requirePermission('comments:moderate'),
+  validateListQuery(COMMENT_LIST),
+  async (req, res, next) => {
+    const status = String(req.query.status || 'pending');
+    if (!COMMENT_STATUSES.includes(status)) {
+      return sendError(req, res, 400, `"status" must be one of: ${COMMENT_STATUSES.join(', ')}`);
+    }
+    try {
+      const result = await paginate(repos.comments, { status }, req.listQuery);
+      if (wantsJson(req)) return sendPage(res, result);
+      if (!wantsHtml(req)) {
+        res.set('X-Total-Count', String(result.meta.total));
+        const lines = result.items.map((c) => `${c.id} [${c.status}] article ${c.articleId}: ${c.authorEmail || '-'}`);
+        return res.status(200).send(lines.join('\n') || 'No comments');
+      }
+
+      const articleIds = [...new Set(result.items.map((c) => c.articleId))];
+      const articles = await Promise.all(articleIds.map((id) => repos.articles.findById(id)));
+      const titles = Object.fromEntries(articles.filter(Boolean).map((a) => [a.id, a.title]));
+      const flash = popFlash(req);
+      const msg = flash && typeof flash === 'object' ? flash.text : flash;
+      return res.status(200).render('admin-comments.pug', {
+        title: 'Comments',
+        comments: result.items.map((c) => ({ ...c, articleTitle: titles[c.articleId] })),
+        status,
+        statuses: COMMENT_STATUSES,
+        returnTo: req.originalUrl,
+        msg,
+        pagination: pageLinks(result.meta, '/admin/comments', req.query),
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+/* ---- Тема ---- */
+
+app.post('/preferences/theme', (req, res) => {
+  const allowed = new Set(['light', 'dark', 'auto']);
+  const theme = String(req.body?.theme || '').toLowerCase().trim();
+  if (!allowed.has(theme)) return res.status(400).send('Bad Request');
+
+  res.cookie('theme', theme, {
+    httpOnly: false,
+    sameSite: 'lax',
+    maxAge: 90 * 24 * 3600 * 1000,
+  });
+
+  const back = req.get('referer') || '/';
+  if (wantsHtml(req)) return res.redirect(303, back);
+  return res.status(200).send('Theme saved');
+});
+
+/* ---- Users (PUG) ---- */
+
+const usersRouter = express.Router();
+
+// Дві форми запису: "персона" (surname + firstName, HTML-форма) або просто { name }.
+// HTML-форма завжди шле персону (userFormSchema), API — будь-яку з двох (userSchema)
+const userSchemaFor = (req) => (wantsHtml(req) ? userFormSchema : userSchema);
+
+// name персони складається з surname + firstName. changed — поля, які прийшли в запиті (PATCH):
+// name перераховується, лише якщо серед них є surname чи firstName, інакше переданий name лишається
+function toUserRecord(value, changed = value) {
+  const renamed = Object.hasOwn(changed, 'surname') || Object.hasOwn(changed, 'firstName');
+  if (renamed && value.surname && value.firstName) return { ...value, name: `${value.surname} ${value.firstName}` };
+  return value;
+}
+
+// Список користувачів + форма; extra — { status, errors, values } при помилках форми
+async function renderUsersIndex(req, res, { status = 200, ...extra } = {}) {
+  const listQuery = req.listQuery || parseListQuery({}, USER_LIST);
+  const result = await paginate(repos.users, { q: listQuery.q }, listQuery);
+  const flash = popFlash(req);
+  const msg = flash && typeof flash === 'object' ? flash.text : flash;
+
+  return res.status(status).render('users-index.pug', {
+    title: 'Users',
+    users: result.items,
+    query: listQuery,
+    sortOptions: sortOptions(USER_LIST.sortFields, listQuery.sortParam),
+    pagination: pageLinks(result.meta, '/users', req.listQuery ? req.query : {}),
+    msg,
+    ...extra,
+  });
+}
+
+usersRouter.get('/', ensureAuthenticatedView, validateListQuery(USER_LIST), async (req, res, next) => {
+  if (!wantsHtml(req) && !wantsJson(req)) {
+    return res.status(200).send('Get users route');
+  }
+  try {
+    if (wantsJson(req)) {
+      return sendPage(res, await paginate(repos.users, { q: req.listQuery.q }, req.listQuery));
+    }
+    return await renderUsersIndex(req, res);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Дубль email (унікальний індекс users.email) → 409 або flash у HTML
+function handleDuplicateUser(req, res, err) {
+  if (wantsHtml(req)) {
+    setFlash(req, 'error', 'Користувач з таким email вже існує');
+    return res.redirect(303, '/users');
+  }
+  return sendError(req, res, 409, `User with this email already exists`, { fields: err.fields });
+}
+
+usersRouter.post(
+  '/',
+  ensureAuthenticatedApi,
+  requirePermission('users:create'),
+  validateBody(userSchemaFor, renderUsersIndex),
+  async (req, res, next) => {
+    try {
+      const record = await repos.users.create(toUserRecord(req.validBody));
+      await audit.record(req, { action: 'create', entityType: 'user', entityId: record.id, after: record });
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Post users route');
+        return res.redirect(303, '/users');
+      }
+      res.location(`/users/${record.id}`);
+      if (wantsJson(req)) return sendRecord(res, 201, record);
+      return res.status(201).send('Post users route');
+    } catch (err) {
+      if (err instanceof DuplicateKeyError) return handleDuplicateUser(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+usersRouter.get('/:userId', ensureAuthenticatedView, validateIdParam('userId'), async (req, res, next) => {
+  const { userId } = req.params;
+
+  if (!wantsHtml(req) && !wantsJson(req)) {
+    return res.status(200).send(`Get user by Id route: ${userId}`);
+  }
+
+  try {
+    const entity = await repos.users.findById(userId);
+
+    if (wantsJson(req)) {
+      if (!entity) return sendError(req, res, 404, `User ${userId} not found`);
+      return sendRecord(res, 200, entity);
+    }
+
+    if (!entity) {
+      return res.status(404).render('users-not-found.pug', {
+        title: 'User not found',
+        userId,
+      });
+    }
+
+    // Звʼязок знімається під час видалення акаунта, тож accountId завжди вказує на наявний акаунт
+    const account = entity.accountId ? await repos.accounts.findById(entity.accountId) : null;
+    return res.status(200).render('users-show.pug', {
+      title: `User ${entity.id}`,
+      user: entity,
+      login: account && { role: account.role, emailVerified: Boolean(account.emailVerifiedAt) },
+      isOwnProfile: Boolean(account) && account.id === req.user?.id,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+usersRouter.put(
+  '/:userId',
+  ensureAuthenticatedApi,
+  requirePermission('users:update'),
+  validateIdParam('userId'),
+  validateBody(userSchemaFor),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { userId } = req.params;
+    try {
+      // PUT замінює запис цілком і не створює нових: відсутні поля очищаються, немає запису → 404
+      const record = toUserRecord(withDefaults(userSchemaFor(req), req.validBody));
+      const before = await repos.users.findById(userId);
+      // Без версії від клієнта — версія прочитаного запису: before для аудиту має бути саме тим станом
+      const updated =
+        before &&
+        (await repos.users.update(userId, record, { expectedVersion: req.expectedVersion ?? versionOf(before) }));
+      if (!updated) return sendError(req, res, 404, `User ${userId} not found`);
+      await audit.record(req, { action: 'update', entityType: 'user', entityId: userId, before, after: updated });
+
+      if (wantsJson(req)) return sendRecord(res, 200, updated);
+      return res.status(200).send(`Put user by Id route: ${userId}`);
+    } catch (err) {
+      if (err instanceof DuplicateKeyError) return handleDuplicateUser(req, res, err);
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+// PATCH — лише передані поля; результат перевіряється повною схемою
+usersRouter.patch(
+  '/:userId',
+  ensureAuthenticatedApi,
+  requirePermission('users:update'),
+  validateIdParam('userId'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { userId } = req.params;
+    try {
+      const current = await repos.users.findById(userId);
+      if (!current) return sendError(req, res, 404, `User ${userId} not found`);
+
+      const { value, errors } = validatePatch(userSchema, current, req.body);
+      if (errors.length) return sendError(req, res, 400, 'Validation failed', { errors });
+
+      const updated = await repos.users.update(userId, toUserRecord(value, req.body ?? {}), {
+        expectedVersion: req.expectedVersion ?? versionOf(current),
+      });
+      if (!updated) return sendError(req, res, 404, `User ${userId} not found`);
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'user',
+        entityId: userId,
+        before: current,
+        after: updated,
+      });
+
+      if (wantsJson(req)) return sendRecord(res, 200, updated);
+      return res.status(200).send(`Patch user by Id route: ${userId}`);
+    } catch (err) {
+      if (err instanceof DuplicateKeyError) return handleDuplicateUser(req, res, err);
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+usersRouter.delete(
+  '/:userId',
+  ensureAuthenticatedApi,
+  requirePermission('users:delete'),
+  validateIdParam('userId'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { userId } = req.params;
+    try {
+      // У кошик (див. /trash); expectedVersion перевіряється так само, як для PUT
+      const before = await repos.users.findById(userId);
+      const removed =
+        before &&
+        (await repos.users.softDelete(userId, {
+          by: req.user,
+          expectedVersion: req.expectedVersion ?? versionOf(before),
+        }));
+      if (removed) {
+        await audit.record(req, {
+          action: 'delete',
+          entityType: 'user',
+          entityId: userId,
+          before,
+          after: removed,
+        });
+      }
+      if (wantsJson(req)) {
+        if (!removed) return sendError(req, res, 404, `User ${userId} not found`);
+        return res.status(204).end();
+      }
+      if (DELETE_MODE === 'text') {
+        return res.status(200).send(`Delete user by Id route: ${userId}`);
+      }
+      return res.status(204).end();
+    } catch (err) {
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+app.use('/users', usersRouter);
+
+/* ---- Мій профіль: запис /users, привʼязаний до акаунта (users.accountId) ---- */
+
+/**
+ * Профіль акаунта; якщо його ще немає (акаунти, зареєстровані раніше) — створюється.
+ * Новий профіль отримує email входу, якщо той не зайнятий іншим профілем.
+ * null — профіль акаунта лежить у кошику: новий не створюємо, відновлює його admin.
+ */
+async function ensureProfile(req, account) {
+  const profile = await repos.users.findByAccountId(account.id);
+  if (profile) return profile;
+  if (await repos.users.findByAccountId(account.id, { trashed: true })) return null;
+
+  const record = { name: account.email.split('@')[0], email: account.email, accountId: account.id };
+  let created;
+  try {
+    created = await repos.users.create(record);
+  } catch (err) {
+    if (!(err instanceof DuplicateKeyError)) throw err;
+    // Паралельний запит уже створив профіль
+    if (err.fields?.includes('accountId')) return repos.users.findByAccountId(account.id);
+    created = await repos.users.create({ ...record, email: '' });
+  }
+  await audit.record(req, {
+    action: 'create',
+    entityType: 'user',
+    entityId: created.id,
+    after: created,
+    actor: account,
+  });
+  return created;
+}
+
+// Email профілю, що збігався з email входу, змінюється разом із ним
+async function syncProfileEmail(req, before, account) {
+  const profile = await repos.users.findByAccountId(account.id);
+  if (!profile || profile.email !== before.email) return;
+  try {
+    const updated = await repos.users.update(profile.id, { email: account.email });
+    await audit.record(req, {
+      action: 'update',
+      entityType: 'user',
+      entityId: profile.id,
+      before: profile,
+      after: updated,
+    });
+  } catch (err) {
+    // Новий email уже має інший профіль — залишаємо профіль як є
+    if (!(err instanceof DuplicateKeyError)) throw err;
+  }
+}
+
+const profileSchemaFor = (req) => (wantsHtml(req) ? profileFormSchema : profileSchema);
+
+async function renderProfileForm(req, res, { status = 200, profile, errors = {}, values } = {}) {
+  const current = profile ?? (await repos.users.findByAccountId(req.user.id));
+  const flash = popFlash(req);
+  const msg = flash && typeof flash === 'object' ? flash.text : flash;
+  return res.status(status).render('account-profile.pug', {
+    title: 'My profile',
+    profile: current,
+    errors,
+    values: values ?? current,
+    msg,
+  });
+}
+
+function sendProfileInTrash(req, res) {
+  return sendError(req, res, 404, 'Your profile is in the trash; ask an administrator to restore it');
+}
+
+app.get('/account/profile', ensureAuthenticatedAny, async (req, res, next) => {
+  try {
+    const profile = await ensureProfile(req, req.user);
+    if (!profile) return sendProfileInTrash(req, res);
+    if (wantsHtml(req)) return await renderProfileForm(req, res, { profile });
+    if (wantsJson(req)) return sendRecord(res, 200, profile);
+    return res.status(200).send(`Profile ${profile.id}`);
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// Як PUT /users/:userId, але без users:update: власник редагує лише свій профіль; email і accountId не змінюються
+app.put(
+  '/account/profile',
+  ensureAuthenticatedAny,
+  validateBody(profileSchemaFor, renderProfileForm),
+  readExpectedVersion,
+  async (req, res, next) => {
+    try {
+      const before = await ensureProfile(req, req.user);
+      if (!before) return sendProfileInTrash(req, res);
+      const record = toUserRecord(withDefaults(profileSchemaFor(req), req.validBody));
+      const updated = await repos.users.update(before.id, record, {
+        expectedVersion: req.expectedVersion ?? versionOf(before),
+      });
+      if (!updated) return sendProfileInTrash(req, res);
+      await audit.record(req, { action: 'update', entityType: 'user', entityId: before.id, before, after: updated });
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Профіль оновлено');
+        return res.redirect(303, '/account/profile');
+      }
+      if (wantsJson(req)) return sendRecord(res, 200, updated);
+      return res.status(200).send('Profile updated');
+    } catch (err) {
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+/* ---- Articles (EJS; усі режими працюють через repos.articles) ---- */
+
+const articlesRouter = express.Router();
+
+// Рендер EJS-сторінки всередині layout.ejs
+async function renderEjsPage(res, status, view, locals) {
+  const body = await ejs.renderFile(path.join(__dirname, 'views', 'ejs', view), {
+    ...res.locals,
+    ...locals,
+  });
+  return res.status(status).render('layout.ejs', { title: locals.title, body, msg: locals.msg });
+}
+
+function renderArticleNotFound(res, articleId) {
+  return renderEjsPage(res, 404, 'articles-not-found.ejs', { title: 'Article not found', articleId });
+}
+
+function sendArticleNotFound(req, res, articleId) {
+  if (wantsHtml(req)) return renderArticleNotFound(res, articleId);
+  return sendError(req, res, 404, `Article ${articleId} not found`);
+}
+
+// HTML: форма редагування з актуальною версією статті та введеними значеннями
+function sendArticleConflict(req, res, err) {
+  if (!wantsHtml(req)) return sendVersionConflict(req, res, err);
+  return renderArticleEditForm(req, res, {
+    status: 409,
+    errors: { version: 'Статтю вже змінив інший редактор. Перегляньте актуальну версію й збережіть ще раз.' },
+    values: req.body ?? {},
+  });
+}
+
+const isMineQuery = (req) => ['1', 'true'].includes(String(req.query.mine));
+const articleListFilter = (req, listQuery) => {
+  // ?status=draft|review|published — напр. черга на розгляд для редакторів; невідоме значення ігнорується
+  const status = ARTICLE_STATUSES.includes(req.query.status) ? req.query.status : undefined;
+  return {
+    q: listQuery.q,
+    authorId: isMineQuery(req) ? req.user.id : undefined,
+    // ?tag=Node.js і ?tag=node-js — той самий фільтр (див. tags.mjs)
+    tag: tagFromQuery(req.query.tag) || undefined,
+    category: tagFromQuery(req.query.category) || undefined,
+    status,
+    // Типовий список — лише опубліковані, як і /mongo/articles. Власні чернетки та черга на розгляд —
+    // лише за явним ?mine=1 чи ?status=…, і то без чужих чернеток (див. canViewArticle)
+    visibleTo:
+      isMineQuery(req) || status
+        ? { authorId: req.user.id, review: hasPermission(req.user, 'articles:publish') }
+        : null,
+  };
+};
+
+// Ревізія після зміни вмісту (див. repositories/revisions.mjs). Як і аудит, збій запису лише логується:
+// зміна статті вже збережена; before — стан до зміни для статей, створених до появи історії
+async function recordRevision(req, article, { action, before, rollbackOf }) {
+  try {
+    await repos.revisions.record(article, { action, before, rollbackOf, author: req.user });
+  } catch (err) {
+    req.log.error('article revision failed', { err, articleId: article.id });
+  }
+}
+
+// Файли з форми (req.uploads, див. validateUploads) → вкладення статті з мініатюрами зображень
+async function saveAttachments(req, article) {
+  const saved = [];
+  for (const upload of req.uploads ?? []) {
+    const thumbnail = await createThumbnail(upload.buffer, upload.mime);
+    const attachment = await repos.attachments.create({
+      articleId: article.id,
+      file: upload,
+      thumbnail,
+      uploader: req.user,
+    });
+    await audit.record(req, {
+      action: 'create',
+      entityType: 'attachment',
+      entityId: attachment.id,
+      after: attachment,
+      details: { articleId: article.id },
+    });
+    saved.push(attachment);
+  }
+  return saved;
+}
+
+// Стаття, яку req.user може бачити; чужа чернетка — так само 404, як і неіснуюча стаття
+async function findVisibleArticle(req, articleId) {
+  const article = await repos.articles.findById(articleId);
+  return article && canViewArticle(req.user, article) ? article : null;
+}
+
+// Стаття, яку req.user може змінювати → req.article; інакше 404 / 403. Стоїть перед acceptUploads:
+// тіло з файлами (до ATTACHMENT_LIMITS.maxBodySize) не буферизується лише заради відмови
+async function loadArticleForChange(req, res, next) {
+  const { articleId } = req.params;
+  try {
+    const article = await findVisibleArticle(req, articleId);
+    if (!article) return await sendArticleNotFound(req, res, articleId);
+    if (!canModifyArticle(req.user, article, 'articles:update')) return denyArticleChange(req, res, article);
+    req.article = article;
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
+// Поле файлів у формах статей: підказка браузеру й текст про ліміти (перевіряє validateUploads)
+const UPLOAD_FORM = {
+  accept: ATTACHMENT_ACCEPT,
+  maxSize: formatSize(ATTACHMENT_LIMITS.maxFileSize),
+  maxFiles: ATTACHMENT_LIMITS.maxFiles,
+};
+
+// Список статей + форма; extra — { status, errors, values } при помилках форми
+async function renderArticlesIndex(req, res, { status = 200, ...extra } = {}) {
+  const listQuery = req.listQuery || parseListQuery({}, ARTICLE_LIST);
+  const filter = articleListFilter(req, listQuery);
+  const result = await paginate(repos.articles, filter, listQuery);
+  const commentCounts = await repos.comments.countsByArticle(result.items.map((article) => article.id));
+  const flash = popFlash(req);
+  const msg = flash && typeof flash === 'object' ? flash.text : flash;
+
+  return renderEjsPage(res, status, 'articles-index.ejs', {
+    title: 'Articles',
+    articles: result.items.map((article) => ({
+      ...article,
+      excerpt: excerpt(article.body),
+      commentCount: commentCounts[article.id] ?? 0,
+    })),
+    mine: isMineQuery(req),
+    tag: filter.tag,
+    category: filter.category,
+    status: filter.status,
+    query: listQuery,
+    sortOptions: sortOptions(ARTICLE_LIST.sortFields, listQuery.sortParam),
+    pagination: pageLinks(result.meta, '/articles', req.listQuery ? req.query : {}),
+    uploadForm: UPLOAD_FORM,
+    msg,
+    info: repos.driver.name === 'memory'
+      ? 'Сховище "memory": статті зберігаються лише в памʼяті процесу.'
+      : null,
+    ...extra,
+  });
+}
+
+// Сторінка статті: текст, вкладення, дії зі статусом, гілки коментарів, видимих req.user;
+// extra — { errors, values } форми редагування, { commentErrors, commentValues } форми коментаря
+// або { attachmentErrors } форми вкладень
+async function renderArticleShow(req, res, { status = 200, article, msg = null, ...extra }) {
+  const [comments, attachments] = await Promise.all([
+    repos.comments.list({ articleId: article.id, visibleTo: commentVisibility(req.user) }),
+    repos.attachments.listByArticle(article.id),
+  ]);
+  return renderEjsPage(res, status, 'articles-show.ejs', {
+    title: 'Article',
+    article,
+    bodyHtml: renderMarkdown(article.body),
+    workflow: workflowActions(req.user, article),
+    attachments: attachments.map((attachment) => ({ ...attachment, sizeText: formatSize(attachment.size) })),
+    attachmentErrors: {},
+    uploadForm: UPLOAD_FORM,
+    comments: buildCommentTree(comments),
+    maxCommentDepth: MAX_COMMENT_DEPTH,
+    commentErrors: {},
+    commentValues: {},
+    msg,
+    ...extra,
+  });
+}
+
+// Форма редагування на сторінці статті з помилками
+async function renderArticleEditForm(req, res, { status, errors, values }) {
+  const article = await findVisibleArticle(req, req.params.articleId);
+  if (!article) return renderArticleNotFound(res, req.params.articleId);
+  return renderArticleShow(req, res, { status, article, errors, values });
+}
+
+// GET /articles — опубліковані; ?mine=1 — статті поточного користувача в будь-якому статусі,
+// ?status=draft|review|published; page/limit/sort/q — див. pagination.mjs
+articlesRouter.get('/', ensureAuthenticatedView, validateListQuery(ARTICLE_LIST), async (req, res, next) => {
+  if (!wantsHtml(req) && !wantsJson(req)) {
+    return res.status(200).send('Get articles route');
+  }
+
+  try {
+    if (wantsJson(req)) {
+      return sendPage(res, await paginate(repos.articles, articleListFilter(req, req.listQuery), req.listQuery));
+    }
+    return await renderArticlesIndex(req, res);
+  } catch (err) {
+    req.log.error('articles list failed', { err });
+    return sendError(req, res, 500);
+  }
+});
+
+// POST /articles
+articlesRouter.post(
+  '/',
+  ensureAuthenticatedApi,
+  requirePermission('articles:create'),
+  acceptUploads,
+  validateBody(articleCreateSchema, renderArticlesIndex),
+  validateUploads(renderArticlesIndex),
+  async (req, res, next) => {
+    try {
+      // Без статусу — чернетка; одразу опублікувати може лише роль з articles:publish
+      const { status = 'draft' } = req.validBody;
+      if (status === 'published' && !hasPermission(req.user, 'articles:publish')) {
+        return denyPermission(req, res, 'articles:publish');
+      }
+      const article = await repos.articles.create({
+        ...withDefaults(articleSchema, req.validBody),
+        status,
+        author: req.user,
+      });
+      await audit.record(req, { action: 'create', entityType: 'article', entityId: article.id, after: article });
+      await recordRevision(req, article, { action: 'create' });
+      await saveAttachments(req, article);
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Post articles route');
+        // Чернетки й статті на розгляді типовий список не показує — автор бачить нову статтю в «Моїх статтях»
+        return res.redirect(303, status === 'published' ? '/articles' : '/articles?mine=1');
+      }
+      res.location(`/articles/${article.id}`);
+      if (wantsJson(req)) return sendRecord(res, 201, article);
+      return res.status(201).send('Post articles route');
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /articles/preview — Markdown → безпечний HTML для форми (нічого не зберігає)
+articlesRouter.post('/preview', requirePermission('articles:create'), (req, res) => {
+  const html = renderMarkdown(req.body?.body);
+  if (wantsJson(req)) return res.status(200).json({ data: { html } });
+  return res.status(200).type('html').send(html);
+});
+
+// GET /articles/tags — хмара тегів і категорії з кількістю статей (агрегація в сховищі)
+const TAG_CLOUD_LIMIT = 100;
+
+articlesRouter.get('/tags', ensureAuthenticatedView, async (req, res, next) => {
+  try {
+    const [tags, categories] = await Promise.all([
+      repos.articles.tagCounts({ limit: TAG_CLOUD_LIMIT }),
+      repos.articles.categoryCounts(),
+    ]);
+    if (wantsJson(req)) return res.status(200).json({ data: { tags, categories } });
+    if (!wantsHtml(req)) return res.status(200).send(tags.map(({ tag, count }) => `${tag}: ${count}`).join('\n'));
+
+    const max = Math.max(1, ...tags.map(({ count }) => count));
+    // Алфавітний порядок — зручніше шукати тег очима; розмір показує популярність
+    const cloud = tags
+      .map((entry) => ({ ...entry, level: cloudLevel(entry.count, max) }))
+      .sort((a, b) => a.tag.localeCompare(b.tag));
+    return await renderEjsPage(res, 200, 'articles-tags.ejs', { title: 'Tags', cloud, categories, msg: null });
+  } catch (err) {
+    return next(err);
+  }
 });
 
-app.use('/users', usersRouter);
+// GET /articles/:articleId
+articlesRouter.get('/:articleId', ensureAuthenticatedView, validateIdParam('articleId'), async (req, res, next) => {
+  const { articleId } = req.params;
+
+  if (!wantsHtml(req) && !wantsJson(req)) {
+    return res.status(200).send(`Get article by Id route: ${articleId}`);
+  }
+
+  try {
+    const article = await findVisibleArticle(req, articleId);
+    if (wantsJson(req)) {
+      if (!article) return sendError(req, res, 404, `Article ${articleId} not found`);
+      return sendRecord(res, 200, article);
+    }
+    if (!article) return await renderArticleNotFound(res, articleId);
+
+    const flash = popFlash(req);
+    const msg = flash && typeof flash === 'object' ? flash.text : flash;
+    return await renderArticleShow(req, res, { article, msg });
+  } catch (err) {
+    req.log.error('article read failed', { err, articleId: req.params.articleId });
+    return sendError(req, res, 500);
+  }
+});
+
+// PUT /articles/:articleId (HTML-форма шле POST + _method=PUT; форма з файлами — ще й ?_method=PUT в action)
+articlesRouter.put(
+  '/:articleId',
+  requirePermission('articles:update'),
+  validateIdParam('articleId'),
+  loadArticleForChange,
+  acceptUploads,
+  validateBody(articleSchema, renderArticleEditForm),
+  validateUploads(renderArticleEditForm),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    const existing = req.article;
+    try {
+      // Без If-Match / version — версія прочитаної статті: before для аудиту й ревізії має бути саме тим станом
+      const article = await repos.articles.update(articleId, withDefaults(articleSchema, req.validBody), {
+        expectedVersion: req.expectedVersion ?? versionOf(existing),
+      });
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'article',
+        entityId: articleId,
+        before: existing,
+        after: article,
+      });
+      await recordRevision(req, article, { action: 'update', before: existing });
+      await saveAttachments(req, article);
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Статтю оновлено');
+        return res.redirect(303, `/articles/${article.id}`);
+      }
+      if (wantsJson(req)) return sendRecord(res, 200, article);
+      return res.status(200).send(`Put article by Id route: ${articleId}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return await sendArticleConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+// PATCH /articles/:articleId — лише передані поля (title / body)
+articlesRouter.patch(
+  '/:articleId',
+  requirePermission('articles:update'),
+  validateIdParam('articleId'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    try {
+      const existing = await findVisibleArticle(req, articleId);
+      if (!existing) return await sendArticleNotFound(req, res, articleId);
+      if (!canModifyArticle(req.user, existing, 'articles:update')) {
+        return denyArticleChange(req, res, existing);
+      }
+
+      const { value, errors } = validatePatch(articleSchema, existing, req.body);
+      if (errors.length) return sendError(req, res, 400, 'Validation failed', { errors });
+
+      const article = await repos.articles.update(articleId, value, {
+        expectedVersion: req.expectedVersion ?? versionOf(existing),
+      });
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'article',
+        entityId: articleId,
+        before: existing,
+        after: article,
+      });
+      await recordRevision(req, article, { action: 'update', before: existing });
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Статтю оновлено');
+        return res.redirect(303, `/articles/${article.id}`);
+      }
+      if (wantsJson(req)) return sendRecord(res, 200, article);
+      return res.status(200).send(`Patch article by Id route: ${articleId}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return await sendArticleConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+/* Статус статті (див. publishing.mjs): submit — автор надсилає чернетку на розгляд,
+   publish — роль з articles:publish публікує одразу або в publishAt, unpublish — назад у чернетки */
+
+// Які дії зі статусом доступні користувачеві — для кнопок на сторінці статті
+function workflowActions(user, article) {
+  const canPublish = hasPermission(user, 'articles:publish');
+  const canUnpublish = canPublish || canModifyArticle(user, article, 'articles:update');
+  return {
+    submit: article.status === 'draft' && isOwner(user, article),
+    publish: canPublish && !isPublished(article),
+    unpublish: canUnpublish && (isPublished(article) || Boolean(article.publishAt)),
+  };
+}
+
+function sendWorkflowResult(req, res, article, { flash, text }) {
+  if (wantsHtml(req)) {
+    setFlash(req, 'success', flash);
+    return res.redirect(303, `/articles/${article.id}`);
+  }
+  if (wantsJson(req)) return sendRecord(res, 200, article);
+  return res.status(200).send(text);
+}
+
+// Дія не підходить до поточного статусу → 409
+function sendWorkflowConflict(req, res, article, { message, flash }) {
+  if (wantsHtml(req)) {
+    setFlash(req, 'error', flash);
+    return res.redirect(303, `/articles/${article.id}`);
+  }
+  return sendError(req, res, 409, message, { status: article.status ?? 'published' });
+}
+
+// POST /articles/:articleId/submit — draft → review (лише автор)
+articlesRouter.post(
+  '/:articleId/submit',
+  requirePermission('articles:update'),
+  validateIdParam('articleId'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    try {
+      const existing = await findVisibleArticle(req, articleId);
+      if (!existing) return await sendArticleNotFound(req, res, articleId);
+      if (!isOwner(req.user, existing)) return denyArticleChange(req, res, existing);
+      if (existing.status !== 'draft') {
+        return sendWorkflowConflict(req, res, existing, {
+          message: 'Only a draft can be submitted for review',
+          flash: 'Надіслати на розгляд можна лише чернетку',
+        });
+      }
+      const article = await repos.articles.update(articleId, { status: 'review' }, {
+        expectedVersion: req.expectedVersion ?? versionOf(existing),
+      });
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      await audit.record(req, {
+        action: 'submit',
+        entityType: 'article',
+        entityId: articleId,
+        before: existing,
+        after: article,
+      });
+      return sendWorkflowResult(req, res, article, {
+        flash: 'Статтю надіслано на розгляд',
+        text: `Submit article by Id route: ${articleId}`,
+      });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return await sendArticleConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+// POST /articles/:articleId/publish — { publishAt? }: майбутній час — запланувати, інакше опублікувати зараз
+articlesRouter.post(
+  '/:articleId/publish',
+  requirePermission('articles:publish'),
+  validateIdParam('articleId'),
+  validateBody(publishSchema),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    try {
+      const existing = await findVisibleArticle(req, articleId);
+      if (!existing) return await sendArticleNotFound(req, res, articleId);
+      if (isPublished(existing)) {
+        return sendWorkflowConflict(req, res, existing, {
+          message: 'Article is already published',
+          flash: 'Статтю вже опубліковано',
+        });
+      }
+      const expectedVersion = req.expectedVersion ?? versionOf(existing);
+      const publishAt = req.validBody.publishAt ? new Date(req.validBody.publishAt) : null;
+      const scheduled = Boolean(publishAt) && publishAt > new Date();
+      const article = scheduled
+        ? await repos.articles.update(articleId, { publishAt }, { expectedVersion })
+        : await repos.articles.publish(articleId, { expectedVersion });
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      await audit.record(req, {
+        action: 'publish',
+        entityType: 'article',
+        entityId: articleId,
+        before: existing,
+        after: article,
+        ...(scheduled ? { details: { publishAt } } : {}),
+      });
+      return sendWorkflowResult(req, res, article, {
+        flash: scheduled ? `Публікацію заплановано на ${publishAt.toLocaleString()}` : 'Статтю опубліковано',
+        text: `${scheduled ? 'Schedule' : 'Publish'} article by Id route: ${articleId}`,
+      });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return await sendArticleConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+// POST /articles/:articleId/unpublish — опублікована → draft; запланована — скасувати публікацію
+articlesRouter.post(
+  '/:articleId/unpublish',
+  requirePermission('articles:update'),
+  validateIdParam('articleId'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    try {
+      const existing = await findVisibleArticle(req, articleId);
+      if (!existing) return await sendArticleNotFound(req, res, articleId);
+      // Автор — свою статтю, articles:publish — будь-яку
+      if (!hasPermission(req.user, 'articles:publish') && !canModifyArticle(req.user, existing, 'articles:update')) {
+        return denyArticleChange(req, res, existing);
+      }
+      if (!workflowActions(req.user, existing).unpublish) {
+        return sendWorkflowConflict(req, res, existing, {
+          message: 'Article is neither published nor scheduled',
+          flash: 'Статтю не опубліковано й не заплановано',
+        });
+      }
+      const changes = isPublished(existing)
+        ? { status: 'draft', publishedAt: null, publishAt: null }
+        : { publishAt: null };
+      const article = await repos.articles.update(articleId, changes, {
+        expectedVersion: req.expectedVersion ?? versionOf(existing),
+      });
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      await audit.record(req, {
+        action: 'unpublish',
+        entityType: 'article',
+        entityId: articleId,
+        before: existing,
+        after: article,
+      });
+      return sendWorkflowResult(req, res, article, {
+        flash: isPublished(existing) ? 'Статтю знято з публікації' : 'Заплановану публікацію скасовано',
+        text: `Unpublish article by Id route: ${articleId}`,
+      });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return await sendArticleConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+/* Історія змін статті (див. repositories/revisions.mjs, diff.mjs): кожне створення, PUT, PATCH і відкат
+   зберігають ревізію; diff — між будь-якими двома ревізіями, відкат створює нову ревізію */
+
+const REVISION_LIST = { sortFields: ['number'], defaultSort: '-number', defaultLimit: 50 };
+const REVISION_ACTIONS = { create: 'створення', update: 'зміна', rollback: 'відкат', import: 'до історії' };
+
+function sendRevisionNotFound(req, res, articleId, number) {
+  const message = `Revision ${number} of article ${articleId} not found`;
+  if (wantsHtml(req)) {
+    setFlash(req, 'error', `Ревізії #${number} немає`);
+    return res.redirect(303, `/articles/${articleId}/revisions`);
+  }
+  return sendError(req, res, 404, message);
+}
+
+// Зміни полів, крім body (його показують рядками): { field: { from, to } }
+function revisionFieldChanges(from, to) {
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    if (field === 'body') continue;
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      changes[field] = { from: from[field], to: to[field] };
+    }
+  }
+  return changes;
+}
+
+// GET /articles/:articleId/revisions — історія, новіші спочатку (page / limit — як у списках)
+articlesRouter.get(
+  '/:articleId/revisions',
+  ensureAuthenticatedView,
+  validateIdParam('articleId'),
+  validateListQuery(REVISION_LIST),
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    if (!wantsHtml(req) && !wantsJson(req)) {
+      return res.status(200).send(`Get article revisions route: ${articleId}`);
+    }
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      const result = await paginate(repos.revisions, { articleId }, req.listQuery);
+      if (wantsJson(req)) return sendPage(res, result);
+
+      const flash = popFlash(req);
+      const latest = result.meta.page === 1 ? result.items[0]?.number : undefined;
+      return await renderEjsPage(res, 200, 'articles-history.ejs', {
+        title: 'History',
+        article,
+        revisions: result.items,
+        latest,
+        actions: REVISION_ACTIONS,
+        canRollback: canModifyArticle(req.user, article, 'articles:update'),
+        pagination: pageLinks(result.meta, `/articles/${articleId}/revisions`, req.query),
+        msg: flash && typeof flash === 'object' ? flash.text : flash,
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// GET /articles/:articleId/revisions/diff?from=&to= — построковий diff; за замовчуванням остання ревізія
+// порівнюється з попередньою
+articlesRouter.get(
+  '/:articleId/revisions/diff',
+  ensureAuthenticatedView,
+  validateIdParam('articleId'),
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    for (const name of ['from', 'to']) {
+      const raw = req.query[name];
+      if (raw !== undefined && raw !== '' && !/^[1-9]\d*$/.test(String(raw))) {
+        return sendError(req, res, 400, `"${name}" must be a positive integer`);
+      }
+    }
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+
+      const [latest] = await repos.revisions.list({ articleId }, { limit: 1 });
+      const toNumber = Number(req.query.to) || latest?.number;
+      const fromNumber = Number(req.query.from) || Math.max(1, (toNumber ?? 1) - 1);
+      if (!toNumber) return sendRevisionNotFound(req, res, articleId, 1);
+      const [from, to] = await Promise.all([
+        repos.revisions.findByNumber(articleId, fromNumber),
+        repos.revisions.findByNumber(articleId, toNumber),
+      ]);
+      if (!from || !to) return sendRevisionNotFound(req, res, articleId, from ? toNumber : fromNumber);
+
+      const lines = diffLines(from.body, to.body);
+      const fields = revisionFieldChanges(from, to);
+      if (wantsJson(req)) return res.status(200).json({ data: { from, to, fields, lines } });
+      if (!wantsHtml(req)) return res.status(200).send(formatDiff(lines));
+
+      return await renderEjsPage(res, 200, 'articles-diff.ejs', {
+        title: 'Diff',
+        article,
+        from,
+        to,
+        fields,
+        lines,
+        isLatest: to.number === latest.number,
+        canRollback: canModifyArticle(req.user, article, 'articles:update'),
+        msg: null,
+      });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// GET /articles/:articleId/revisions/:number — одна ревізія (HTML — diff з попередньою)
+articlesRouter.get(
+  '/:articleId/revisions/:number',
+  ensureAuthenticatedView,
+  validateIdParam('articleId'),
+  validateIdParam('number'),
+  async (req, res, next) => {
+    const { articleId, number } = req.params;
+    if (wantsHtml(req)) {
+      return res.redirect(303, `/articles/${articleId}/revisions/diff?from=${Math.max(1, number - 1)}&to=${number}`);
+    }
+    if (!wantsJson(req)) return res.status(200).send(`Get article revision route: ${articleId}/${number}`);
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      const revision = await repos.revisions.findByNumber(articleId, number);
+      if (!revision) return sendRevisionNotFound(req, res, articleId, number);
+      return res.status(200).json({ data: revision });
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+// POST /articles/:articleId/revisions/:number/rollback — вміст статті з ревізії; сам відкат — нова ревізія
+articlesRouter.post(
+  '/:articleId/revisions/:number/rollback',
+  requirePermission('articles:update'),
+  validateIdParam('articleId'),
+  validateIdParam('number'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId, number } = req.params;
+    try {
+      const existing = await findVisibleArticle(req, articleId);
+      if (!existing) return await sendArticleNotFound(req, res, articleId);
+      if (!canModifyArticle(req.user, existing, 'articles:update')) {
+        return denyArticleChange(req, res, existing);
+      }
+      const revision = await repos.revisions.findByNumber(articleId, number);
+      if (!revision) return sendRevisionNotFound(req, res, articleId, number);
+
+      const changes = Object.fromEntries(REVISION_FIELDS.map((field) => [field, revision[field]]));
+      // Без версії від клієнта — та, яку бачили права й before: зміна між читанням і записом → 409
+      const article = await repos.articles.update(articleId, changes, {
+        expectedVersion: req.expectedVersion ?? versionOf(existing),
+      });
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+      await audit.record(req, {
+        action: 'rollback',
+        entityType: 'article',
+        entityId: articleId,
+        before: existing,
+        after: article,
+        details: { revision: revision.number },
+      });
+      await recordRevision(req, article, { action: 'rollback', before: existing, rollbackOf: revision.number });
+      return sendWorkflowResult(req, res, article, {
+        flash: `Статтю повернуто до ревізії #${revision.number}`,
+        text: `Rollback article by Id route: ${articleId}`,
+      });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return await sendArticleConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
 
-/* ---- Articles (EJS + Mongo для HTML, in-memory для text/plain) ---- */
+/* Вкладення статті (див. attachments.mjs, repositories/attachments.mjs): додає й видаляє автор або admin —
+   з форми статті чи окремою формою, завантажити файл може кожен, хто бачить статтю */
 
-const articlesRouter = express.Router();
+// Вкладення статті articleId, яку req.user може бачити; інакше null (→ 404)
+async function findVisibleAttachment(req, articleId, attachmentId) {
+  const article = await findVisibleArticle(req, articleId);
+  const attachment = article && (await repos.attachments.findById(attachmentId));
+  return attachment && attachment.articleId === String(articleId) ? { article, attachment } : null;
+}
 
-// GET /articles
-articlesRouter.get('/', ensureAuthenticatedView, async (req, res) => {
-  if (!wantsHtml(req)) {
-    return res.status(200).send('Get articles route');
+function sendAttachmentNotFound(req, res, articleId, attachmentId) {
+  if (wantsHtml(req)) {
+    setFlash(req, 'error', 'Вкладення не знайдено');
+    return res.redirect(303, `/articles/${articleId}#attachments`);
   }
+  return sendError(req, res, 404, `Attachment ${attachmentId} not found`);
+}
 
-  try {
-    const collection = await getArticlesCollection();
-
-    const flash = popFlash(req);
-    const msg = flash && typeof flash === 'object' ? flash.text : flash;
+// Форма вкладень з помилкою — сторінка статті з повідомленням біля поля файлів
+async function renderAttachmentFormInvalid(req, res, { status, errors }) {
+  const article = await findVisibleArticle(req, req.params.articleId);
+  if (!article) return renderArticleNotFound(res, req.params.articleId);
+  return renderArticleShow(req, res, { status, article, attachmentErrors: errors });
+}
 
-    if (!collection) {
-      const contentHtml = await new Promise((resolve, reject) => {
-        ejs.renderFile(
-          path.join(__dirname, 'views', 'ejs', 'articles-index.ejs'),
-          {
-            title: 'Articles',
-            articles: [],
-            msg: msg || 'Немає підключення до MongoDB або MONGODB_URI не задано.',
-          },
-          (err, html) => (err ? reject(err) : resolve(html))
-        );
-      });
+// Вміст файлу з тим типом, що визначено за вмістом; браузер не вгадує тип і не виконує скриптів
+async function sendAttachmentFile(req, res, { thumbnail = false } = {}) {
+  const { articleId, attachmentId } = req.params;
+  const found = await findVisibleAttachment(req, articleId, attachmentId);
+  if (!found || (thumbnail && !found.attachment.thumbnail)) {
+    return sendError(req, res, 404, `Attachment ${attachmentId} not found`);
+  }
+  const { attachment } = found;
+  const content = await repos.attachments.read(attachment, { thumbnail });
+  if (!content) {
+    req.log.error('attachment file is missing', { articleId, attachmentId });
+    return sendError(req, res, 404, `Attachment ${attachmentId} not found`);
+  }
+  const mime = thumbnail ? attachment.thumbnail.mime : attachment.mime;
+  res.set({
+    'Content-Type': mime === 'text/plain' ? 'text/plain; charset=utf-8' : mime,
+    'Content-Disposition': contentDisposition(attachment),
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    // Видимість статті може змінитися (знято з публікації) — кеш браузера щоразу перепитує сервер
+    'Cache-Control': 'private, no-cache',
+  });
+  return res.status(200).send(content);
+}
 
-      return res
-        .status(200)
-        .render('layout.ejs', { title: 'Articles', body: contentHtml, msg });
+// GET /articles/:articleId/attachments — список вкладень (HTML — розділ на сторінці статті)
+articlesRouter.get(
+  '/:articleId/attachments',
+  ensureAuthenticatedView,
+  validateIdParam('articleId'),
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    if (wantsHtml(req)) return res.redirect(303, `/articles/${articleId}#attachments`);
+    if (!wantsJson(req)) return res.status(200).send(`Get article attachments route: ${articleId}`);
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      if (!article) return sendArticleNotFound(req, res, articleId);
+      return res.status(200).json({ data: await repos.attachments.listByArticle(articleId) });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    const docs = await collection.find({}).sort({ createdAt: -1 }).toArray();
-
-    const contentHtml = await new Promise((resolve, reject) => {
-      ejs.renderFile(
-        path.join(__dirname, 'views', 'ejs', 'articles-index.ejs'),
-        {
-          title: 'Articles',
-          articles: docs,
-          msg,
-        },
-        (err, html) => (err ? reject(err) : resolve(html))
-      );
-    });
+// POST /articles/:articleId/attachments — multipart/form-data, поле files (до ATTACHMENT_MAX_FILES файлів)
+articlesRouter.post(
+  '/:articleId/attachments',
+  requirePermission('articles:update'),
+  validateIdParam('articleId'),
+  loadArticleForChange,
+  acceptUploads,
+  validateUploads(renderAttachmentFormInvalid, { required: true }),
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    const { article } = req;
+    try {
+      const attachments = await saveAttachments(req, article);
 
-    return res
-      .status(200)
-      .render('layout.ejs', { title: 'Articles', body: contentHtml, msg });
-  } catch (err) {
-    console.error('[GET /articles] render error:', err);
-    if (!wantsHtml(req)) return res.status(500).send('Internal Server Error');
-    return res.status(500).send('Internal Server Error');
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', `Додано файлів: ${attachments.length}`);
+        return res.redirect(303, `/articles/${articleId}#attachments`);
+      }
+      res.location(`/articles/${articleId}/attachments`);
+      if (wantsJson(req)) return res.status(201).json({ data: attachments });
+      return res.status(201).send('Post article attachments route');
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
 
-// POST /articles
-articlesRouter.post(
-  '/',
-  ensureAuthenticatedApi,
-  validateArticleBody,
+// GET /articles/:articleId/attachments/:attachmentId — сам файл
+articlesRouter.get(
+  '/:articleId/attachments/:attachmentId',
+  ensureAuthenticatedAny,
+  validateIdParam('articleId'),
+  validateIdParam('attachmentId'),
   async (req, res, next) => {
-    const { title } = req.body;
-    const trimmed = String(title || '').trim();
-    const bodyText = String(req.body?.body || '').trim(); // НОВЕ
+    try {
+      return await sendAttachmentFile(req, res);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-    // text/plain — старий in-memory режим (для тестів/CLI)
-    if (!wantsHtml(req)) {
-      const id = articleSeq++;
-      articles.set(id, { id, title: trimmed });
-      return res.status(201).send('Post articles route');
+// GET /articles/:articleId/attachments/:attachmentId/thumbnail — мініатюра зображення
+articlesRouter.get(
+  '/:articleId/attachments/:attachmentId/thumbnail',
+  ensureAuthenticatedAny,
+  validateIdParam('articleId'),
+  validateIdParam('attachmentId'),
+  async (req, res, next) => {
+    try {
+      return await sendAttachmentFile(req, res, { thumbnail: true });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
+// DELETE /articles/:articleId/attachments/:attachmentId — запис і файли (HTML-форма шле POST + _method=DELETE)
+articlesRouter.delete(
+  '/:articleId/attachments/:attachmentId',
+  requirePermission('articles:update'),
+  validateIdParam('articleId'),
+  validateIdParam('attachmentId'),
+  async (req, res, next) => {
+    const { articleId, attachmentId } = req.params;
     try {
-      const collection = await getArticlesCollection();
-      if (!collection) {
-        setFlash(req, 'error', 'Немає підключення до MongoDB.');
-        return res.redirect(303, '/articles');
+      const found = await findVisibleAttachment(req, articleId, attachmentId);
+      if (!found) return sendAttachmentNotFound(req, res, articleId, attachmentId);
+      if (!canModifyArticle(req.user, found.article, 'articles:update')) {
+        return denyArticleChange(req, res, found.article);
       }
-
-      await collection.insertOne({
-        title: trimmed,
-        body: bodyText,        // ← тепер зберігаємо текст статті
-        createdAt: new Date(),
+      const removed = await repos.attachments.remove(attachmentId);
+      if (!removed) return sendAttachmentNotFound(req, res, articleId, attachmentId);
+      await audit.record(req, {
+        action: 'delete',
+        entityType: 'attachment',
+        entityId: attachmentId,
+        before: removed,
+        details: { articleId },
       });
 
-      setFlash(req, 'success', 'Post articles route');
-      return res.redirect(303, '/articles');
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', `Файл «${removed.filename}» видалено`);
+        return res.redirect(303, `/articles/${articleId}#attachments`);
+      }
+      if (DELETE_MODE === 'text' && !wantsJson(req)) {
+        return res.status(200).send(`Delete article attachment route: ${attachmentId}`);
+      }
+      return res.status(204).end();
     } catch (err) {
       return next(err);
     }
   }
 );
 
+/* Коментарі до статті (див. comments.mjs, repositories/comments.mjs): гілки відповідей, зміна й видалення —
+   лише автором, приховати / схвалити — роль з comments:moderate. Коментувати можна статтю, яку бачиш */
 
-// GET /articles/:articleId
-articlesRouter.get('/:articleId', ensureAuthenticatedView, async (req, res) => {
-  const { articleId } = req.params;
+// Схвалені, власні, а модератору — усі коментарі
+const commentVisibility = (user) => ({ authorId: user.id, moderator: hasPermission(user, 'comments:moderate') });
 
-  if (!wantsHtml(req)) {
-    return res.status(200).send(`Get article by Id route: ${articleId}`);
+// Коментар статті articleId, який req.user може бачити; інакше null (→ 404)
+async function findVisibleComment(req, articleId, commentId) {
+  const comment = await repos.comments.findById(commentId);
+  if (!comment || comment.articleId !== String(articleId) || !canViewComment(req.user, comment)) return null;
+  return comment;
+}
+
+function sendCommentNotFound(req, res, articleId, commentId) {
+  if (wantsHtml(req)) {
+    setFlash(req, 'error', 'Коментар не знайдено');
+    return res.redirect(303, `/articles/${articleId}#comments`);
   }
+  return sendError(req, res, 404, `Comment ${commentId} not found`);
+}
 
-  try {
-    const collection = await getArticlesCollection();
-    if (!collection) {
-      return ejs.renderFile(
-        path.join(__dirname, 'views', 'ejs', 'articles-not-found.ejs'),
-        { title: 'Article not found', articleId },
-        (err, html) => {
-          if (err) {
-            console.error(err);
-            return res.status(500).send('Internal Server Error');
-          }
-          return res.status(500).render('layout.ejs', {
-            title: 'Article not found',
-            body: html,
-          });
-        }
-      );
-    }
+function denyCommentChange(req, res, comment, action) {
+  return denyPermission(req, res, action, `Only the author can modify comment ${comment.id}`);
+}
+
+// HTML — назад до коментаря на сторінці статті (або в чергу модерації, звідки прийшла форма)
+function sendCommentResult(req, res, comment, { status = 200, flash, text }) {
+  if (wantsHtml(req)) {
+    setFlash(req, 'success', flash);
+    const back = String(req.body?.returnTo || '');
+    const target = `/articles/${comment.articleId}#comment-${comment.id}`;
+    return res.redirect(303, back.startsWith('/admin/comments') ? back : target);
+  }
+  if (wantsJson(req)) return sendRecord(res, status, comment);
+  return res.status(status).send(text);
+}
+
+// Форма коментаря з помилкою — сторінка статті з введеним текстом у тій формі, звідки його надіслали
+// (новий коментар, відповідь на parentId або зміна commentId)
+async function renderCommentFormInvalid(req, res, { status, errors, values }) {
+  const article = await findVisibleArticle(req, req.params.articleId);
+  if (!article) return renderArticleNotFound(res, req.params.articleId);
+  const commentValues = { ...values, commentId: req.params.commentId };
+  return renderArticleShow(req, res, { status, article, commentErrors: errors, commentValues });
+}
+
+// Помилка поля parentId (немає такого коментаря або гілка задовга) → 400 як у валідації
+function rejectCommentParent(req, res, { code, message }) {
+  const errors = [{ field: 'parentId', code, message }];
+  if (wantsHtml(req)) {
+    return renderCommentFormInvalid(req, res, { status: 400, errors: errorsByField(errors), values: req.body ?? {} });
+  }
+  return sendError(req, res, 400, 'Validation failed', { errors });
+}
 
-    let doc = null;
+// GET /articles/:articleId/comments — плаский список (parentId / depth), старші спочатку; HTML — розділ на сторінці
+articlesRouter.get(
+  '/:articleId/comments',
+  ensureAuthenticatedView,
+  validateIdParam('articleId'),
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    if (wantsHtml(req)) return res.redirect(303, `/articles/${articleId}#comments`);
+    if (!wantsJson(req)) return res.status(200).send(`Get article comments route: ${articleId}`);
     try {
-      doc = await collection.findOne({ _id: new ObjectId(articleId) });
-    } catch (_e) {
-      doc = null;
+      const article = await findVisibleArticle(req, articleId);
+      if (!article) return sendArticleNotFound(req, res, articleId);
+      const comments = await repos.comments.list({ articleId, visibleTo: commentVisibility(req.user) });
+      return res.status(200).json({ data: comments });
+    } catch (err) {
+      return next(err);
     }
+  }
+);
 
-    if (!doc) {
-      return ejs.renderFile(
-        path.join(__dirname, 'views', 'ejs', 'articles-not-found.ejs'),
-        { title: 'Article not found', articleId },
-        (err, html) => {
-          if (err) {
-            console.error(err);
-            return res.status(500).send('Internal Server Error');
-          }
-          return res.status(404).render('layout.ejs', {
-            title: 'Article not found',
-            body: html,
-          });
+// POST /articles/:articleId/comments — { body, parentId? }
+articlesRouter.post(
+  '/:articleId/comments',
+  requirePermission('comments:create'),
+  validateIdParam('articleId'),
+  validateBody(commentSchema, renderCommentFormInvalid),
+  async (req, res, next) => {
+    const { articleId } = req.params;
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      if (!article) return await sendArticleNotFound(req, res, articleId);
+
+      const { body, parentId } = req.validBody;
+      let parent = null;
+      if (parentId) {
+        const validId = isPositiveInt(parentId) || OBJECT_ID_RE.test(parentId);
+        parent = validId ? await findVisibleComment(req, articleId, parentId) : null;
+        if (!parent || parent.deletedAt) {
+          return await rejectCommentParent(req, res, { code: 'not_found', message: 'Parent comment not found' });
         }
-      );
-    }
-
-    return ejs.renderFile(
-      path.join(__dirname, 'views', 'ejs', 'articles-show.ejs'),
-      { title: 'Article', article: doc },
-      (err, html) => {
-        if (err) {
-          console.error(err);
-          return res.status(500).send('Internal Server Error');
+        if ((parent.depth ?? 0) >= MAX_COMMENT_DEPTH) {
+          return await rejectCommentParent(req, res, { code: 'too_deep', message: 'Thread is too deep to reply' });
         }
-        return res.status(200).render('layout.ejs', { title: 'Article', body: html });
       }
-    );
-  } catch (err) {
-    console.error('[GET /articles/:id] error:', err);
-    return res.status(500).send('Internal Server Error');
+
+      const comment = await repos.comments.create({
+        articleId,
+        parent,
+        body,
+        status: initialCommentStatus(req.user),
+        author: req.user,
+      });
+      await audit.record(req, {
+        action: 'create',
+        entityType: 'comment',
+        entityId: comment.id,
+        after: comment,
+        details: { articleId },
+      });
+      res.location(`/articles/${articleId}/comments/${comment.id}`);
+      return sendCommentResult(req, res, comment, {
+        status: 201,
+        flash: comment.status === 'pending' ? 'Коментар надіслано на модерацію' : 'Коментар додано',
+        text: 'Post article comments route',
+      });
+    } catch (err) {
+      return next(err);
+    }
   }
-});
+);
+
+// GET /articles/:articleId/comments/:commentId — один коментар (HTML — до нього на сторінці статті)
+articlesRouter.get(
+  '/:articleId/comments/:commentId',
+  ensureAuthenticatedView,
+  validateIdParam('articleId'),
+  validateIdParam('commentId'),
+  async (req, res, next) => {
+    const { articleId, commentId } = req.params;
+    if (wantsHtml(req)) return res.redirect(303, `/articles/${articleId}#comment-${commentId}`);
+    if (!wantsJson(req)) return res.status(200).send(`Get article comment route: ${commentId}`);
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      const comment = article && (await findVisibleComment(req, articleId, commentId));
+      if (!comment) return sendCommentNotFound(req, res, articleId, commentId);
+      return sendRecord(res, 200, comment);
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
 
-// PUT /articles/:articleId — лишаємо старий in-memory режим для text/plain
+// PUT /articles/:articleId/comments/:commentId — { body } (HTML-форма шле POST + _method=PUT)
 articlesRouter.put(
-  '/:articleId',
-  ensureAuthenticatedApi,
+  '/:articleId/comments/:commentId',
+  requirePermission('comments:update'),
   validateIdParam('articleId'),
-  validateArticleBody,
-  (req, res) => {
-    const { articleId } = req.params;
-    const { title } = req.body;
-    const id = Number(articleId);
-    articles.set(id, { id, title: String(title || '').trim() });
-    res.status(200).send(`Put article by Id route: ${articleId}`);
+  validateIdParam('commentId'),
+  validateBody(commentEditSchema, renderCommentFormInvalid),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId, commentId } = req.params;
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      const existing = article && (await findVisibleComment(req, articleId, commentId));
+      if (!existing || existing.deletedAt) return sendCommentNotFound(req, res, articleId, commentId);
+      if (!canModifyComment(req.user, existing, 'comments:update')) {
+        return denyCommentChange(req, res, existing, 'comments:update');
+      }
+      const comment = await repos.comments.update(
+        commentId,
+        { body: req.validBody.body, editedAt: new Date() },
+        { expectedVersion: req.expectedVersion ?? versionOf(existing) }
+      );
+      if (!comment) return sendCommentNotFound(req, res, articleId, commentId);
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'comment',
+        entityId: commentId,
+        before: existing,
+        after: comment,
+      });
+      return sendCommentResult(req, res, comment, {
+        flash: 'Коментар змінено',
+        text: `Put article comment route: ${commentId}`,
+      });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+// DELETE /articles/:articleId/comments/:commentId — текст стирається, місце в гілці лишається для відповідей
+articlesRouter.delete(
+  '/:articleId/comments/:commentId',
+  requirePermission('comments:delete'),
+  validateIdParam('articleId'),
+  validateIdParam('commentId'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { articleId, commentId } = req.params;
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      const existing = article && (await findVisibleComment(req, articleId, commentId));
+      if (!existing || existing.deletedAt) return sendCommentNotFound(req, res, articleId, commentId);
+      if (!canModifyComment(req.user, existing, 'comments:delete')) {
+        return denyCommentChange(req, res, existing, 'comments:delete');
+      }
+      const removed = await repos.comments.remove(commentId, {
+        expectedVersion: req.expectedVersion ?? versionOf(existing),
+      });
+      if (!removed) return sendCommentNotFound(req, res, articleId, commentId);
+      await audit.record(req, {
+        action: 'delete',
+        entityType: 'comment',
+        entityId: commentId,
+        before: existing,
+        after: removed,
+      });
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Коментар видалено');
+        return res.redirect(303, `/articles/${articleId}#comments`);
+      }
+      if (DELETE_MODE === 'text' && !wantsJson(req)) {
+        return res.status(200).send(`Delete article comment route: ${commentId}`);
+      }
+      return res.status(204).end();
+    } catch (err) {
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
   }
 );
 
-// DELETE /articles/:articleId — in-memory, text/plain
+// POST /articles/:articleId/comments/:commentId/{hide|approve} — модерація
+function moderateComment(action, { status, flash, conflict }) {
+  return async (req, res, next) => {
+    const { articleId, commentId } = req.params;
+    try {
+      const article = await findVisibleArticle(req, articleId);
+      const existing = article && (await findVisibleComment(req, articleId, commentId));
+      if (!existing || existing.deletedAt) return sendCommentNotFound(req, res, articleId, commentId);
+      if (existing.status === status) {
+        if (wantsHtml(req)) return sendCommentResult(req, res, existing, { flash: conflict });
+        return sendError(req, res, 409, `Comment ${commentId} is already ${status}`, { status });
+      }
+      const comment = await repos.comments.update(
+        commentId,
+        { status },
+        { expectedVersion: req.expectedVersion ?? versionOf(existing) }
+      );
+      if (!comment) return sendCommentNotFound(req, res, articleId, commentId);
+      await audit.record(req, { action, entityType: 'comment', entityId: commentId, before: existing, after: comment });
+      return sendCommentResult(req, res, comment, {
+        flash,
+        text: `${action === 'hide' ? 'Hide' : 'Approve'} article comment route: ${commentId}`,
+      });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
+  };
+}
+
+for (const [action, options] of [
+  ['hide', { status: 'hidden', flash: 'Коментар приховано', conflict: 'Коментар уже приховано' }],
+  ['approve', { status: 'approved', flash: 'Коментар схвалено', conflict: 'Коментар уже схвалено' }],
+]) {
+  articlesRouter.post(
+    `/:articleId/comments/:commentId/${action}`,
+    requirePermission('comments:moderate'),
+    validateIdParam('articleId'),
+    validateIdParam('commentId'),
+    readExpectedVersion,
+    moderateComment(action, options)
+  );
+}
+
+// DELETE /articles/:articleId (HTML-форма шле POST + _method=DELETE)
 articlesRouter.delete(
   '/:articleId',
-  ensureAuthenticatedApi,
+  requirePermission('articles:delete'),
   validateIdParam('articleId'),
-  (req, res) => {
+  readExpectedVersion,
+  async (req, res, next) => {
     const { articleId } = req.params;
-    const id = Number(articleId);
-    if (id !== 0) articles.delete(id);
-    if (DELETE_MODE === 'text') {
-      return res.status(200).send(`Delete article by Id route: ${articleId}`);
+    try {
+      const existing = await findVisibleArticle(req, articleId);
+      if (existing && !canModifyArticle(req.user, existing, 'articles:delete')) {
+        return denyArticleChange(req, res, existing);
+      }
+      // Без версії від клієнта — та, на якій перевірено права й рахується before
+      const removed =
+        Boolean(existing) &&
+        (await repos.articles.softDelete(articleId, {
+          by: req.user,
+          expectedVersion: req.expectedVersion ?? versionOf(existing),
+        }));
+      if (removed) {
+        await audit.record(req, {
+          action: 'delete',
+          entityType: 'article',
+          entityId: articleId,
+          before: existing,
+          after: removed,
+        });
+      }
+
+      if (wantsHtml(req)) {
+        if (!removed) return await renderArticleNotFound(res, articleId);
+        setFlash(req, 'success', 'Статтю перенесено в кошик');
+        return res.redirect(303, '/articles');
+      }
+      if (wantsJson(req)) {
+        if (!removed) return sendError(req, res, 404, `Article ${articleId} not found`);
+        return res.status(204).end();
+      }
+      if (DELETE_MODE === 'text') {
+        return res.status(200).send(`Delete article by Id route: ${articleId}`);
+      }
+      return res.status(204).end();
+    } catch (err) {
+      if (err instanceof VersionConflictError) return await sendArticleConflict(req, res, err);
+      return next(err);
     }
-    return res.status(204).end();
   }
 );
 
 app.use('/articles', articlesRouter);
 
+/* ---- Кошик: відновлення та остаточне видалення (див. repositories/trash.mjs) ---- */
+
+const trashRouter = express.Router();
+
+const TRASH_LABELS = { articles: 'Article', users: 'User' };
+const AUDIT_ENTITY = { articles: 'article', users: 'user' };
+
+// Стаття — автору (з articles:delete) або admin; користувач — ролі з users:delete
+function canRestore(user, kind, doc) {
+  if (kind === 'articles') return canModifyArticle(user, doc, 'articles:delete');
+  return hasPermission(user, 'users:delete');
+}
+
+// Що бачить користувач: власні статті (з articles:manage — усі); користувачів — лише з users:delete
+async function loadTrash(user) {
+  const byDeletedAt = { sort: { deletedAt: -1 } };
+  const authorId = hasPermission(user, 'articles:manage') ? undefined : user.id;
+  const withPurgeAt = (doc) => ({ ...doc, purgeAt: trashPurger.purgeAt(doc.deletedAt) });
+
+  const articles = await repos.articles.list({ trashed: true, authorId }, byDeletedAt);
+  const users = hasPermission(user, 'users:delete') ? await repos.users.list({ trashed: true }, byDeletedAt) : null;
+  return { articles: articles.map(withPurgeAt), users: users && users.map(withPurgeAt) };
+}
+
+function validateTrashKind(req, res, next) {
+  if (TRASH_KINDS.includes(req.params.kind)) return next();
+  return sendError(req, res, 404, `Unknown trash collection: ${req.params.kind}`);
+}
+
+const sendNotInTrash = (req, res) =>
+  sendError(req, res, 404, `${TRASH_LABELS[req.params.kind]} ${req.params.id} is not in trash`);
+
+// GET /trash — HTML-сторінка; JSON: { data: { articles, users? }, meta: { retentionDays } }
+trashRouter.get('/', ensureAuthenticatedAny, async (req, res, next) => {
+  try {
+    const { articles, users } = await loadTrash(req.user);
+    if (wantsJson(req)) {
+      const data = users ? { articles, users } : { articles };
+      return res.status(200).json({ data, meta: { retentionDays: trashPurger.retentionDays } });
+    }
+    if (!wantsHtml(req)) {
+      const lines = [
+        ...articles.map((a) => `article ${a.id}: ${a.title}`),
+        ...(users || []).map((u) => `user ${u.id}: ${u.name}`),
+      ];
+      return res.status(200).send(lines.join('\n') || 'Trash is empty');
+    }
+
+    const flash = popFlash(req);
+    const msg = flash && typeof flash === 'object' ? flash.text : flash;
+    return res.status(200).render('trash.pug', {
+      title: 'Trash',
+      articles,
+      users,
+      retentionDays: trashPurger.retentionDays,
+      msg,
+    });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+// POST /trash/:kind/:id/restore — назад у звичайні списки (версія збільшується)
+trashRouter.post(
+  '/:kind/:id/restore',
+  ensureAuthenticatedAny,
+  validateTrashKind,
+  validateIdParam('id'),
+  readExpectedVersion,
+  async (req, res, next) => {
+    const { kind, id } = req.params;
+    try {
+      const doc = await repos[kind].findById(id, { trashed: true });
+      if (!doc) return sendNotInTrash(req, res);
+      if (!canRestore(req.user, kind, doc)) {
+        return kind === 'articles' ? denyArticleChange(req, res, doc) : denyPermission(req, res, 'users:delete');
+      }
+
+      const restored = await repos[kind].restore(id, { expectedVersion: req.expectedVersion ?? versionOf(doc) });
+      if (!restored) return sendNotInTrash(req, res);
+      await audit.record(req, {
+        action: 'restore',
+        entityType: AUDIT_ENTITY[kind],
+        entityId: id,
+        before: doc,
+        after: restored,
+      });
+
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Відновлено з кошика');
+        return res.redirect(303, '/trash');
+      }
+      if (wantsJson(req)) return sendRecord(res, 200, restored);
+      return res.status(200).send(`Restored ${kind} ${id}`);
+    } catch (err) {
+      if (err instanceof VersionConflictError) return sendVersionConflict(req, res, err);
+      return next(err);
+    }
+  }
+);
+
+// DELETE /trash/:kind/:id — остаточно; лише для записів, що вже в кошику
+trashRouter.delete(
+  '/:kind/:id',
+  requirePermission('trash:purge'),
+  validateTrashKind,
+  validateIdParam('id'),
+  async (req, res, next) => {
+    try {
+      const { kind, id } = req.params;
+      const before = await repos[kind].findById(id, { trashed: true });
+      const purged = await repos[kind].purge(id);
+      if (!purged) return sendNotInTrash(req, res);
+      await audit.record(req, { action: 'purge', entityType: AUDIT_ENTITY[kind], entityId: id, before });
+      if (wantsHtml(req)) {
+        setFlash(req, 'success', 'Видалено остаточно');
+        return res.redirect(303, '/trash');
+      }
+      return res.status(204).end();
+    } catch (err) {
+      return next(err);
+    }
+  }
+);
+
+app.use('/trash', trashRouter);
+
 /* ---- Protected ---- */
 
 app.get('/protected', ensureAuthenticatedAny, (req, res) => {
@@ -716,28 +3242,22 @@ app.get('/protected', ensureAuthenticatedAny, (req, res) => {
 
 /* ---- MongoDB: читання з mongoarticles ---- */
 
-app.get('/mongo/articles', async (req, res) => {
+app.get('/mongo/articles', validateListQuery(ARTICLE_LIST), async (req, res) => {
   try {
-    const collection = await getArticlesCollection();
-
-    if (!collection) {
-      if (!wantsHtml(req)) {
-        return res
-          .status(200)
-          .send('Mongo articles route (немає підключення до MongoDB)');
-      }
-      return res.status(200).render('mongo-articles.pug', {
-        title: 'Mongo Articles',
-        docs: [],
-        info: 'Немає підключення до MongoDB або MONGODB_URI не задано.',
-      });
-    }
+    // Публічний список без логіну — лише опубліковані статті
+    const result = await paginate(repos.articles, { q: req.listQuery.q, visibleTo: null }, req.listQuery);
+    const docs = result.items;
+    const info =
+      repos.driver.name === 'mongo'
+        ? null
+        : `MONGODB_URI не задано — дані читаються з драйвера "${repos.driver.name}".`;
 
-    const docs = await collection.find({}).sort({ createdAt: -1 }).toArray();
+    if (wantsJson(req)) return sendPage(res, result);
 
     if (!wantsHtml(req)) {
+      res.set('X-Total-Count', String(result.meta.total));
       const lines =
-        docs.map((d) => `#${d._id}: ${d.title || '(без назви)'}`).join('\n') ||
+        docs.map((d) => `#${d.id}: ${d.title || '(без назви)'}`).join('\n') ||
         'Документів немає.';
       return res.status(200).send(lines);
     }
@@ -745,11 +3265,14 @@ app.get('/mongo/articles', async (req, res) => {
     return res.status(200).render('mongo-articles.pug', {
       title: 'Mongo Articles',
       docs,
-      info: null,
+      info,
+      query: req.listQuery,
+      sortOptions: sortOptions(ARTICLE_LIST.sortFields, req.listQuery.sortParam),
+      pagination: pageLinks(result.meta, '/mongo/articles', req.query),
     });
   } catch (err) {
-    console.error('[GET /mongo/articles] error:', err);
-    if (!wantsHtml(req)) return res.status(500).send('Internal Server Error');
+    req.log.error('mongo articles read failed', { err });
+    if (!wantsHtml(req)) return sendError(req, res, 500);
     return res.status(500).render('mongo-articles.pug', {
       title: 'Mongo Articles – Error',
       docs: [],
@@ -761,12 +3284,12 @@ app.get('/mongo/articles', async (req, res) => {
 /* ====================== Глобальні обробники ====================== */
 
 app.use((req, res) => {
-  res.status(404).send('Not Found');
+  sendError(req, res, 404, `Route ${req.method} ${req.path} not found`);
 });
 
 app.use((err, req, res, next) => {
-  console.error(err?.stack || err);
-  res.status(500).send('Internal Server Error');
+  (req.log ?? logger).error('unhandled error', { err, method: req.method, path: redactUrl(req.originalUrl) });
+  sendError(req, res, 500);
 });
 
 /* ====================== Старт сервера ====================== */
@@ -774,8 +3297,8 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 const HOST = process.env.HOST || '0.0.0.0';
 const server = app.listen(PORT, HOST, () => {
-  console.log(`[boot] server listening on http://${HOST}:${PORT}`);
+  logger.info('server listening', { url: `http://${HOST}:${PORT}` });
 });
 
 // Експорт для тестів
-export { server, app };
+export { server, app, mailer };
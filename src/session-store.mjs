@@ -0,0 +1,166 @@
+// Сховище сесій express-session поверх колекцій репозиторіїв.
+//
+// SESSION_STORE:
+//   - 'mongo'  → колекція sessions у MongoDB (TTL-індекс за expiresAt)
+//   - 'file'   → JSON-файл SESSION_FILE (за замовчуванням data/sessions.json)
+//   - 'memory' → памʼять процесу (для тестів)
+// Без SESSION_STORE: 'mongo', якщо задано MONGODB_URI, інакше 'file'.
+
+import path from 'path';
+import session from 'express-session';
+import { createMemoryDriver } from './repositories/drivers/memory.mjs';
+import { createFileDriver } from './repositories/drivers/file.mjs';
+import { createMongoDriver } from './repositories/drivers/mongo.mjs';
+import { logger } from './logger.mjs';
+
+export const SESSIONS_COLLECTION = 'sessions';
+
+const DEFAULT_TTL_MS = 7 * 24 * 3600 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Promise → callback у стилі express-session
+function settle(promise, cb) {
+  promise.then(
+    (value) => cb && cb(null, value),
+    (err) => cb && cb(err)
+  );
+}
+
+/**
+ * Документ сесії: { id, sid, data (JSON), userId, expiresAt, updatedAt }.
+ * userId винесено окремим полем, щоб швидко знаходити всі сесії користувача.
+ */
+export class RepositorySessionStore extends session.Store {
+  constructor({ collection, ttlMs = DEFAULT_TTL_MS, pruneIntervalMs = PRUNE_INTERVAL_MS }) {
+    super();
+    this.col = collection;
+    this.ttlMs = ttlMs;
+
+    // MongoDB сам видаляє прострочені сесії за TTL-індексом;
+    // для memory/file це робить prune() за таймером
+    this.ready = Promise.all([
+      collection.createIndex({ sid: 1 }, { unique: true }),
+      collection.createIndex({ userId: 1 }),
+      collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+    ]).catch((err) => this.emit('error', err));
+
+    if (pruneIntervalMs) {
+      this.timer = setInterval(() => {
+        this.prune().catch((err) => logger.error('session prune failed', { err }));
+      }, pruneIntervalMs);
+      this.timer.unref();
+    }
+  }
+
+  expiresAt(sess) {
+    const expires = sess?.cookie?.expires;
+    return expires ? new Date(expires) : new Date(Date.now() + this.ttlMs);
+  }
+
+  get(sid, cb) {
+    settle(
+      this.col
+        .findOne({ sid, expiresAt: { $gt: new Date() } })
+        .then((doc) => (doc ? JSON.parse(doc.data) : null)),
+      cb
+    );
+  }
+
+  set(sid, sess, cb) {
+    settle(
+      this.col
+        .upsertOne(
+          { sid },
+          {
+            data: JSON.stringify(sess),
+            userId: sess?.passport?.user ?? null,
+            expiresAt: this.expiresAt(sess),
+            updatedAt: new Date(),
+          }
+        )
+        .then(() => undefined),
+      cb
+    );
+  }
+
+  touch(sid, sess, cb) {
+    settle(
+      this.col
+        .updateOne({ sid }, { expiresAt: this.expiresAt(sess), updatedAt: new Date() })
+        .then(() => undefined),
+      cb
+    );
+  }
+
+  destroy(sid, cb) {
+    settle(this.col.deleteOne({ sid }).then(() => undefined), cb);
+  }
+
+  all(cb) {
+    settle(
+      this.col
+        .find({ expiresAt: { $gt: new Date() } })
+        .then((docs) => docs.map((doc) => ({ ...JSON.parse(doc.data), id: doc.sid }))),
+      cb
+    );
+  }
+
+  length(cb) {
+    settle(this.col.count({ expiresAt: { $gt: new Date() } }), cb);
+  }
+
+  clear(cb) {
+    settle(this.col.deleteMany({}).then(() => undefined), cb);
+  }
+
+  prune() {
+    return this.col.deleteMany({ expiresAt: { $lte: new Date() } });
+  }
+
+  /* ---- Керування сесіями користувача (сторінка /account/sessions) ---- */
+
+  // sid назовні не віддаємо — лише id документа та ознаку поточної сесії
+  async listByUser(userId, currentSid) {
+    const docs = await this.col.find(
+      { userId: String(userId), expiresAt: { $gt: new Date() } },
+      { sort: { updatedAt: -1 } }
+    );
+    return docs.map((doc) => ({
+      id: doc.id,
+      current: doc.sid === currentSid,
+      meta: JSON.parse(doc.data).meta || {},
+      updatedAt: doc.updatedAt,
+      expiresAt: doc.expiresAt,
+    }));
+  }
+
+  revoke(userId, id) {
+    return this.col.deleteOne({ id: String(id), userId: String(userId) });
+  }
+
+  revokeOthers(userId, exceptSid) {
+    return this.col.deleteMany({ userId: String(userId), sid: { $ne: exceptSid } });
+  }
+}
+
+export function createSessionStore({ env = process.env, driver, ttlMs } = {}) {
+  const kind = String(env.SESSION_STORE || (env.MONGODB_URI ? 'mongo' : 'file')).toLowerCase();
+  let sessionDriver;
+  switch (kind) {
+    case 'mongo':
+      if (!env.MONGODB_URI) throw new Error('[sessions] SESSION_STORE=mongo requires MONGODB_URI');
+      sessionDriver = driver?.name === 'mongo' ? driver : createMongoDriver({ uri: env.MONGODB_URI });
+      break;
+    case 'file':
+      sessionDriver = createFileDriver({ file: path.resolve(env.SESSION_FILE || 'data/sessions.json') });
+      break;
+    case 'memory':
+      sessionDriver = createMemoryDriver();
+      break;
+    default:
+      throw new Error(`[sessions] unknown SESSION_STORE: ${kind}`);
+  }
+  const store = new RepositorySessionStore({ collection: sessionDriver.collection(SESSIONS_COLLECTION), ttlMs });
+  store.kind = kind;
+  return store;
+}
@@ -0,0 +1,45 @@
+// Локальний диск: кожен ключ — файл у каталозі dir (підкаталоги створюються за потреби).
+
+import fs from 'fs';
+import path from 'path';
+
+// Ключі генерує сервер, але зайвий раз не даємо вийти за межі каталогу
+const KEY_RE = /^[\w-]+(?:\/[\w.-]+)*$/;
+
+/**
+ * @param {object} options
+ * @param {string} options.dir — кореневий каталог (UPLOAD_DIR)
+ */
+export function createLocalStorage({ dir }) {
+  const fileFor = (key) => {
+    if (!KEY_RE.test(key) || key.split('/').includes('..')) throw new Error(`[storage] invalid key: ${key}`);
+    return path.join(dir, ...key.split('/'));
+  };
+
+  return {
+    name: 'local',
+    dir,
+
+    async put(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // Спершу тимчасовий файл: обірваний запис не лишить половину вкладення під справжнім ключем
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, buffer);
+      await fs.promises.rename(tmp, file);
+    },
+
+    async read(key) {
+      try {
+        return await fs.promises.readFile(fileFor(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
@@ -0,0 +1,22 @@
+// In-memory сховище: файли лише в Map (тести).
+
+export function createMemoryStorage() {
+  const files = new Map();
+
+  return {
+    name: 'memory',
+    files,
+
+    async put(key, buffer) {
+      files.set(key, Buffer.from(buffer));
+    },
+
+    async read(key) {
+      return files.get(key) ?? null;
+    },
+
+    async remove(key) {
+      files.delete(key);
+    },
+  };
+}
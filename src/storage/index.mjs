@@ -0,0 +1,26 @@
+// Сховище файлів (вкладення статей) — маршрути працюють лише з інтерфейсом storage.*,
+// а де лежать байти, обирається конфігурацією.
+//
+// STORAGE_DRIVER:
+//   - 'local'  → каталог UPLOAD_DIR на диску (за замовчуванням data/uploads)
+//   - 'memory' → лише памʼять процесу (тести)
+//
+// Інтерфейс драйвера: put(key, buffer), read(key) → Buffer | null, remove(key).
+// key — відносний шлях на кшталт "<articleId>/<uuid>"; імʼя файлу від клієнта в ключ не потрапляє.
+// Хмарне сховище (S3 тощо) додається тут же як ще один драйвер з тими самими методами.
+
+import path from 'path';
+import { createLocalStorage } from './drivers/local.mjs';
+import { createMemoryStorage } from './drivers/memory.mjs';
+
+export function createStorage(env = process.env) {
+  const name = String(env.STORAGE_DRIVER || 'local').toLowerCase();
+  switch (name) {
+    case 'local':
+      return createLocalStorage({ dir: path.resolve(env.UPLOAD_DIR || 'data/uploads') });
+    case 'memory':
+      return createMemoryStorage();
+    default:
+      throw new Error(`[storage] unknown STORAGE_DRIVER: ${name}`);
+  }
+}
@@ -0,0 +1,26 @@
+// Теги й категорії статей.
+//
+// Нормалізація прибирає «майже дублікати»: регістр, пробіли, #, розділові знаки та різні
+// форми Unicode-символів — «Node.js», « #node JS » і «NODE_JS» стають одним тегом node-js.
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 40;
+
+export function normalizeTag(raw) {
+  return String(raw ?? '')
+    .normalize('NFKC')
+    .toLowerCase()
+    // Апостроф — частина слова: «памʼять», а не «пам-ять»
+    .replace(/[ʼ’'`]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Параметр ?tag= / ?category= списку; '' — фільтра немає (масив із кількох ?tag= не підтримується)
+export const tagFromQuery = (value) => (typeof value === 'string' ? normalizeTag(value) : '');
+
+// Розмір тегу в хмарі: 1..levels пропорційно кількості статей (логарифмічна шкала)
+export function cloudLevel(count, max, levels = 5) {
+  if (max <= 1) return 1;
+  return 1 + Math.round(((levels - 1) * Math.log(count)) / Math.log(max));
+}
@@ -0,0 +1,97 @@
+// Розміри зображень і мініатюри для вкладень.
+//
+// imageSize() читає ширину й висоту із заголовка PNG / JPEG / GIF / WebP — без декодування.
+// createThumbnail() зменшує зображення через sharp (libvips): декодування й масштабування
+// виконуються в пулі потоків libvips, а не в циклі подій. Формат мініатюри — у THUMBNAIL_FORMATS.
+
+import sharp from 'sharp';
+
+// Мініатюра вписується в квадрат THUMBNAIL_SIZE × THUMBNAIL_SIZE
+export const THUMBNAIL_SIZE = 320;
+// Більші зображення лишаються без мініатюри: розмір перевіряється за заголовком до декодування,
+// тож «бомба» в кілька КБ, що розгортається в гігабайти пікселів, не розпаковується (≈ 6000 × 4000)
+export const MAX_PIXELS = 24_000_000;
+
+// Формат мініатюри за типом оригіналу: JPEG і WebP лишаються собою, GIF (перший кадр) — PNG
+const THUMBNAIL_FORMATS = {
+  'image/png': { format: 'png', mime: 'image/png' },
+  'image/jpeg': { format: 'jpeg', mime: 'image/jpeg', options: { quality: 80, mozjpeg: true } },
+  'image/gif': { format: 'png', mime: 'image/png' },
+  'image/webp': { format: 'webp', mime: 'image/webp', options: { quality: 80 } },
+};
+
+/* ---- Розміри ---- */
+
+function jpegSize(buf) {
+  let pos = 2;
+  while (pos + 9 < buf.length) {
+    if (buf[pos] !== 0xff) return null;
+    const marker = buf[pos + 1];
+    // SOF0…SOF15, крім DHT (C4), JPG (C8) і DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buf.readUInt16BE(pos + 7), height: buf.readUInt16BE(pos + 5) };
+    }
+    pos += 2 + buf.readUInt16BE(pos + 2);
+  }
+  return null;
+}
+
+function webpSize(buf) {
+  const chunk = buf.toString('latin1', 12, 16);
+  if (chunk === 'VP8X' && buf.length >= 30) {
+    return { width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  }
+  if (chunk === 'VP8 ' && buf.length >= 30) {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L' && buf.length >= 25) {
+    const bits = buf.readUInt32LE(21);
+    return { width: 1 + (bits & 0x3fff), height: 1 + ((bits >> 14) & 0x3fff) };
+  }
+  return null;
+}
+
+/** { width, height } зображення або null (інший тип чи пошкоджений заголовок) */
+export function imageSize(buffer, mime) {
+  try {
+    switch (mime) {
+      case 'image/png':
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+      case 'image/gif':
+        return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+      case 'image/jpeg':
+        return jpegSize(buffer);
+      case 'image/webp':
+        return webpSize(buffer);
+      default:
+        return null;
+    }
+  } catch {
+    return null;
+  }
+}
+
+/* ---- Мініатюри ---- */
+
+/**
+ * Мініатюра зображення або null: не зображення, зображення й так не більше size,
+ * пошкоджений файл чи більше MAX_PIXELS пікселів (вкладення зберігається й без мініатюри).
+ * @returns {Promise<{ buffer: Buffer, mime: string, width: number, height: number } | null>}
+ */
+export async function createThumbnail(buffer, mime, { size = THUMBNAIL_SIZE } = {}) {
+  const target = THUMBNAIL_FORMATS[mime];
+  const source = imageSize(buffer, mime);
+  if (!target || !source || source.width * source.height > MAX_PIXELS) return null;
+  if (source.width <= size && source.height <= size) return null;
+  try {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+      // Орієнтація з EXIF (фото з телефона) — до масштабування
+      .rotate()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .toFormat(target.format, target.options)
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, mime: target.mime, width: info.width, height: info.height };
+  } catch {
+    return null;
+  }
+}
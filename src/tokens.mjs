@@ -0,0 +1,152 @@
+// JWT для API-клієнтів: короткі access-токени + refresh-токени з ротацією.
+//
+// JWT_SECRET          — секрет підпису (за замовчуванням dev-значення)
+// ACCESS_TOKEN_TTL    — строк дії access-токена, секунди (900 = 15 хв)
+// REFRESH_TOKEN_TTL   — строк дії refresh-токена, секунди (30 днів)
+//
+// Одноразові токени дій (посилання в листах) підписуються тим самим секретом:
+// EMAIL_VERIFY_TOKEN_TTL   — підтвердження email, секунди (24 год)
+// PASSWORD_RESET_TOKEN_TTL — скидання пароля, секунди (1 год)
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+const ISSUER = 'express-app';
+
+export const ACTION_PURPOSES = ['email-verify', 'password-reset'];
+
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+export function createTokenService({ tokens, accounts, env = process.env }) {
+  const secret = env.JWT_SECRET || 'dev-jwt-secret';
+  const accessTtl = Number(env.ACCESS_TOKEN_TTL) || 15 * 60;
+  const refreshTtl = Number(env.REFRESH_TOKEN_TTL) || 30 * 24 * 3600;
+  const actionTtl = {
+    'email-verify': Number(env.EMAIL_VERIFY_TOKEN_TTL) || 24 * 3600,
+    'password-reset': Number(env.PASSWORD_RESET_TOKEN_TTL) || 3600,
+  };
+
+  function verify(token, type) {
+    let payload;
+    try {
+      payload = jwt.verify(String(token), secret, { issuer: ISSUER });
+    } catch (err) {
+      throw new TokenError(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+    if (payload.type !== type) throw new TokenError('Invalid token type');
+    return payload;
+  }
+
+  async function issue(account) {
+    const accessJti = crypto.randomUUID();
+    const refreshJti = crypto.randomUUID();
+    const common = { issuer: ISSUER, subject: String(account.id) };
+
+    // iatMs — час видачі з мілісекундами: стандартний iat — у секундах, а токен, виданий у ту саму
+    // секунду до зміни пароля, має стати недійсним (див. authenticate)
+    const accessToken = jwt.sign({ type: 'access', role: account.role, iatMs: Date.now() }, secret, {
+      ...common,
+      jwtid: accessJti,
+      expiresIn: accessTtl,
+    });
+    const refreshToken = jwt.sign({ type: 'refresh' }, secret, {
+      ...common,
+      jwtid: refreshJti,
+      expiresIn: refreshTtl,
+    });
+    await tokens.saveRefresh({
+      jti: refreshJti,
+      accountId: account.id,
+      expiresAt: new Date(Date.now() + refreshTtl * 1000),
+    });
+
+    return { tokenType: 'Bearer', accessToken, expiresIn: accessTtl, refreshToken, refreshExpiresIn: refreshTtl };
+  }
+
+  return {
+    issue,
+    // Строки дії токенів дій, секунди — для тексту листів
+    actionTtl,
+
+    // Повертає акаунт власника access-токена; роль — завжди актуальна з БД.
+    // Токени, видані до зміни чи скидання пароля, недійсні — з точністю до мілісекунди (iatMs)
+    async authenticate(accessToken) {
+      const payload = verify(accessToken, 'access');
+      if (await tokens.isAccessDenied(payload.jti)) throw new TokenError('Token revoked');
+      const account = await accounts.findById(payload.sub);
+      if (!account) throw new TokenError('Account not found');
+      const changedAt = account.passwordChangedAt ? new Date(account.passwordChangedAt).getTime() : 0;
+      // Токени без iatMs (видані до його появи) порівнюються за iat: початок секунди видачі
+      const issuedAt = Number.isFinite(payload.iatMs) ? payload.iatMs : payload.iat * 1000;
+      if (issuedAt < changedAt) throw new TokenError('Token issued before password change');
+      return { account, payload };
+    },
+
+    // Ротація: старий refresh-токен відкликається, видається нова пара.
+    // Повторне використання відкликаного токена = витік → відкликаємо всі токени акаунта.
+    async refresh(refreshToken) {
+      const payload = verify(refreshToken, 'refresh');
+      const record = await tokens.findRefresh(payload.jti);
+      if (!record) throw new TokenError('Token revoked');
+      if (record.revokedAt) {
+        await tokens.revokeAllForAccount(payload.sub);
+        throw new TokenError('Token reuse detected');
+      }
+      const account = await accounts.findById(payload.sub);
+      if (!account) throw new TokenError('Account not found');
+      await tokens.revokeRefresh(payload.jti);
+      return issue(account);
+    },
+
+    // Logout: access-токен — у denylist до кінця строку, refresh-токен — відкликаний
+    async revoke({ accessPayload, refreshToken }) {
+      if (accessPayload) {
+        await tokens.denyAccess({
+          jti: accessPayload.jti,
+          accountId: accessPayload.sub,
+          expiresAt: new Date(accessPayload.exp * 1000),
+        });
+      }
+      if (refreshToken) {
+        try {
+          const payload = verify(refreshToken, 'refresh');
+          if (!accessPayload || payload.sub === accessPayload.sub) await tokens.revokeRefresh(payload.jti);
+        } catch (err) {
+          if (!(err instanceof TokenError)) throw err;
+        }
+      }
+    },
+
+    // Токен для посилання в листі; тип у payload = purpose, тож він не діє як access/refresh.
+    // Новий токен скасовує попередні невикористані токени тієї ж дії.
+    async issueAction(account, purpose) {
+      if (!ACTION_PURPOSES.includes(purpose)) throw new Error(`[tokens] unknown action: ${purpose}`);
+      const jti = crypto.randomUUID();
+      const token = jwt.sign({ type: purpose }, secret, {
+        issuer: ISSUER,
+        subject: String(account.id),
+        jwtid: jti,
+        expiresIn: actionTtl[purpose],
+      });
+      await tokens.saveAction({
+        purpose,
+        jti,
+        accountId: account.id,
+        expiresAt: new Date(Date.now() + actionTtl[purpose] * 1000),
+      });
+      return token;
+    },
+
+    // Перевіряє підпис і строк, позначає токен використаним; повертає id акаунта
+    async consumeAction(token, purpose) {
+      const payload = verify(token, purpose);
+      if (!(await tokens.useAction(purpose, payload.jti))) throw new TokenError('Token already used');
+      return payload.sub;
+    },
+  };
+}
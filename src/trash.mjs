@@ -0,0 +1,50 @@
+// Автоочищення кошика: записи, що лежать у кошику довше за строк зберігання, видаляються остаточно.
+//
+// TRASH_RETENTION_DAYS — скільки днів запис лежить у кошику (30; 0 — без автоочищення)
+// TRASH_PURGE_INTERVAL — як часто перевіряти кошик, секунди (3600)
+
+import { logger } from './logger.mjs';
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Колекції з мʼяким видаленням (див. repositories/trash.mjs)
+export const TRASH_KINDS = ['articles', 'users'];
+
+export function createTrashPurger({ repos, env = process.env }) {
+  const retentionDays = env.TRASH_RETENTION_DAYS === undefined || env.TRASH_RETENTION_DAYS === ''
+    ? 30
+    : Math.max(0, Number(env.TRASH_RETENTION_DAYS) || 0);
+  const intervalMs = (Number(env.TRASH_PURGE_INTERVAL) || 3600) * 1000;
+  let timer = null;
+
+  // { articles: n, users: n } — скільки записів видалено остаточно
+  async function purgeExpired(now = new Date()) {
+    const result = {};
+    if (!retentionDays) return result;
+    const before = new Date(now.getTime() - retentionDays * DAY_MS);
+    for (const kind of TRASH_KINDS) result[kind] = await repos[kind].purgeDeletedBefore(before);
+    return result;
+  }
+
+  // Дата, після якої запис, видалений у deletedAt, зникне з кошика (null — автоочищення вимкнено)
+  const purgeAt = (deletedAt) =>
+    retentionDays && deletedAt ? new Date(new Date(deletedAt).getTime() + retentionDays * DAY_MS) : null;
+
+  function start() {
+    if (!retentionDays || timer) return;
+    const run = () =>
+      purgeExpired()
+        .then((purged) => logger.debug('trash purged', { purged }))
+        .catch((err) => logger.error('trash purge failed', { err }));
+    run();
+    timer = setInterval(run, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { retentionDays, purgeExpired, purgeAt, start, stop };
+}
@@ -0,0 +1,135 @@
+// Декларативна валідація тіл запитів.
+//
+// Схема — це опис полів і (необовʼязково) правил, що стосуються кількох полів:
+//
+//   {
+//     fields: {
+//       email: { type: 'string', required: true, format: 'email', maxLength: 254, lowercase: true },
+//     },
+//     rules: [(value) => (value.a || value.b ? null : { field: 'a', code: 'required', message: '...' })],
+//   }
+//
+// validate() повертає { value, errors }: value містить лише поля зі схеми (невідомі відкидаються),
+// рядки обрізані; errors — [{ field, code, message }].
+//
+// Типи: 'string' і 'tags' — список рядків (масив або рядок через кому, напр. з HTML-форми).
+// normalize: (string) => string — для обох типів; порожні після нормалізації теги відкидаються.
+// maxLength рахує символи; maxBytes — байти UTF-8 (напр. межа bcrypt для паролів).
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const FORMATS = {
+  email: (v) => EMAIL_RE.test(v),
+  // ISO 8601 або значення <input type="datetime-local"> (без зони — час сервера)
+  datetime: (v) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(v) && !Number.isNaN(Date.parse(v)),
+};
+
+function checkField(field, spec, raw) {
+  const fail = (code, message) => ({ error: { field, code, message } });
+
+  if (spec.type === 'string') {
+    if (raw !== undefined && raw !== null && typeof raw !== 'string') {
+      return fail('type', `"${field}" must be a string`);
+    }
+    let value = raw ?? '';
+    if (spec.trim !== false) value = value.trim();
+    if (spec.lowercase) value = value.toLowerCase();
+    if (spec.normalize) value = spec.normalize(value);
+
+    if (value === '') {
+      if (spec.required) return fail('required', `"${field}" is required`);
+      return { value: raw === undefined ? undefined : '' };
+    }
+    if (spec.minLength && value.length < spec.minLength) {
+      return fail('too_short', `"${field}" must be at least ${spec.minLength} characters`);
+    }
+    if (spec.maxLength && value.length > spec.maxLength) {
+      return fail('too_long', `"${field}" must be at most ${spec.maxLength} characters`);
+    }
+    if (spec.maxBytes && Buffer.byteLength(value, 'utf8') > spec.maxBytes) {
+      return fail('too_long', `"${field}" must be at most ${spec.maxBytes} bytes in UTF-8`);
+    }
+    if (spec.format && !FORMATS[spec.format](value)) {
+      return fail('format', `"${field}" must be a valid ${spec.format}`);
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      return fail('enum', `"${field}" must be one of: ${spec.enum.join(', ')}`);
+    }
+    return { value };
+  }
+
+  if (spec.type === 'tags') {
+    if (raw === undefined || raw === null) return { value: raw === undefined ? undefined : [] };
+    const items = typeof raw === 'string' ? raw.split(',') : raw;
+    if (!Array.isArray(items) || items.some((item) => typeof item !== 'string')) {
+      return fail('type', `"${field}" must be a list of strings or a comma-separated string`);
+    }
+    const normalize = spec.normalize ?? ((item) => item.trim());
+    const value = [...new Set(items.map(normalize).filter(Boolean))];
+    if (spec.maxItems && value.length > spec.maxItems) {
+      return fail('too_many', `"${field}" must have at most ${spec.maxItems} items`);
+    }
+    if (spec.maxLength && value.some((item) => item.length > spec.maxLength)) {
+      return fail('too_long', `each of "${field}" must be at most ${spec.maxLength} characters`);
+    }
+    return { value };
+  }
+
+  throw new Error(`[validation] unsupported type "${spec.type}" for field "${field}"`);
+}
+
+/**
+ * @param {object} schema — { fields, rules? }
+ * @param {object} input — req.body
+ * @returns {{ value: object, errors: Array<{ field: string, code: string, message: string }> }}
+ */
+export function validate(schema, input) {
+  const body = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = [];
+
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    const result = checkField(field, spec, body[field]);
+    if (result.error) errors.push(result.error);
+    else if (result.value !== undefined) value[field] = result.value;
+  }
+
+  // Правила для кількох полів — лише коли самі поля коректні
+  if (!errors.length) {
+    for (const rule of schema.rules || []) {
+      const error = rule(value);
+      if (error) errors.push(error);
+    }
+  }
+
+  return { value, errors };
+}
+
+// [{ field, message }] → { field: message } — для інлайн-помилок у формах (перша помилка поля)
+export function errorsByField(errors) {
+  const out = {};
+  for (const { field, message } of errors) if (!(field in out)) out[field] = message;
+  return out;
+}
+
+// PATCH: змінені поля поверх поточного запису, перевірка — повною схемою (правила бачать підсумок)
+export function validatePatch(schema, current, changes) {
+  const body = changes && typeof changes === 'object' ? changes : {};
+  const merged = {};
+  for (const field of Object.keys(schema.fields)) {
+    if (field in body) merged[field] = body[field];
+    else if (current?.[field] !== undefined) merged[field] = current[field];
+  }
+  return validate(schema, merged);
+}
+
+// PUT замінює запис цілком: поля схеми, яких немає в тілі, стають порожніми
+export function withDefaults(schema, value) {
+  const out = { ...value };
+  for (const [field, spec] of Object.entries(schema.fields)) {
+    if (out[field] !== undefined) continue;
+    if (spec.type === 'string') out[field] = '';
+    if (spec.type === 'tags') out[field] = [];
+  }
+  return out;
+}
@@ -6,6 +6,15 @@ export default defineConfig({
     environment: 'jsdom',
     setupFiles: ['./vitest.setup.js'],
     include: ['**/*.test.js'],
-    silent: true
+    silent: true,
+    // Кожен тестовий файл імпортує server.mjs — слухаємо випадковий порт, щоб не було EADDRINUSE
+    // Сесії тримаємо в памʼяті, щоб тести не писали data/sessions.json, листи — data/outbox, вкладення — data/uploads
+    env: {
+      PORT: '0',
+      SESSION_STORE: 'memory',
+      ADMIN_EMAILS: 'admin@example.com',
+      MAIL_TRANSPORT: 'memory',
+      STORAGE_DRIVER: 'memory',
+    }
   }
 }) 